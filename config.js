@@ -17,6 +17,13 @@ const schema = {
       format: String,
       default: null,
       env: 'AKISMET_API_KEY'
+    },
+    endpoint: {
+      doc: 'URL of the Akismet API, to use a stand-in for it (e.g. in tests). HTTPS is only used on port 443. Defaults to the Akismet API for `apiKey`.',
+      docExample: 'endpoint: "http://localhost:8080"',
+      format: String,
+      default: null,
+      env: 'AKISMET_ENDPOINT'
     }
   },
   analytics: {
@@ -48,12 +55,49 @@ const schema = {
       env: 'EMAIL_FROM'
     }
   },
+  bitbucketAccessTokenUri: {
+    doc: 'URI for the Bitbucket authentication provider.',
+    format: String,
+    default: 'https://bitbucket.org/site/oauth2/access_token',
+    env: 'BITBUCKET_ACCESS_TOKEN_URI'
+  },
+  bitbucketAppPassword: {
+    doc: 'App password for the Bitbucket account being used to push files with.',
+    format: String,
+    default: null,
+    env: 'BITBUCKET_APP_PASSWORD'
+  },
+  bitbucketBaseUrl: {
+    doc: 'Base URL for the Bitbucket API.',
+    format: String,
+    default: 'https://api.bitbucket.org/2.0',
+    env: 'BITBUCKET_BASE_URL'
+  },
+  bitbucketUsername: {
+    doc: 'Username of the Bitbucket account being used to push files with.',
+    format: String,
+    default: null,
+    env: 'BITBUCKET_USERNAME'
+  },
   env: {
     doc: 'The applicaton environment.',
     format: ['production', 'development', 'test'],
     default: 'development',
     env: 'NODE_ENV'
   },
+  giteaBaseUrl: {
+    doc: 'Base URL of the Gitea (or Forgejo) instance, without the `/api/v1` suffix. Also used for the OAuth token endpoint.',
+    docExample: 'giteaBaseUrl: "https://git.yourdomain.com"',
+    format: String,
+    default: 'https://gitea.com',
+    env: 'GITEA_BASE_URL'
+  },
+  giteaToken: {
+    doc: 'Access token to the Gitea account being used to push files with.',
+    format: String,
+    default: null,
+    env: 'GITEA_TOKEN'
+  },
   githubAccessTokenUri: {
     doc: 'URI for the GitHub authentication provider.',
     format: String,
@@ -102,6 +146,33 @@ const schema = {
     default: null,
     env: 'GITLAB_TOKEN'
   },
+  idempotency: {
+    store: {
+      doc: 'Where to keep the responses to recent entries, for sites with `idempotency` enabled. The `memory` store is not shared between instances of the server and is emptied when it restarts.',
+      format: ['memory', 'file'],
+      default: 'memory',
+      env: 'IDEMPOTENCY_STORE'
+    },
+    path: {
+      doc: 'Directory for the `file` idempotency store. Defaults to a directory in the temporary directory of the system.',
+      format: String,
+      default: null,
+      env: 'IDEMPOTENCY_PATH'
+    }
+  },
+  ipHashSalt: {
+    doc: 'Secret salt for the `hashedIp` generated field. Without it, the short list of possible IP addresses would make the hashes easy to reverse.',
+    format: String,
+    default: null,
+    env: 'IP_HASH_SALT'
+  },
+  localGitPath: {
+    doc: 'Directory holding local git repositories, laid out as `<username>/<repository>` (or `<username>/<repository>.git` for bare repositories). Setting it enables the `local` service.',
+    docExample: 'localGitPath: "/srv/git"',
+    format: String,
+    default: null,
+    env: 'LOCAL_GIT_PATH'
+  },
   port: {
     doc: 'The port to bind the application to.',
     format: 'port',
@@ -115,6 +186,20 @@ const schema = {
     default: null,
     env: 'RSA_PRIVATE_KEY'
   },
+  spamChecksPath: {
+    doc: 'Directory holding custom spam check modules. Each `.js` file must export a function that takes the fields of the entry, the options set in the site config and a context with the `ip`, `userAgent` and `siteConfig` of the request, and returns (or resolves to) a `score` between 0 and 1 and the `reason` for it. It becomes available to site configs under the name of the file.',
+    docExample: 'spamChecksPath: "/etc/staticman/spam-checks"',
+    format: String,
+    default: null,
+    env: 'SPAM_CHECKS_PATH'
+  },
+  transformsPath: {
+    doc: 'Directory holding custom transform modules. Each `.js` file must export a function that takes the value of a field, the options set in the site config and a context with the name of the field and all the fields of the entry, and returns the new value or a promise. It becomes available to site configs under the name of the file.',
+    docExample: 'transformsPath: "/etc/staticman/transforms"',
+    format: String,
+    default: null,
+    env: 'TRANSFORMS_PATH'
+  },
   logging: {
     slackWebhook: {
       doc: 'Slack webhook URL to pipe log output to',
@@ -122,6 +207,20 @@ const schema = {
       default: null,
       env: 'SLACK_WEBHOOK'
     }
+  },
+  uploads: {
+    maxFiles: {
+      doc: 'Maximum number of files accepted in a single request, regardless of the site config.',
+      format: 'nat',
+      default: 10,
+      env: 'UPLOADS_MAX_FILES'
+    },
+    maxSize: {
+      doc: 'Maximum size, in bytes, of each uploaded file, regardless of the site config. Uploads are held in memory until they are committed.',
+      format: 'nat',
+      default: 10485760,
+      env: 'UPLOADS_MAX_SIZE'
+    }
   }
 }
 
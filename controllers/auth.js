@@ -12,6 +12,24 @@ module.exports = async (req, res) => {
   let requestAccessToken
 
   switch (req.params.service) {
+    case 'bitbucket':
+      requestAccessToken = siteConfig =>
+        oauth.requestBitbucketAccessToken(
+          req.query.code,
+          siteConfig.get('bitbucketAuth.clientId'),
+          siteConfig.get('bitbucketAuth.clientSecret'),
+          siteConfig.get('bitbucketAuth.redirectUri')
+        )
+      break
+    case 'gitea':
+      requestAccessToken = siteConfig =>
+        oauth.requestGiteaAccessToken(
+          req.query.code,
+          siteConfig.get('giteaAuth.clientId'),
+          siteConfig.get('giteaAuth.clientSecret'),
+          siteConfig.get('giteaAuth.redirectUri')
+        )
+      break
     case 'gitlab':
       requestAccessToken = siteConfig =>
         oauth.requestGitLabAccessToken(
@@ -0,0 +1,33 @@
+'use strict'
+
+const path = require('path')
+const config = require(path.join(__dirname, '/../config'))
+const sendResponse = require('./process').sendResponse
+const Staticman = require('../lib/Staticman')
+const universalAnalytics = require('universal-analytics')
+
+module.exports = async (req, res, next) => {
+  const ua = config.get('analytics.uaTrackingId')
+    ? universalAnalytics(config.get('analytics.uaTrackingId'))
+    : null
+  const options = req.query.options || req.body.options || {}
+  const staticman = await new Staticman(req.params)
+
+  staticman.setConfigPath()
+  staticman.setIp(req.headers['x-forwarded-for'] || req.connection.remoteAddress)
+  staticman.setUserAgent(req.headers['user-agent'])
+
+  return staticman.processDelete(req.params.id, options).then(data => {
+    sendResponse(res, {
+      redirect: data.redirect
+    })
+
+    if (ua) {
+      ua.event('Entries', 'Delete entry').send()
+    }
+  }).catch(err => sendResponse(res, {
+    err,
+    redirect: options.redirect,
+    redirectError: options.redirectError
+  }))
+}
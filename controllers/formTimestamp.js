@@ -0,0 +1,11 @@
+'use strict'
+
+const path = require('path')
+const FormTimestamp = require(path.join(__dirname, '/../lib/FormTimestamp'))
+
+module.exports = (req, res) => {
+  res.send({
+    success: true,
+    formTimestamp: FormTimestamp.create(req.params)
+  })
+}
@@ -1,9 +1,52 @@
 'use strict'
 
+const Akismet = require('../lib/Akismet')
 const config = require('../config')
 const GitHub = require('../lib/GitHub')
 const Staticman = require('../lib/Staticman')
 
+// Reporting to Akismet and counting entries are done along the way, and
+// failing at them must not stop the branch being deleted.
+const ignoreFailure = promise => promise.catch(err => {
+  console.log(err.stack || err)
+})
+
+// Merged entries are reported to Akismet as ham, and closed ones as spam,
+// once, when the pull request is closed.
+const reportToAkismet = (review, data) => {
+  const akismetMatch = review.body.match(/<!--staticman_akismet:(.+?)-->/i)
+
+  if (!akismetMatch || !config.get('akismet.apiKey') || data.action !== 'closed') {
+    return Promise.resolve()
+  }
+
+  return ignoreFailure(Promise.resolve().then(() => {
+    const comment = JSON.parse(akismetMatch[1])
+
+    return review.state === 'merged'
+      ? Akismet.submitHam(comment)
+      : Akismet.submitSpam(comment)
+  }))
+}
+
+// Merged entries count towards trusting their author. Other events on the
+// pull request, such as labels or edits, come after the merge and must not
+// count it again.
+const recordMergedEntry = (review, data) => {
+  const authorMatch = review.body.match(/<!--staticman_author:(.+?)-->/i)
+
+  if (!authorMatch || data.action !== 'closed') return Promise.resolve()
+
+  return ignoreFailure(Promise.resolve().then(async () => {
+    const authorPayload = JSON.parse(authorMatch[1])
+    const staticman = await new Staticman(authorPayload.parameters)
+
+    staticman.setConfigPath(authorPayload.configPath)
+
+    return staticman.recordMergedEntry(authorPayload.author, data.number)
+  }))
+}
+
 module.exports = async (repo, data) => {
   const ua = config.get('analytics.uaTrackingId')
     ? require('universal-analytics')(config.get('analytics.uaTrackingId'))
@@ -29,7 +72,11 @@ module.exports = async (repo, data) => {
       return null
     }
 
+    await reportToAkismet(review, data)
+
     if (review.state === 'merged') {
+      await recordMergedEntry(review, data)
+
       const bodyMatch = review.body.match(/(?:.*?)<!--staticman_notification:(.+?)-->(?:.*?)/i)
 
       if (bodyMatch && (bodyMatch.length === 2)) {
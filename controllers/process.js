@@ -67,25 +67,42 @@ function process (staticman, req, res) {
     : null
   const fields = req.query.fields || req.body.fields
   const options = req.query.options || req.body.options || {}
+  const isEdit = Boolean(req.params.id)
+  const processFn = isEdit
+    ? staticman.processEdit(req.params.id, fields, options)
+    : staticman.processEntry(fields, options)
 
-  return staticman.processEntry(fields, options).then(data => {
+  return processFn.then(data => {
     sendResponse(res, {
       redirect: data.redirect,
+      editToken: data.editToken,
       fields: data.fields
     })
 
     if (ua) {
-      ua.event('Entries', 'New entry').send()
+      ua.event('Entries', isEdit ? 'Edit entry' : 'New entry').send()
     }
   })
 }
 
+function addQueryParameter (url, name, value) {
+  const hashIndex = url.indexOf('#')
+  const base = hashIndex === -1 ? url : url.slice(0, hashIndex)
+  const hash = hashIndex === -1 ? '' : url.slice(hashIndex)
+  const separator = base.indexOf('?') === -1 ? '?' : '&'
+
+  return `${base}${separator}${encodeURIComponent(name)}=${encodeURIComponent(value)}${hash}`
+}
+
 function sendResponse (res, data) {
   const error = data && data.err
   const statusCode = error ? 500 : 200
 
   if (!error && data.redirect) {
-    return res.redirect(data.redirect)
+    // A redirect has no body, so the edit token goes in its query string.
+    return res.redirect(data.editToken
+      ? addQueryParameter(data.redirect, 'editToken', data.editToken)
+      : data.redirect)
   }
 
   if (error && data.redirectError) {
@@ -117,6 +134,10 @@ function sendResponse (res, data) {
     payload.rawError = data.err.toString()
   } else {
     payload.fields = data.fields
+
+    if (data.editToken) {
+      payload.editToken = data.editToken
+    }
   }
 
   res.status(statusCode).send(payload)
@@ -128,6 +149,8 @@ module.exports = async (req, res, next) => {
   staticman.setConfigPath()
   staticman.setIp(req.headers['x-forwarded-for'] || req.connection.remoteAddress)
   staticman.setUserAgent(req.headers['user-agent'])
+  staticman.setRequestHeaders(req.headers)
+  staticman.setUploads(req.files)
 
   return checkRecaptcha(staticman, req)
     .then(usedRecaptcha => process(staticman, req, res))
@@ -0,0 +1,23 @@
+'use strict'
+
+const sendResponse = require('./process').sendResponse
+const Staticman = require('../lib/Staticman')
+
+module.exports = async (req, res, next) => {
+  const options = req.query.options || req.body.options || {}
+  const staticman = await new Staticman(req.params)
+
+  staticman.setConfigPath()
+
+  return staticman.processRelease(req.params.id, options).then(data => {
+    sendResponse(res, {
+      redirect: options.redirect,
+      editToken: data.editToken,
+      fields: data.fields
+    })
+  }).catch(err => sendResponse(res, {
+    err,
+    redirect: options.redirect,
+    redirectError: options.redirectError
+  }))
+}
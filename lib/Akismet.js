@@ -0,0 +1,65 @@
+'use strict'
+
+const akismetApi = require('akismet')
+const config = require('../config')
+const url = require('url')
+
+// The client sends its own user agent as the `user_agent` of every comment,
+// so it is given the one of the comment instead.
+const createClient = comment => {
+  const options = {
+    apiKey: config.get('akismet.apiKey'),
+    blog: config.get('akismet.site'),
+    userAgent: comment.user_agent
+  }
+  const endpoint = config.get('akismet.endpoint')
+
+  // The client talks HTTPS on port 443 and HTTP on any other port.
+  if (endpoint) {
+    const {hostname, port, protocol} = url.parse(endpoint)
+
+    options.endPoint = hostname
+    options.host = hostname
+    options.port = port ? parseInt(port, 10) : (protocol === 'https:' ? 443 : 80)
+  }
+
+  return akismetApi.client(options)
+}
+
+const send = (method, comment) => {
+  return new Promise((resolve, reject) => {
+    createClient(comment)[method](Object.assign({}, comment), (err, isSpam) => {
+      if (err) return reject(err)
+
+      return resolve(isSpam)
+    })
+  })
+}
+
+// Returns the data Akismet needs about an entry, as described in the
+// `akismet` block of the site config.
+const getComment = (fields, siteConfig, {ip, userAgent}) => ({
+  user_ip: ip,
+  user_agent: userAgent,
+  comment_type: siteConfig.get('akismet.type'),
+  comment_author: fields[siteConfig.get('akismet.author')],
+  comment_author_email: fields[siteConfig.get('akismet.authorEmail')],
+  comment_author_url: fields[siteConfig.get('akismet.authorUrl')],
+  comment_content: fields[siteConfig.get('akismet.content')]
+})
+
+// Resolves to whether a comment, as returned by `getComment`, is spam.
+const checkSpam = comment => send('checkSpam', comment)
+
+// Tells Akismet that a comment is not spam.
+const submitHam = comment => send('submitHam', comment).then(() => {})
+
+// Tells Akismet that a comment is spam.
+const submitSpam = comment => send('submitSpam', comment).then(() => {})
+
+module.exports = {
+  checkSpam,
+  getComment,
+  submitHam,
+  submitSpam
+}
@@ -0,0 +1,296 @@
+'use strict'
+
+const config = require('../config')
+const errorHandler = require('./ErrorHandler')
+const GitService = require('./GitService')
+const request = require('request-promise')
+const Review = require('./models/Review')
+const User = require('./models/User')
+
+const rejectWriteError = err => {
+  if (err.message === 'A file with this name already exists') {
+    return Promise.reject(errorHandler('BITBUCKET_FILE_ALREADY_EXISTS', {err}))
+  }
+
+  return Promise.reject(errorHandler('BITBUCKET_WRITING_FILE', {err}))
+}
+
+class Bitbucket extends GitService {
+  constructor (options = {}) {
+    super(options.username, options.repository, options.branch)
+
+    const username = config.get('bitbucketUsername')
+    const appPassword = config.get('bitbucketAppPassword')
+
+    if (options.oauthToken) {
+      this.auth = {
+        bearer: options.oauthToken
+      }
+    } else if (username && appPassword) {
+      this.auth = {
+        user: username,
+        pass: appPassword
+      }
+    } else {
+      throw new Error('Require an `oauthToken` option or the `bitbucketUsername` and `bitbucketAppPassword` config values')
+    }
+
+    this.api = request.defaults({
+      auth: this.auth,
+      baseUrl: config.get('bitbucketBaseUrl'),
+      headers: {
+        'User-Agent': 'Staticman'
+      },
+      json: true,
+      timeout: 5000
+    })
+  }
+
+  get repositoryPath () {
+    return `/repositories/${this.username}/${this.repository}`
+  }
+
+  // Files are read at the head commit of the branch, which is returned as
+  // their `sha`. Changes are then committed on top of that commit, so they
+  // fail if the branch has moved on since the file was read.
+  _pullFile (filePath, branch) {
+    return this.getBranchHeadCommit(branch)
+      .then(commit => {
+        return this.api({
+          encoding: null,
+          json: false,
+          method: 'GET',
+          uri: `${this.repositoryPath}/src/${commit}/${filePath}`
+        })
+          .then(content => ({
+            content: content.toString('base64'),
+            sha: commit
+          }))
+      })
+      .catch(err => Promise.reject(errorHandler('BITBUCKET_READING_FILE', {err})))
+  }
+
+  _commitFile (filePath, content, commitMessage, branch) {
+    return this._commitFiles([{path: filePath, content}], commitMessage, branch)
+  }
+
+  _updateFile (filePath, content, commitMessage, branch, sha) {
+    return this._postFiles([{path: filePath, content}], commitMessage, branch, sha)
+  }
+
+  _deleteFile (filePath, commitMessage, branch, sha) {
+    // Paths listed in `files` without a matching file field are removed.
+    return this.api({
+      formData: {
+        branch,
+        files: filePath,
+        message: commitMessage,
+        parents: sha
+      },
+      method: 'POST',
+      uri: `${this.repositoryPath}/src`
+    })
+  }
+
+  // The src endpoint replaces existing files, so new files are looked for at
+  // the head commit of the branch first, and committed on top of it.
+  _commitFiles (files, commitMessage, branch) {
+    return this.getBranchHeadCommit(branch)
+      .then(commit => {
+        return Promise.all(files.map(({path}) => this._fileExists(path, commit)))
+          .then(exists => {
+            if (exists.some(Boolean)) {
+              throw new Error('A file with this name already exists')
+            }
+
+            return this._postFiles(files, commitMessage, branch, commit)
+          })
+      })
+  }
+
+  _fileExists (filePath, commit) {
+    return this.api({
+      method: 'GET',
+      qs: {
+        format: 'meta'
+      },
+      uri: `${this.repositoryPath}/src/${commit}/${filePath}`
+    })
+      .then(() => true)
+      .catch(err => err.statusCode === 404 ? false : Promise.reject(err))
+  }
+
+  // Every file field in the form ends up in the same commit. Bitbucket
+  // refuses it if `parent` is no longer the head commit of the branch.
+  _postFiles (files, commitMessage, branch, parent) {
+    const formData = {
+      branch,
+      message: commitMessage,
+      parents: parent
+    }
+
+    files.forEach(({path, content}) => {
+      formData[path] = {
+        value: Buffer.from(content, 'base64'),
+        options: {
+          filename: path.split('/').pop()
+        }
+      }
+    })
+
+    return this.api({
+      formData,
+      method: 'POST',
+      uri: `${this.repositoryPath}/src`
+    })
+  }
+
+  getBranchHeadCommit (branch) {
+    return this.api({
+      method: 'GET',
+      uri: `${this.repositoryPath}/refs/branches/${encodeURIComponent(branch)}`
+    })
+      .then(res => res.target.hash)
+  }
+
+  createBranch (branch, sha) {
+    return this.api({
+      body: {
+        name: branch,
+        target: {
+          hash: sha
+        }
+      },
+      method: 'POST',
+      uri: `${this.repositoryPath}/refs/branches`
+    })
+  }
+
+  deleteBranch (branch) {
+    return this.api({
+      method: 'DELETE',
+      uri: `${this.repositoryPath}/refs/branches/${encodeURIComponent(branch)}`
+    })
+  }
+
+  createReview (reviewTitle, branch, reviewBody) {
+    return this.api({
+      body: {
+        close_source_branch: true,
+        description: reviewBody,
+        destination: {
+          branch: {
+            name: this.branch
+          }
+        },
+        source: {
+          branch: {
+            name: branch
+          }
+        },
+        title: reviewTitle
+      },
+      method: 'POST',
+      uri: `${this.repositoryPath}/pullrequests`
+    })
+  }
+
+  getReview (reviewId) {
+    return this.api({
+      method: 'GET',
+      uri: `${this.repositoryPath}/pullrequests/${reviewId}`
+    })
+      .then(({description, destination, source, state, title}) => {
+        // Bitbucket uses OPEN, MERGED, DECLINED and SUPERSEDED, which we
+        // map onto the states used by the other services.
+        const normalizedState = {
+          DECLINED: 'closed',
+          MERGED: 'merged',
+          OPEN: 'open',
+          SUPERSEDED: 'closed'
+        }[state] || String(state).toLowerCase()
+
+        return new Review(
+          title,
+          description || '',
+          normalizedState,
+          source.branch.name,
+          destination.branch.name
+        )
+      })
+  }
+
+  readFile (filePath, getFullResponse, branch) {
+    return super.readFile(filePath, getFullResponse, branch)
+      .catch(err => Promise.reject(errorHandler('BITBUCKET_READING_FILE', {err})))
+  }
+
+  writeFile (filePath, data, targetBranch, commitTitle) {
+    return super.writeFile(filePath, data, targetBranch, commitTitle)
+      .catch(rejectWriteError)
+  }
+
+  updateFile (filePath, data, targetBranch, commitTitle, sha) {
+    return super.updateFile(filePath, data, targetBranch, commitTitle, sha)
+      .catch(err => Promise.reject(errorHandler('BITBUCKET_UPDATING_FILE', {err})))
+  }
+
+  deleteFile (filePath, targetBranch, commitTitle, sha) {
+    return super.deleteFile(filePath, targetBranch, commitTitle, sha)
+      .catch(err => Promise.reject(errorHandler('BITBUCKET_DELETING_FILE', {err})))
+  }
+
+  writeFiles (files, targetBranch, commitTitle) {
+    return super.writeFiles(files, targetBranch, commitTitle)
+      .catch(rejectWriteError)
+  }
+
+  writeFileAndSendReview (filePath, data, branch, commitTitle, reviewBody) {
+    return super.writeFileAndSendReview(filePath, data, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('BITBUCKET_CREATING_PR', {err})))
+  }
+
+  updateFileAndSendReview (filePath, data, branch, commitTitle, reviewBody) {
+    return super.updateFileAndSendReview(filePath, data, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('BITBUCKET_CREATING_PR', {err})))
+  }
+
+  deleteFileAndSendReview (filePath, branch, commitTitle, reviewBody) {
+    return super.deleteFileAndSendReview(filePath, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('BITBUCKET_CREATING_PR', {err})))
+  }
+
+  writeFilesAndSendReview (files, branch, commitTitle, reviewBody) {
+    return super.writeFilesAndSendReview(files, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('BITBUCKET_CREATING_PR', {err})))
+  }
+
+  changeFileAndSendReview (filePath, change, branch, commitTitle, reviewBody) {
+    return super.changeFileAndSendReview(filePath, change, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('BITBUCKET_CREATING_PR', {err})))
+  }
+
+  getCurrentUser () {
+    return Promise.all([
+      this.api({method: 'GET', uri: '/user'}),
+      this.api({method: 'GET', uri: '/user/emails'})
+    ])
+      .then(([{username, display_name: name, links, website}, emails]) => {
+        const primaryEmail = ((emails && emails.values) || []).find(email => email.is_primary)
+        const avatarUrl = links && links.avatar && links.avatar.href
+
+        return new User(
+          'bitbucket',
+          username,
+          primaryEmail ? primaryEmail.email : '',
+          name,
+          avatarUrl || '',
+          '',
+          website || ''
+        )
+      })
+      .catch(err => Promise.reject(errorHandler('BITBUCKET_GET_USER', {err})))
+  }
+}
+
+module.exports = Bitbucket
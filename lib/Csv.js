@@ -0,0 +1,88 @@
+'use strict'
+
+// Cells are quoted, with any quotes doubled, as described in RFC 4180.
+const NEEDS_QUOTES = /[",\r\n]|^\s|\s$/
+
+// Spreadsheets run cells starting with these as formulas, so text cells that
+// do are prefixed with a quote.
+const FORMULA_START = /^[=+\-@\t\r]/
+
+const escapeCell = value => {
+  let text = (value === undefined || value === null) ? '' : String(value)
+
+  if (typeof value !== 'number' && FORMULA_START.test(text)) {
+    text = `'${text}`
+  }
+
+  return NEEDS_QUOTES.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Parses CSV text whose first row holds the column names.
+const parse = text => {
+  const rows = []
+
+  let row = []
+  let cell = ''
+  let isQuoted = false
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index]
+
+    if (isQuoted) {
+      if (char !== '"') {
+        cell += char
+      } else if (text[index + 1] === '"') {
+        cell += '"'
+        index++
+      } else {
+        isQuoted = false
+      }
+    } else if (char === '"') {
+      isQuoted = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++
+
+      rows.push(row.concat(cell))
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (isQuoted) {
+    throw new Error('Unterminated quoted cell')
+  }
+
+  if (row.length || cell) {
+    rows.push(row.concat(cell))
+  }
+
+  const nonEmptyRows = rows.filter(row => row.length > 1 || row[0] !== '')
+  const header = nonEmptyRows[0] || []
+
+  return nonEmptyRows.slice(1).map(row => {
+    return header.reduce((record, column, index) => {
+      record[column] = row[index] === undefined ? '' : row[index]
+
+      return record
+    }, {})
+  })
+}
+
+// Creates CSV text with a header row followed by a row for each record.
+const stringify = (records, columns) => {
+  const rows = [columns].concat(records.map(record => {
+    return columns.map(column => record[column])
+  }))
+
+  return rows.map(row => row.map(escapeCell).join(',')).join('\n') + '\n'
+}
+
+module.exports = {
+  parse,
+  stringify
+}
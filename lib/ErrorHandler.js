@@ -29,7 +29,38 @@ class ErrorHandler {
       'RECAPTCHA_CONFIG_MISMATCH': 'reCAPTCHA options do not match Staticman config',
       'PARSING_ERROR': 'Error whilst parsing config file',
       'GITHUB_AUTH_TOKEN_MISSING': 'The site requires a valid GitHub authentication token to be supplied in the `options[github-token]` field',
-      'MISSING_CONFIG_BLOCK': 'Error whilst parsing Staticman config file'
+      'MISSING_CONFIG_BLOCK': 'Error whilst parsing Staticman config file',
+      'DELETION_DISABLED': 'The site does not allow entries to be deleted',
+      'EDITING_DISABLED': 'The site does not allow entries to be edited',
+      'EDIT_TOKEN_MISSING': 'Editing or deleting an entry requires the edit token issued when it was submitted to be supplied in the `options[edit-token]` field',
+      'EDIT_TOKEN_INVALID': 'The edit token is not valid for this entry',
+      'EDIT_WINDOW_EXPIRED': 'The entry can no longer be edited',
+      'NO_FRONTMATTER_CONTENT_TRANSFORM': 'The `frontmatter` format requires a `frontmatter.contentField` to be set',
+      'INVALID_FIELD_VALUES': 'Some fields have values that break the rules in `fieldRules`',
+      'HONEYPOT_FILLED': 'The entry was rejected because a field meant to be left empty was filled in',
+      'FORM_TIMESTAMP_MISSING': 'The site requires the timestamp issued by the `form-timestamp` endpoint to be supplied in the `options[formTimestamp]` field',
+      'FORM_TIMESTAMP_INVALID': 'The form timestamp is not valid for this site or has expired',
+      'SUBMITTED_TOO_QUICKLY': 'The form was submitted too quickly after being loaded',
+      'INVALID_SPAM_CHECK': 'The site config uses an unknown spam check',
+      'ENTRY_QUARANTINED': 'The entry was flagged as spam and is being held for review',
+      'QUARANTINE_DISABLED': 'The site does not quarantine spam',
+      'RELEASE_KEY_INVALID': 'Releasing an entry from quarantine requires the release key of the site to be supplied in the `options[releaseKey]` field',
+      'ENTRY_IN_PROGRESS': 'An identical entry is already being processed',
+      'REJECTED_BY_MODERATION_RULE': 'The entry was rejected by a moderation rule of the site',
+      'ENTRY_NOT_FOUND': 'The entry could not be found',
+      'INVALID_APPEND_FORMAT': 'The `append` storage mode requires the `json`, `yaml`, `csv` or `jsonl` format',
+      'INVALID_APPEND_FILE': 'The file that entries are appended to must contain a list',
+      'MISSING_APPEND_FILENAME': 'The `append` storage mode requires a `filename`',
+      'UPLOADS_NOT_APPENDABLE': 'File uploads are not supported with the `append` storage mode',
+      'MISSING_IP_HASH_SALT': 'Hashing IP addresses requires the `ipHashSalt` config value to be set on the server',
+      'INVALID_PLACEHOLDER_FILTER': 'A placeholder in the site config uses an unknown filter',
+      'INVALID_PATH': 'The path built from the placeholders in the site config is not valid',
+      'MISSING_PLACEHOLDER_VALUE': 'A placeholder in the site config has no value for this entry',
+      'UPLOADS_DISABLED': 'The site does not accept file uploads',
+      'INVALID_UPLOAD': 'Uploaded files must be sent in a `fields[<name>]` field',
+      'INVALID_UPLOAD_TYPE': 'The type of the uploaded file is not allowed',
+      'TOO_MANY_UPLOADS': 'Too many files have been uploaded',
+      'UPLOAD_TOO_LARGE': 'The uploaded file is too large'
     }
 
     this.ERROR_CODE_ALIASES = {
@@ -0,0 +1,112 @@
+'use strict'
+
+// Fields can be nested, as in `fields[address][city]` or `fields[tags][]`.
+// They're addressed with paths like `address.city`, `tags[]` or
+// `items[].name`, where `[]` stands for every item of a list.
+
+const isObject = value => typeof value === 'object' && value !== null
+
+const parseSegment = segment => {
+  const isList = segment.slice(-2) === '[]'
+
+  return {
+    isList,
+    key: isList ? segment.slice(0, -2) : segment
+  }
+}
+
+// Lists every scalar value in `value`, along with the path that
+// addresses it.
+const getLeaves = (value, path = '') => {
+  if (Array.isArray(value)) {
+    return value.reduce((leaves, item) => {
+      return leaves.concat(getLeaves(item, `${path}[]`))
+    }, [])
+  }
+
+  if (isObject(value)) {
+    return Object.keys(value).reduce((leaves, key) => {
+      return leaves.concat(getLeaves(value[key], path ? `${path}.${key}` : key))
+    }, [])
+  }
+
+  return [{path, value}]
+}
+
+// Returns the values addressed by `path`. A list segment matches every item
+// of a list, or a single value sent without brackets.
+const getValues = (fields, path) => {
+  return path.split('.').reduce((values, segment) => {
+    const {isList, key} = parseSegment(segment)
+
+    return values.reduce((children, value) => {
+      if (!isObject(value) || value[key] === undefined) return children
+
+      return children.concat(isList ? value[key] : [value[key]])
+    }, [])
+  }, [fields])
+}
+
+// Replaces every scalar value in `value` with the result of `fn`.
+const mapLeaves = (value, fn) => {
+  if (isObject(value)) {
+    Object.keys(value).forEach(key => {
+      value[key] = mapLeaves(value[key], fn)
+    })
+
+    return value
+  }
+
+  return fn(value)
+}
+
+// Replaces each value addressed by `path` with the result of `fn`, which
+// may be a promise.
+const updateValues = (fields, path, fn) => {
+  const segments = path.split('.').map(parseSegment)
+  const updates = []
+
+  const update = (parent, depth) => {
+    const {isList, key} = segments[depth]
+
+    if (!isObject(parent) || parent[key] === undefined) return
+
+    const updateChild = (container, childKey) => {
+      if (depth === segments.length - 1) {
+        updates.push(Promise.resolve(fn(container[childKey])).then(value => {
+          container[childKey] = value
+        }))
+      } else {
+        update(container[childKey], depth + 1)
+      }
+    }
+
+    if (isList && Array.isArray(parent[key])) {
+      parent[key].forEach((item, index) => updateChild(parent[key], index))
+    } else {
+      updateChild(parent, key)
+    }
+  }
+
+  update(fields, 0)
+
+  return Promise.all(updates).then(() => fields)
+}
+
+// Whether `path` is listed in `paths`, either directly or through one of
+// its ancestors, so that allowing `address` allows `address.city` too.
+const isListed = (path, paths) => {
+  return paths.some(listedPath => {
+    return path === listedPath ||
+      path.indexOf(`${listedPath}.`) === 0 ||
+      path.indexOf(`${listedPath}[]`) === 0
+  })
+}
+
+module.exports = {
+  getLeaves,
+  getValues,
+  isListed,
+  mapLeaves,
+  updateValues
+}
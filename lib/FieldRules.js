@@ -0,0 +1,88 @@
+'use strict'
+
+const {isNumber, isPattern} = require('./TypeUtils')
+const {URL} = require('url')
+
+const BOOLEAN_VALUES = [true, false, 'true', 'false', '1', '0', 'on', 'off']
+
+const types = {
+  boolean: value => BOOLEAN_VALUES.indexOf(value) !== -1,
+  date: value => typeof value === 'string' && !isNaN(Date.parse(value)),
+  email: value => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  number: value => (typeof value === 'number' || typeof value === 'string') &&
+    String(value).trim() !== '' &&
+    isFinite(Number(value)),
+  string: value => typeof value === 'string',
+  url: value => {
+    try {
+      return ['http:', 'https:'].indexOf(new URL(value).protocol) !== -1
+    } catch (err) {
+      return false
+    }
+  }
+}
+
+// Rules are checked in this order, and only the first one a value breaks
+// is reported.
+const checks = {
+  type: (value, type) => types[type](value),
+  minLength: (value, length) => String(value).length >= length,
+  maxLength: (value, length) => String(value).length <= length,
+  pattern: (value, pattern) => new RegExp(pattern).test(String(value)),
+  enum: (value, values) => values.map(String).indexOf(String(value)) !== -1,
+  min: (value, min) => Number(value) >= min,
+  max: (value, max) => Number(value) <= max
+}
+
+const ruleValidators = {
+  type: type => Object.keys(types).indexOf(type) !== -1,
+  minLength: length => isNumber(length) && length >= 0,
+  maxLength: length => isNumber(length) && length >= 0,
+  pattern: isPattern,
+  enum: values => Array.isArray(values),
+  min: isNumber,
+  max: isNumber
+}
+
+// Throws if the rules object from the site config contains an unknown rule
+// or a rule with an invalid setting.
+const assertRules = fieldRules => {
+  if (typeof fieldRules !== 'object' || fieldRules === null || Array.isArray(fieldRules)) {
+    throw new TypeError('`fieldRules` must be an object')
+  }
+
+  Object.keys(fieldRules).forEach(field => {
+    const rules = fieldRules[field] || {}
+
+    Object.keys(rules).forEach(rule => {
+      if (!ruleValidators[rule]) {
+        throw new TypeError(`Unknown rule \`${rule}\` for field \`${field}\``)
+      }
+
+      if (!ruleValidators[rule](rules[rule])) {
+        throw new TypeError(`Invalid \`${rule}\` rule for field \`${field}\``)
+      }
+    })
+  })
+}
+
+// Returns the first rule broken by `value`, or `null` if it satisfies all
+// of them. Lists of values must satisfy the rules in every item.
+const check = (value, rules) => {
+  const values = [].concat(value)
+  const brokenRule = Object.keys(checks).find(rule => {
+    return rules[rule] !== undefined && !values.every(item => checks[rule](item, rules[rule]))
+  })
+
+  if (!brokenRule) return null
+
+  return {
+    rule: brokenRule,
+    expected: rules[brokenRule]
+  }
+}
+
+module.exports = {
+  assertRules,
+  check
+}
@@ -0,0 +1,48 @@
+'use strict'
+
+const RSA = require('./RSA')
+
+// Timestamps are only valid for the site they were issued for.
+const SCOPE_PARAMETERS = ['branch', 'property', 'repository', 'service', 'username']
+
+// Creates a signed timestamp for a form on the site given by `parameters`,
+// to be sent back with the entry in the `formTimestamp` option.
+const create = parameters => {
+  const data = SCOPE_PARAMETERS.reduce((data, key) => {
+    data[key] = parameters[key]
+
+    return data
+  }, {issuedAt: Date.now()})
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64')
+
+  return `${payload}.${RSA.sign(payload)}`
+}
+
+// Returns the time at which a timestamp was issued, or `null` if its
+// signature is not valid or it was issued for another site.
+const getIssuedAt = (timestamp, parameters) => {
+  const [payload, signature] = String(timestamp).split('.')
+
+  if (!payload || !signature || !RSA.verify(payload, signature)) {
+    return null
+  }
+
+  let data
+
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'))
+  } catch (err) {
+    return null
+  }
+
+  const isValid = data &&
+    typeof data.issuedAt === 'number' &&
+    SCOPE_PARAMETERS.every(key => data[key] === parameters[key])
+
+  return isValid ? data.issuedAt : null
+}
+
+module.exports = {
+  create,
+  getIssuedAt
+}
@@ -96,6 +96,84 @@ class GitHub extends GitService {
       .then(normalizeResponse)
   }
 
+  _updateFile (filePath, content, commitMessage, branch, sha) {
+    return this.api.repos.createOrUpdateFile({
+      owner: this.username,
+      repo: this.repository,
+      path: filePath,
+      message: commitMessage,
+      content,
+      branch,
+      sha
+    })
+      .then(normalizeResponse)
+  }
+
+  _deleteFile (filePath, commitMessage, branch, sha) {
+    return this.api.repos.deleteFile({
+      owner: this.username,
+      repo: this.repository,
+      path: filePath,
+      message: commitMessage,
+      branch,
+      sha
+    })
+      .then(normalizeResponse)
+  }
+
+  async _commitFiles (files, commitMessage, branch) {
+    const repo = {
+      owner: this.username,
+      repo: this.repository
+    }
+    const parentSha = await this.getBranchHeadCommit(branch)
+    // Building on `base_tree` replaces files that are already there, so the
+    // paths are looked for first. The commit is made on top of `parentSha`,
+    // so a file created after this check makes the ref update fail.
+    const existingFiles = await Promise.all(files.map(({path}) =>
+      this.api.repos.getContents(Object.assign({path, ref: parentSha}, repo))
+        .then(() => true)
+        .catch(err => err.status === 404 ? false : Promise.reject(err))
+    ))
+
+    if (existingFiles.some(Boolean)) {
+      throw new Error('A file with this name already exists')
+    }
+
+    const parentCommit = await this.api.git.getCommit(Object.assign({commit_sha: parentSha}, repo))
+      .then(normalizeResponse)
+    const tree = await Promise.all(files.map(({path, content}) =>
+      this.api.git.createBlob(Object.assign({content, encoding: 'base64'}, repo))
+        .then(normalizeResponse)
+        .then(({sha}) => ({
+          path,
+          mode: '100644',
+          type: 'blob',
+          sha
+        }))
+    ))
+    const newTree = await this.api.git.createTree(Object.assign({
+      base_tree: parentCommit.tree.sha,
+      tree
+    }, repo))
+      .then(normalizeResponse)
+    const newCommit = await this.api.git.createCommit(Object.assign({
+      message: commitMessage,
+      parents: [parentSha],
+      tree: newTree.sha
+    }, repo))
+      .then(normalizeResponse)
+
+    // Not forcing the update means it is rejected if the branch has moved on
+    // in the meantime, instead of dropping whatever was pushed to it.
+    return this.api.git.updateRef(Object.assign({
+      force: false,
+      ref: `heads/${branch}`,
+      sha: newCommit.sha
+    }, repo))
+      .then(normalizeResponse)
+  }
+
   writeFile (filePath, data, targetBranch, commitTitle) {
     return super.writeFile(filePath, data, targetBranch, commitTitle)
       .catch(err => {
@@ -121,6 +199,27 @@ class GitHub extends GitService {
       })
   }
 
+  updateFile (filePath, data, targetBranch, commitTitle, sha) {
+    return super.updateFile(filePath, data, targetBranch, commitTitle, sha)
+      .catch(err => Promise.reject(errorHandler('GITHUB_UPDATING_FILE', {err})))
+  }
+
+  deleteFile (filePath, targetBranch, commitTitle, sha) {
+    return super.deleteFile(filePath, targetBranch, commitTitle, sha)
+      .catch(err => Promise.reject(errorHandler('GITHUB_DELETING_FILE', {err})))
+  }
+
+  writeFiles (files, targetBranch, commitTitle) {
+    return super.writeFiles(files, targetBranch, commitTitle)
+      .catch(err => {
+        if (err.message === 'A file with this name already exists') {
+          return Promise.reject(errorHandler('GITHUB_FILE_ALREADY_EXISTS', {err}))
+        }
+
+        return Promise.reject(errorHandler('GITHUB_WRITING_FILE', {err}))
+      })
+  }
+
   getBranchHeadCommit (branch) {
     return this.api.repos.getBranch({
       owner: this.username,
@@ -178,9 +277,9 @@ class GitHub extends GitService {
       )
   }
 
-  async readFile (filePath, getFullResponse) {
+  async readFile (filePath, getFullResponse, branch) {
     try {
-      return await super.readFile(filePath, getFullResponse)
+      return await super.readFile(filePath, getFullResponse, branch)
     } catch (err) {
       throw errorHandler('GITHUB_READING_FILE', {err})
     }
@@ -191,6 +290,26 @@ class GitHub extends GitService {
       .catch(err => Promise.reject(errorHandler('GITHUB_CREATING_PR', {err})))
   }
 
+  updateFileAndSendReview (filePath, data, branch, commitTitle, reviewBody) {
+    return super.updateFileAndSendReview(filePath, data, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('GITHUB_CREATING_PR', {err})))
+  }
+
+  deleteFileAndSendReview (filePath, branch, commitTitle, reviewBody) {
+    return super.deleteFileAndSendReview(filePath, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('GITHUB_CREATING_PR', {err})))
+  }
+
+  writeFilesAndSendReview (files, branch, commitTitle, reviewBody) {
+    return super.writeFilesAndSendReview(files, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('GITHUB_CREATING_PR', {err})))
+  }
+
+  changeFileAndSendReview (filePath, change, branch, commitTitle, reviewBody) {
+    return super.changeFileAndSendReview(filePath, change, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('GITHUB_CREATING_PR', {err})))
+  }
+
   getCurrentUser () {
     return this.api.users.getAuthenticated({})
       .then(normalizeResponse)
@@ -38,6 +38,7 @@ class GitLab extends GitService {
 
   _pullFile (path, branch) {
     return this.api.RepositoryFiles.show(this.repositoryId, path, branch)
+      .then(res => Object.assign({sha: res.last_commit_id}, res))
       .catch(err => Promise.reject(errorHandler('GITLAB_READING_FILE', {err})))
   }
 
@@ -49,6 +50,35 @@ class GitLab extends GitService {
     })
   }
 
+  _updateFile (filePath, content, commitMessage, branch, sha) {
+    // GitLab refuses the update if the file has been changed since the
+    // commit given in `last_commit_id`.
+    return this.api.RepositoryFiles.edit(this.repositoryId, filePath, branch, {
+      content,
+      commit_message: commitMessage,
+      encoding: 'base64',
+      last_commit_id: sha
+    })
+  }
+
+  _deleteFile (filePath, commitMessage, branch, sha) {
+    return this.api.RepositoryFiles.remove(this.repositoryId, filePath, branch, {
+      commit_message: commitMessage,
+      last_commit_id: sha
+    })
+  }
+
+  _commitFiles (files, commitMessage, branch) {
+    const actions = files.map(({path, content}) => ({
+      action: 'create',
+      content,
+      encoding: 'base64',
+      file_path: path
+    }))
+
+    return this.api.Commits.create(this.repositoryId, branch, commitMessage, actions)
+  }
+
   getBranchHeadCommit (branch) {
     return this.api.Branches.show(this.repositoryId, branch)
       .then(res => res.commit.id)
@@ -87,8 +117,8 @@ class GitLab extends GitService {
       )
   }
 
-  readFile (filePath, getFullResponse) {
-    return super.readFile(filePath, getFullResponse)
+  readFile (filePath, getFullResponse, branch) {
+    return super.readFile(filePath, getFullResponse, branch)
       .catch(err => Promise.reject(errorHandler('GITLAB_READING_FILE', {err})))
   }
 
@@ -103,11 +133,52 @@ class GitLab extends GitService {
       })
   }
 
+  updateFile (filePath, data, targetBranch, commitTitle, sha) {
+    return super.updateFile(filePath, data, targetBranch, commitTitle, sha)
+      .catch(err => Promise.reject(errorHandler('GITLAB_UPDATING_FILE', {err})))
+  }
+
+  deleteFile (filePath, targetBranch, commitTitle, sha) {
+    return super.deleteFile(filePath, targetBranch, commitTitle, sha)
+      .catch(err => Promise.reject(errorHandler('GITLAB_DELETING_FILE', {err})))
+  }
+
+  writeFiles (files, targetBranch, commitTitle) {
+    return super.writeFiles(files, targetBranch, commitTitle)
+      .catch(err => {
+        if (err.error && err.error.message === 'A file with this name already exists') {
+          return Promise.reject(errorHandler('GITLAB_FILE_ALREADY_EXISTS', {err}))
+        }
+
+        return Promise.reject(errorHandler('GITLAB_WRITING_FILE', {err}))
+      })
+  }
+
   writeFileAndSendReview (filePath, data, branch, commitTitle, reviewBody) {
     return super.writeFileAndSendReview(filePath, data, branch, commitTitle, reviewBody)
       .catch(err => Promise.reject(errorHandler('GITLAB_CREATING_PR', {err})))
   }
 
+  updateFileAndSendReview (filePath, data, branch, commitTitle, reviewBody) {
+    return super.updateFileAndSendReview(filePath, data, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('GITLAB_CREATING_PR', {err})))
+  }
+
+  deleteFileAndSendReview (filePath, branch, commitTitle, reviewBody) {
+    return super.deleteFileAndSendReview(filePath, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('GITLAB_CREATING_PR', {err})))
+  }
+
+  writeFilesAndSendReview (files, branch, commitTitle, reviewBody) {
+    return super.writeFilesAndSendReview(files, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('GITLAB_CREATING_PR', {err})))
+  }
+
+  changeFileAndSendReview (filePath, change, branch, commitTitle, reviewBody) {
+    return super.changeFileAndSendReview(filePath, change, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('GITLAB_CREATING_PR', {err})))
+  }
+
   getCurrentUser () {
     return this.api.Users.current()
       .then(({username, email, name, avatar_url, bio, website_url, organisation}) =>
@@ -1,6 +1,8 @@
 'use strict'
 
+const Csv = require('./Csv')
 const errorHandler = require('./ErrorHandler')
+const toml = require('@iarna/toml')
 const yaml = require('js-yaml')
 
 class GitService {
@@ -18,6 +20,18 @@ class GitService {
     throw new Error('Abstract method `_commitFile` should be implemented')
   }
 
+  _updateFile (filePath, contents, commitTitle, branch, sha) {
+    throw new Error('Abstract method `_updateFile` should be implemented')
+  }
+
+  _deleteFile (filePath, commitTitle, branch, sha) {
+    throw new Error('Abstract method `_deleteFile` should be implemented')
+  }
+
+  _commitFiles (files, commitTitle, branch) {
+    throw new Error('Abstract method `_commitFiles` should be implemented')
+  }
+
   getBranchHeadCommit (branch) {
     throw new Error('Abstract method `getBranchHeadCommit` should be implemented')
   }
@@ -42,10 +56,10 @@ class GitService {
     throw new Error('Abstract method `getCurrentUser` should be implemented')
   }
 
-  async readFile (path, getFullResponse) {
+  async readFile (path, getFullResponse, branch = this.branch) {
     const extension = path.split('.').pop()
 
-    let res = await this._pullFile(path, this.branch)
+    let res = await this._pullFile(path, branch)
 
     let content
     try {
@@ -65,6 +79,23 @@ class GitService {
         case 'json':
           content = JSON.parse(content)
 
+          break
+
+        case 'toml':
+          content = toml.parse(content)
+
+          break
+
+        case 'jsonl':
+          content = content.split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line))
+
+          break
+
+        case 'csv':
+          content = Csv.parse(content)
+
           break
       }
 
@@ -72,7 +103,8 @@ class GitService {
         return {
           content: content,
           file: {
-            content: res.content
+            content: res.content,
+            sha: res.sha
           }
         }
       }
@@ -99,6 +131,94 @@ class GitService {
       .then(() => this.writeFile(filePath, data, branch, commitTitle))
       .then(() => this.createReview(commitTitle, branch, reviewBody))
   }
+
+  // Replaces the contents of an existing file. `sha` is the version being
+  // replaced, as returned in `file.sha` by `readFile(filePath, true)`, and
+  // without it concurrent changes are not detected.
+  async updateFile (filePath, data, branch = this.branch, commitTitle = 'Update Staticman file', sha) {
+    if (!sha) {
+      sha = (await this._pullFile(filePath, branch)).sha
+    }
+
+    return this._updateFile(filePath, Buffer.from(data).toString('base64'), commitTitle, branch, sha)
+  }
+
+  updateFileAndSendReview (filePath, data, branch, commitTitle = 'Update Staticman file', reviewBody = '') {
+    return this.getBranchHeadCommit(this.branch)
+      .then(sha => this.createBranch(branch, sha))
+      .then(() => this.updateFile(filePath, data, branch, commitTitle))
+      .then(() => this.createReview(commitTitle, branch, reviewBody))
+  }
+
+  // Replaces the contents of `filePath` with the result of passing its
+  // current contents to `change`, creating the file if it doesn't exist yet.
+  // If someone else changes the file before the new version is committed,
+  // it is read again and the change is retried, up to `attempts` times.
+  // `change` gets `undefined` if there is no such file, and may return a
+  // promise.
+  async changeFile (filePath, change, branch = this.branch, commitTitle = 'Update Staticman file', attempts = 3) {
+    for (let attempt = 1; ; attempt++) {
+      const current = await this.readFile(filePath, true, branch).catch(err => {
+        // A file that exists but can't be parsed must not be overwritten.
+        if (err._smErrorCode === 'PARSING_ERROR') throw err
+
+        return null
+      })
+      const data = await change(current ? current.content : undefined)
+
+      try {
+        // Both calls fail if the file has been created or changed since it
+        // was read, which is what tells us that a retry is needed.
+        return current
+          ? await this.updateFile(filePath, data, branch, commitTitle, current.file.sha)
+          : await this.writeFile(filePath, data, branch, commitTitle)
+      } catch (err) {
+        if (attempt >= attempts) throw err
+      }
+    }
+  }
+
+  changeFileAndSendReview (filePath, change, branch, commitTitle = 'Update Staticman file', reviewBody = '') {
+    return this.getBranchHeadCommit(this.branch)
+      .then(sha => this.createBranch(branch, sha))
+      .then(() => this.changeFile(filePath, change, branch, commitTitle))
+      .then(() => this.createReview(commitTitle, branch, reviewBody))
+  }
+
+  // Removes an existing file, checking its version against `sha` if given.
+  async deleteFile (filePath, branch = this.branch, commitTitle = 'Delete Staticman file', sha) {
+    if (!sha) {
+      sha = (await this._pullFile(filePath, branch)).sha
+    }
+
+    return this._deleteFile(filePath, commitTitle, branch, sha)
+  }
+
+  deleteFileAndSendReview (filePath, branch, commitTitle = 'Delete Staticman file', reviewBody = '') {
+    return this.getBranchHeadCommit(this.branch)
+      .then(sha => this.createBranch(branch, sha))
+      .then(() => this.deleteFile(filePath, branch, commitTitle))
+      .then(() => this.createReview(commitTitle, branch, reviewBody))
+  }
+
+  // Creates several files in a single commit, so that either all of them
+  // make it to the branch or none of them do. Files that already exist are
+  // not overwritten.
+  writeFiles (files, branch = this.branch, commitTitle = 'Add Staticman files') {
+    const encodedFiles = files.map(file => ({
+      path: file.path,
+      content: Buffer.from(file.content).toString('base64')
+    }))
+
+    return this._commitFiles(encodedFiles, commitTitle, branch)
+  }
+
+  writeFilesAndSendReview (files, branch, commitTitle = 'Add Staticman files', reviewBody = '') {
+    return this.getBranchHeadCommit(this.branch)
+      .then(sha => this.createBranch(branch, sha))
+      .then(() => this.writeFiles(files, branch, commitTitle))
+      .then(() => this.createReview(commitTitle, branch, reviewBody))
+  }
 }
 
 module.exports = GitService
@@ -1,12 +1,21 @@
 'use strict'
 
+const Bitbucket = require('./Bitbucket')
+const Gitea = require('./Gitea')
 const GitLab = require('./GitLab')
 const GitHub = require('./GitHub')
+const LocalGit = require('./LocalGit')
 
 module.exports.create = async (service, options) => {
   switch (service) {
+    case 'bitbucket':
+      return new Bitbucket(options)
+    case 'gitea':
+      return new Gitea(options)
     case 'gitlab':
       return new GitLab(options)
+    case 'local':
+      return new LocalGit(options)
     default:
       return new GitHub(options)
   }
@@ -0,0 +1,237 @@
+'use strict'
+
+const config = require('../config')
+const errorHandler = require('./ErrorHandler')
+const GitService = require('./GitService')
+const request = require('request-promise')
+const Review = require('./models/Review')
+const User = require('./models/User')
+
+const rejectWriteError = err => {
+  const message = err && err.error && err.error.message
+
+  if (typeof message === 'string' && message.includes('already exists')) {
+    return Promise.reject(errorHandler('GITEA_FILE_ALREADY_EXISTS', {err}))
+  }
+
+  return Promise.reject(errorHandler('GITEA_WRITING_FILE', {err}))
+}
+
+class Gitea extends GitService {
+  constructor (options = {}) {
+    super(options.username, options.repository, options.branch)
+
+    const token = config.get('giteaToken')
+
+    let authorization
+
+    if (options.oauthToken) {
+      authorization = `Bearer ${options.oauthToken}`
+    } else if (token) {
+      authorization = `token ${token}`
+    } else {
+      throw new Error('Require an `oauthToken` option or the `giteaToken` config value')
+    }
+
+    this.api = request.defaults({
+      baseUrl: `${config.get('giteaBaseUrl')}/api/v1`,
+      headers: {
+        'Authorization': authorization,
+        'User-Agent': 'Staticman'
+      },
+      json: true,
+      timeout: 5000
+    })
+  }
+
+  get repositoryPath () {
+    return `/repos/${this.username}/${this.repository}`
+  }
+
+  _pullFile (filePath, branch) {
+    return this.api({
+      method: 'GET',
+      qs: {
+        ref: branch
+      },
+      uri: `${this.repositoryPath}/contents/${filePath}`
+    })
+      .catch(err => Promise.reject(errorHandler('GITEA_READING_FILE', {err})))
+  }
+
+  _commitFile (filePath, content, commitMessage, branch) {
+    return this.api({
+      body: {
+        branch,
+        content,
+        message: commitMessage
+      },
+      method: 'POST',
+      uri: `${this.repositoryPath}/contents/${filePath}`
+    })
+  }
+
+  _updateFile (filePath, content, commitMessage, branch, sha) {
+    return this.api({
+      body: {
+        branch,
+        content,
+        message: commitMessage,
+        sha
+      },
+      method: 'PUT',
+      uri: `${this.repositoryPath}/contents/${filePath}`
+    })
+  }
+
+  _deleteFile (filePath, commitMessage, branch, sha) {
+    return this.api({
+      body: {
+        branch,
+        message: commitMessage,
+        sha
+      },
+      method: 'DELETE',
+      uri: `${this.repositoryPath}/contents/${filePath}`
+    })
+  }
+
+  _commitFiles (files, commitMessage, branch) {
+    // Requires Gitea 1.20+ (or Forgejo 1.20+), which added the endpoint for
+    // changing multiple files in one commit.
+    return this.api({
+      body: {
+        branch,
+        files: files.map(({path, content}) => ({
+          content,
+          operation: 'create',
+          path
+        })),
+        message: commitMessage
+      },
+      method: 'POST',
+      uri: `${this.repositoryPath}/contents`
+    })
+  }
+
+  getBranchHeadCommit (branch) {
+    return this.api({
+      method: 'GET',
+      uri: `${this.repositoryPath}/branches/${encodeURIComponent(branch)}`
+    })
+      .then(res => res.commit.id)
+  }
+
+  createBranch (branch, sha) {
+    // `old_ref_name` pins the branch to the given commit on Gitea 1.21+,
+    // with older versions falling back to the head of `old_branch_name`.
+    return this.api({
+      body: {
+        new_branch_name: branch,
+        old_branch_name: this.branch,
+        old_ref_name: sha
+      },
+      method: 'POST',
+      uri: `${this.repositoryPath}/branches`
+    })
+  }
+
+  deleteBranch (branch) {
+    return this.api({
+      method: 'DELETE',
+      uri: `${this.repositoryPath}/branches/${encodeURIComponent(branch)}`
+    })
+  }
+
+  createReview (reviewTitle, branch, reviewBody) {
+    return this.api({
+      body: {
+        base: this.branch,
+        body: reviewBody,
+        head: branch,
+        title: reviewTitle
+      },
+      method: 'POST',
+      uri: `${this.repositoryPath}/pulls`
+    })
+  }
+
+  getReview (reviewId) {
+    return this.api({
+      method: 'GET',
+      uri: `${this.repositoryPath}/pulls/${reviewId}`
+    })
+      .then(({base, body, head, merged, state, title}) =>
+        new Review(
+          title,
+          body || '',
+          (merged && state === 'closed') ? 'merged' : state,
+          head.ref,
+          base.ref
+        )
+      )
+  }
+
+  readFile (filePath, getFullResponse, branch) {
+    return super.readFile(filePath, getFullResponse, branch)
+      .catch(err => Promise.reject(errorHandler('GITEA_READING_FILE', {err})))
+  }
+
+  writeFile (filePath, data, targetBranch, commitTitle) {
+    return super.writeFile(filePath, data, targetBranch, commitTitle)
+      .catch(rejectWriteError)
+  }
+
+  updateFile (filePath, data, targetBranch, commitTitle, sha) {
+    return super.updateFile(filePath, data, targetBranch, commitTitle, sha)
+      .catch(err => Promise.reject(errorHandler('GITEA_UPDATING_FILE', {err})))
+  }
+
+  deleteFile (filePath, targetBranch, commitTitle, sha) {
+    return super.deleteFile(filePath, targetBranch, commitTitle, sha)
+      .catch(err => Promise.reject(errorHandler('GITEA_DELETING_FILE', {err})))
+  }
+
+  writeFiles (files, targetBranch, commitTitle) {
+    return super.writeFiles(files, targetBranch, commitTitle)
+      .catch(rejectWriteError)
+  }
+
+  writeFileAndSendReview (filePath, data, branch, commitTitle, reviewBody) {
+    return super.writeFileAndSendReview(filePath, data, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('GITEA_CREATING_PR', {err})))
+  }
+
+  updateFileAndSendReview (filePath, data, branch, commitTitle, reviewBody) {
+    return super.updateFileAndSendReview(filePath, data, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('GITEA_CREATING_PR', {err})))
+  }
+
+  deleteFileAndSendReview (filePath, branch, commitTitle, reviewBody) {
+    return super.deleteFileAndSendReview(filePath, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('GITEA_CREATING_PR', {err})))
+  }
+
+  writeFilesAndSendReview (files, branch, commitTitle, reviewBody) {
+    return super.writeFilesAndSendReview(files, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('GITEA_CREATING_PR', {err})))
+  }
+
+  changeFileAndSendReview (filePath, change, branch, commitTitle, reviewBody) {
+    return super.changeFileAndSendReview(filePath, change, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('GITEA_CREATING_PR', {err})))
+  }
+
+  getCurrentUser () {
+    return this.api({
+      method: 'GET',
+      uri: '/user'
+    })
+      .then(({login, email, full_name: name, avatar_url: avatarUrl, description, website}) =>
+        new User('gitea', login, email || '', name || '', avatarUrl || '', description || '', website || '')
+      )
+      .catch(err => Promise.reject(errorHandler('GITEA_GET_USER', {err})))
+  }
+}
+
+module.exports = Gitea
@@ -0,0 +1,163 @@
+'use strict'
+
+const config = require('../config')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const util = require('util')
+
+const mkdir = util.promisify(fs.mkdir)
+const readFile = util.promisify(fs.readFile)
+const unlink = util.promisify(fs.unlink)
+const writeFile = util.promisify(fs.writeFile)
+
+// Keeps records in the memory of the process, so they are lost when the
+// server restarts and are not shared between instances.
+class MemoryStore {
+  constructor () {
+    this.records = new Map()
+  }
+
+  delete (key) {
+    this.records.delete(key)
+
+    return Promise.resolve()
+  }
+
+  get (key) {
+    const record = this.records.get(key)
+
+    if (!record) return Promise.resolve(null)
+
+    if (record.expiresAt <= Date.now()) {
+      this.records.delete(key)
+
+      return Promise.resolve(null)
+    }
+
+    return Promise.resolve(record.value)
+  }
+
+  reserve (key, value, ttl) {
+    const record = this.records.get(key)
+
+    if (record && record.expiresAt > Date.now()) return Promise.resolve(false)
+
+    return this.set(key, value, ttl).then(() => true)
+  }
+
+  set (key, value, ttl) {
+    this._prune()
+    this.records.set(key, {
+      expiresAt: Date.now() + (ttl * 1000),
+      value
+    })
+
+    return Promise.resolve()
+  }
+
+  _prune () {
+    const now = Date.now()
+
+    this.records.forEach((record, key) => {
+      if (record.expiresAt <= now) {
+        this.records.delete(key)
+      }
+    })
+  }
+}
+
+// Keeps each record in a JSON file in `directory`, named after a hash of
+// its key.
+class FileStore {
+  constructor (directory) {
+    this.directory = directory
+  }
+
+  delete (key) {
+    return unlink(this._getFilePath(key)).catch(err => {
+      if (err.code !== 'ENOENT') return Promise.reject(err)
+    })
+  }
+
+  get (key) {
+    return readFile(this._getFilePath(key), 'utf8').then(contents => {
+      const record = JSON.parse(contents)
+
+      if (record.expiresAt <= Date.now()) {
+        return this.delete(key).then(() => null)
+      }
+
+      return record.value
+    }).catch(err => {
+      if (err.code === 'ENOENT') return null
+
+      return Promise.reject(err)
+    })
+  }
+
+  // Creating the file fails if it exists, so only one of the requests that
+  // reserve a key at the same time gets it.
+  reserve (key, value, ttl) {
+    return this._write(key, value, ttl, 'wx').then(() => true, err => {
+      if (err.code !== 'EEXIST') return Promise.reject(err)
+
+      // An expired record is deleted by `get`, freeing the key.
+      return this.get(key).then(record => {
+        return record === null ? this.reserve(key, value, ttl) : false
+      })
+    })
+  }
+
+  set (key, value, ttl) {
+    return this._write(key, value, ttl, 'w')
+  }
+
+  _getFilePath (key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex')
+
+    return path.join(this.directory, `${hash}.json`)
+  }
+
+  _write (key, value, ttl, flag) {
+    const record = {
+      expiresAt: Date.now() + (ttl * 1000),
+      value
+    }
+
+    return mkdir(this.directory, {recursive: true}).then(() => {
+      return writeFile(this._getFilePath(key), JSON.stringify(record), {flag})
+    })
+  }
+}
+
+let store
+
+// Returns the store shared by all requests, creating the one set in the
+// `idempotency.store` config value if none has been set.
+const getStore = () => {
+  if (!store) {
+    store = config.get('idempotency.store') === 'file'
+      ? new FileStore(config.get('idempotency.path') || path.join(os.tmpdir(), 'staticman-idempotency'))
+      : new MemoryStore()
+  }
+
+  return store
+}
+
+// Replaces the store shared by all requests with an object that has
+// `get(key)`, `set(key, value, ttl)`, `reserve(key, value, ttl)` and
+// `delete(key)` methods returning promises, where `ttl` is in seconds.
+// `reserve` sets a key that has no value, atomically, and resolves to
+// whether it did.
+const setStore = newStore => {
+  store = newStore
+}
+
+module.exports = {
+  FileStore,
+  getStore,
+  MemoryStore,
+  setStore
+}
@@ -0,0 +1,379 @@
+'use strict'
+
+const config = require('../config')
+const errorHandler = require('./ErrorHandler')
+const fs = require('fs')
+const GitService = require('./GitService')
+const os = require('os')
+const path = require('path')
+const Review = require('./models/Review')
+const {spawn} = require('child_process')
+const User = require('./models/User')
+const util = require('util')
+const uuidv1 = require('uuid/v1')
+
+const mkdir = util.promisify(fs.mkdir)
+const readdir = util.promisify(fs.readdir)
+const readFile = util.promisify(fs.readFile)
+const unlink = util.promisify(fs.unlink)
+const writeFile = util.promisify(fs.writeFile)
+
+const VALID_PATH_SEGMENT = /^[\w.-]+$/
+
+const rejectWriteError = err => {
+  if (err.message === 'A file with this name already exists') {
+    return Promise.reject(errorHandler('LOCALGIT_FILE_ALREADY_EXISTS', {err}))
+  }
+
+  return Promise.reject(errorHandler('LOCALGIT_WRITING_FILE', {err}))
+}
+
+class LocalGit extends GitService {
+  constructor (options = {}) {
+    super(options.username, options.repository, options.branch)
+
+    let repositoryPath = options.repositoryPath
+
+    if (!repositoryPath) {
+      const basePath = config.get('localGitPath')
+
+      if (!basePath) {
+        throw new Error('Require a `repositoryPath` option or a `localGitPath` config value')
+      }
+
+      const isValidSegment = segment => VALID_PATH_SEGMENT.test(segment) &&
+        segment !== '.' &&
+        segment !== '..'
+
+      if (!isValidSegment(this.username) || !isValidSegment(this.repository)) {
+        throw new Error('Invalid username or repository name')
+      }
+
+      repositoryPath = path.join(basePath, this.username, this.repository)
+
+      // Bare repositories are conventionally named `<repository>.git`.
+      if (!fs.existsSync(repositoryPath) && fs.existsSync(`${repositoryPath}.git`)) {
+        repositoryPath = `${repositoryPath}.git`
+      }
+    }
+
+    const dotGitPath = path.join(repositoryPath, '.git')
+
+    this.repositoryPath = repositoryPath
+    this.gitDir = fs.existsSync(dotGitPath) ? dotGitPath : repositoryPath
+  }
+
+  get reviewsPath () {
+    return path.join(this.gitDir, 'staticman', 'reviews')
+  }
+
+  // Runs a git command against the repository, piping `input` into stdin,
+  // and resolves to the contents of stdout.
+  _git (args, {env, input} = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('git', [`--git-dir=${this.gitDir}`].concat(args), {
+        env: Object.assign({}, process.env, env)
+      })
+      const stdout = []
+      const stderr = []
+
+      child.stdout.on('data', chunk => stdout.push(chunk))
+      child.stderr.on('data', chunk => stderr.push(chunk))
+      child.on('error', reject)
+      child.on('close', code => {
+        if (code !== 0) {
+          const message = Buffer.concat(stderr).toString().trim()
+
+          return reject(new Error(message || `git ${args[0]} exited with code ${code}`))
+        }
+
+        return resolve(Buffer.concat(stdout))
+      })
+
+      child.stdin.end(input)
+    })
+  }
+
+  _gitString (args, options) {
+    return this._git(args, options).then(output => output.toString().trim())
+  }
+
+  _gitSucceeds (args) {
+    return this._git(args).then(() => true, () => false)
+  }
+
+  // Reviews are numbered in order. Reviews created at the same time can be
+  // given the same number, in which case all but one try the next number.
+  async _recordReview (fields) {
+    const reviewIds = (await readdir(this.reviewsPath))
+      .map(file => parseInt(file, 10))
+      .filter(id => !isNaN(id))
+    const review = Object.assign({
+      id: Math.max.apply(null, reviewIds.concat(0)) + 1
+    }, fields)
+
+    try {
+      await writeFile(
+        path.join(this.reviewsPath, `${review.id}.json`),
+        JSON.stringify(review, null, 2),
+        {flag: 'wx'}
+      )
+    } catch (err) {
+      if (err.code === 'EEXIST') return this._recordReview(fields)
+
+      throw err
+    }
+
+    return review
+  }
+
+  _pullFile (filePath, branch) {
+    const object = `refs/heads/${branch}:${filePath}`
+
+    return Promise.all([
+      this._git(['cat-file', 'blob', object]),
+      this._gitString(['rev-parse', object])
+    ])
+      .then(([content, sha]) => ({
+        content: content.toString('base64'),
+        sha
+      }))
+      .catch(err => Promise.reject(errorHandler('LOCALGIT_READING_FILE', {err})))
+  }
+
+  _commitFile (filePath, content, commitMessage, branch) {
+    return this._commitChanges([{path: filePath, content}], commitMessage, branch)
+      .then(({commit}) => ({
+        commit,
+        path: filePath
+      }))
+  }
+
+  _updateFile (filePath, content, commitMessage, branch, sha) {
+    return this._commitChanges([{path: filePath, content, sha, update: true}], commitMessage, branch)
+      .then(({commit}) => ({
+        commit,
+        path: filePath
+      }))
+  }
+
+  _deleteFile (filePath, commitMessage, branch, sha) {
+    return this._commitChanges([{path: filePath, sha, remove: true}], commitMessage, branch)
+      .then(({commit}) => ({
+        commit,
+        path: filePath
+      }))
+  }
+
+  _commitFiles (files, commitMessage, branch) {
+    return this._commitChanges(files, commitMessage, branch)
+  }
+
+  // Creates a commit on `branch` with the given changes. Each change has a
+  // `path` and base64-encoded `content`. New files must not exist yet; changes
+  // flagged with `update` or `remove` must replace or remove an existing file,
+  // whose blob must match `sha` if one is given.
+  async _commitChanges (changes, commitMessage, branch) {
+    const parent = await this.getBranchHeadCommit(branch)
+
+    for (const change of changes) {
+      const isExisting = change.update || change.remove
+      const currentSha = await this._gitString(['rev-parse', '--verify', '--quiet', `${parent}:${change.path}`])
+        .catch(() => null)
+
+      if (!isExisting && currentSha) {
+        throw new Error('A file with this name already exists')
+      }
+
+      if (isExisting && !currentSha) {
+        throw new Error('The file being changed does not exist')
+      }
+
+      if (isExisting && change.sha && change.sha !== currentSha) {
+        throw new Error('The file has been changed since it was read')
+      }
+    }
+
+    const indexEntries = []
+
+    for (const change of changes) {
+      // A zero mode tells `update-index` to drop the path from the index.
+      if (change.remove) {
+        indexEntries.push(`0 ${'0'.repeat(40)}\t${change.path}\n`)
+
+        continue
+      }
+
+      const blob = await this._gitString(['hash-object', '-w', '--stdin'], {
+        input: Buffer.from(change.content, 'base64')
+      })
+
+      indexEntries.push(`100644 ${blob}\t${change.path}\n`)
+    }
+
+    // Build the new tree in a throwaway index, so that neither the
+    // repository's own index nor its working tree are touched.
+    const indexEnv = {
+      GIT_INDEX_FILE: path.join(os.tmpdir(), `staticman-index-${uuidv1()}`)
+    }
+
+    let tree
+
+    try {
+      await this._git(['read-tree', parent], {env: indexEnv})
+      await this._git(['update-index', '--add', '--index-info'], {
+        env: indexEnv,
+        input: indexEntries.join('')
+      })
+
+      tree = await this._gitString(['write-tree'], {env: indexEnv})
+    } finally {
+      await unlink(indexEnv.GIT_INDEX_FILE).catch(() => {})
+    }
+
+    const commit = await this._gitString(['commit-tree', tree, '-p', parent, '-m', commitMessage], {
+      env: {
+        GIT_AUTHOR_NAME: 'Staticman',
+        GIT_AUTHOR_EMAIL: config.get('email.fromAddress'),
+        GIT_COMMITTER_NAME: 'Staticman',
+        GIT_COMMITTER_EMAIL: config.get('email.fromAddress')
+      }
+    })
+
+    // Passing the old value makes the update fail if the branch has moved
+    // since we read it, rather than silently discarding someone's commit.
+    await this._git(['update-ref', `refs/heads/${branch}`, commit, parent])
+
+    return {
+      commit,
+      paths: changes.map(change => change.path)
+    }
+  }
+
+  getBranchHeadCommit (branch) {
+    return this._gitString(['rev-parse', '--verify', `refs/heads/${branch}^{commit}`])
+  }
+
+  createBranch (branch, sha) {
+    // An empty old value makes git refuse to overwrite an existing branch.
+    return this._git(['update-ref', `refs/heads/${branch}`, sha, ''])
+      .then(() => ({
+        ref: `refs/heads/${branch}`,
+        sha
+      }))
+  }
+
+  deleteBranch (branch) {
+    return this._git(['update-ref', '-d', `refs/heads/${branch}`])
+  }
+
+  async createReview (reviewTitle, branch, reviewBody) {
+    const sourceCommit = await this.getBranchHeadCommit(branch)
+
+    await mkdir(this.reviewsPath, {recursive: true})
+
+    return this._recordReview({
+      title: reviewTitle,
+      body: reviewBody,
+      state: 'open',
+      sourceBranch: branch,
+      sourceCommit,
+      targetBranch: this.branch,
+      createdAt: new Date().toISOString()
+    })
+  }
+
+  async getReview (reviewId) {
+    const review = JSON.parse(
+      await readFile(path.join(this.reviewsPath, `${parseInt(reviewId, 10)}.json`), 'utf8')
+    )
+
+    let state = review.state
+
+    // Reviews are accepted by merging the branch with plain git, so the
+    // state is worked out from the refs rather than from the record.
+    if (state === 'open') {
+      const isMerged = await this._gitSucceeds([
+        'merge-base',
+        '--is-ancestor',
+        review.sourceCommit,
+        `refs/heads/${review.targetBranch}`
+      ])
+
+      if (isMerged) {
+        state = 'merged'
+      } else if (!(await this._gitSucceeds(['rev-parse', '--verify', `refs/heads/${review.sourceBranch}`]))) {
+        state = 'closed'
+      }
+    }
+
+    return new Review(
+      review.title,
+      review.body,
+      state,
+      review.sourceBranch,
+      review.targetBranch
+    )
+  }
+
+  readFile (filePath, getFullResponse, branch) {
+    return super.readFile(filePath, getFullResponse, branch)
+      .catch(err => Promise.reject(errorHandler('LOCALGIT_READING_FILE', {err})))
+  }
+
+  writeFile (filePath, data, targetBranch, commitTitle) {
+    return super.writeFile(filePath, data, targetBranch, commitTitle)
+      .catch(rejectWriteError)
+  }
+
+  updateFile (filePath, data, targetBranch, commitTitle, sha) {
+    return super.updateFile(filePath, data, targetBranch, commitTitle, sha)
+      .catch(err => Promise.reject(errorHandler('LOCALGIT_UPDATING_FILE', {err})))
+  }
+
+  deleteFile (filePath, targetBranch, commitTitle, sha) {
+    return super.deleteFile(filePath, targetBranch, commitTitle, sha)
+      .catch(err => Promise.reject(errorHandler('LOCALGIT_DELETING_FILE', {err})))
+  }
+
+  writeFiles (files, targetBranch, commitTitle) {
+    return super.writeFiles(files, targetBranch, commitTitle)
+      .catch(rejectWriteError)
+  }
+
+  writeFileAndSendReview (filePath, data, branch, commitTitle, reviewBody) {
+    return super.writeFileAndSendReview(filePath, data, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('LOCALGIT_CREATING_PR', {err})))
+  }
+
+  updateFileAndSendReview (filePath, data, branch, commitTitle, reviewBody) {
+    return super.updateFileAndSendReview(filePath, data, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('LOCALGIT_CREATING_PR', {err})))
+  }
+
+  deleteFileAndSendReview (filePath, branch, commitTitle, reviewBody) {
+    return super.deleteFileAndSendReview(filePath, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('LOCALGIT_CREATING_PR', {err})))
+  }
+
+  writeFilesAndSendReview (files, branch, commitTitle, reviewBody) {
+    return super.writeFilesAndSendReview(files, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('LOCALGIT_CREATING_PR', {err})))
+  }
+
+  changeFileAndSendReview (filePath, change, branch, commitTitle, reviewBody) {
+    return super.changeFileAndSendReview(filePath, change, branch, commitTitle, reviewBody)
+      .catch(err => Promise.reject(errorHandler('LOCALGIT_CREATING_PR', {err})))
+  }
+
+  getCurrentUser () {
+    return Promise.all([
+      this._gitString(['config', 'user.name']),
+      this._gitString(['config', 'user.email'])
+    ])
+      .then(([name, email]) => new User('local', os.userInfo().username, email, name))
+      .catch(err => Promise.reject(errorHandler('LOCALGIT_GET_USER', {err})))
+  }
+}
+
+module.exports = LocalGit
@@ -0,0 +1,98 @@
+'use strict'
+
+const FieldPaths = require('./FieldPaths')
+const {isNumber, isPattern} = require('./TypeUtils')
+
+const ACTIONS = ['commit', 'review', 'reject']
+
+// Supports `*` (any characters but `/`), `**` (any number of directories)
+// and `?` (a single character but `/`).
+const globToRegExp = glob => {
+  const source = glob.split(/(\*\*\/|\*\*|\*|\?)/).map(part => {
+    switch (part) {
+      case '**/':
+        return '(?:.*/)?'
+
+      case '**':
+        return '.*'
+
+      case '*':
+        return '[^/]*'
+
+      case '?':
+        return '[^/]'
+
+      default:
+        return part.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }).join('')
+
+  return new RegExp(`^${source}$`)
+}
+
+const conditions = {
+  authenticated: (expected, {authenticated}) => Boolean(authenticated) === expected,
+  fields: (patterns, {fields}) => Object.keys(patterns).every(path => {
+    const regex = new RegExp(patterns[path], 'i')
+
+    return FieldPaths.getValues(fields, path).some(value => {
+      return value !== undefined && value !== null && regex.test(String(value))
+    })
+  }),
+  minSpamScore: (min, {spamScore}) => spamScore >= min,
+  path: (glob, {path}) => typeof path === 'string' && globToRegExp(glob).test(path)
+}
+
+const conditionValidators = {
+  authenticated: value => typeof value === 'boolean',
+  fields: value => typeof value === 'object' && value !== null && !Array.isArray(value) &&
+    Object.keys(value).every(path => isPattern(value[path])),
+  minSpamScore: isNumber,
+  path: value => typeof value === 'string' && value !== ''
+}
+
+// Throws if the list of rules from the site config contains a rule with an
+// unknown action or condition, or a condition with an invalid setting.
+const assertRules = moderationRules => {
+  if (!Array.isArray(moderationRules)) {
+    throw new TypeError('`moderationRules` must be a list')
+  }
+
+  moderationRules.forEach((rule, index) => {
+    const name = `moderation rule ${index + 1}`
+    const when = (rule && rule.when) || {}
+
+    if (!rule || ACTIONS.indexOf(rule.action) === -1) {
+      throw new TypeError(`Invalid \`action\` in ${name}, which must be one of ${ACTIONS.join(', ')}`)
+    }
+
+    Object.keys(when).forEach(condition => {
+      if (!conditionValidators[condition]) {
+        throw new TypeError(`Unknown condition \`${condition}\` in ${name}`)
+      }
+
+      if (!conditionValidators[condition](when[condition])) {
+        throw new TypeError(`Invalid \`${condition}\` condition in ${name}`)
+      }
+    })
+  })
+}
+
+// Returns the action of the first rule whose conditions are all met by the
+// entry, or `null` if no rule applies to it. Rules without conditions apply
+// to every entry. `context` has the processed `fields` of the entry, the
+// `path` of its file, its `spamScore` and whether it is `authenticated`.
+const getAction = (moderationRules, context) => {
+  const matchingRule = moderationRules.find(rule => {
+    const when = rule.when || {}
+
+    return Object.keys(when).every(condition => conditions[condition](when[condition], context))
+  })
+
+  return matchingRule ? matchingRule.action : null
+}
+
+module.exports = {
+  assertRules,
+  getAction
+}
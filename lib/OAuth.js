@@ -4,6 +4,48 @@ const config = require('../config')
 const request = require('request-promise')
 const errorHandler = require('./ErrorHandler')
 
+const requestBitbucketAccessToken = (code, clientId, clientSecret, redirectUri) => {
+  return request({
+    auth: {
+      user: clientId,
+      pass: clientSecret
+    },
+    headers: {
+      'Accept': 'application/json'
+    },
+    json: true,
+    method: 'POST',
+    uri: config.get('bitbucketAccessTokenUri'),
+    form: {
+      code,
+      grant_type: 'authorization_code',
+      redirect_uri: redirectUri
+    }
+  })
+    .then(res => res.access_token)
+    .catch(err => Promise.reject(errorHandler('BITBUCKET_AUTH_FAILED', {err}))) // eslint-disable-line handle-callback-err
+}
+
+const requestGiteaAccessToken = (code, clientId, clientSecret, redirectUri) => {
+  return request({
+    headers: {
+      'Accept': 'application/json'
+    },
+    json: true,
+    method: 'POST',
+    uri: `${config.get('giteaBaseUrl')}/login/oauth/access_token`,
+    body: {
+      code,
+      client_id: clientId,
+      client_secret: clientSecret,
+      grant_type: 'authorization_code',
+      redirect_uri: redirectUri
+    }
+  })
+    .then(res => res.access_token)
+    .catch(err => Promise.reject(errorHandler('GITEA_AUTH_FAILED', {err}))) // eslint-disable-line handle-callback-err
+}
+
 const requestGitHubAccessToken = (code, clientId, clientSecret, redirectUri) => {
   return request({
     headers: {
@@ -44,6 +86,8 @@ const requestGitLabAccessToken = (code, clientId, clientSecret, redirectUri) =>
 }
 
 module.exports = {
+  requestBitbucketAccessToken,
+  requestGiteaAccessToken,
   requestGitHubAccessToken,
   requestGitLabAccessToken
 }
@@ -22,3 +22,19 @@ module.exports.decrypt = text => {
     return null
   }
 }
+
+module.exports.sign = text => {
+  try {
+    return key.sign(text, 'base64')
+  } catch (err) {
+    return null
+  }
+}
+
+module.exports.verify = (text, signature) => {
+  try {
+    return key.verify(text, signature, 'utf8', 'base64')
+  } catch (err) {
+    return false
+  }
+}
@@ -0,0 +1,114 @@
+'use strict'
+
+const Akismet = require('./Akismet')
+const FieldPaths = require('./FieldPaths')
+const fs = require('fs')
+const path = require('path')
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi
+
+// Text of the fields listed in `options.fields`, or of every field.
+const getTexts = (fields, options) => {
+  return FieldPaths.getLeaves(fields)
+    .filter(({path}) => !options.fields || FieldPaths.isListed(path, [].concat(options.fields)))
+    .map(({value}) => value)
+    .filter(value => typeof value === 'string')
+}
+
+const result = (isSpam, reason) => ({
+  score: isSpam ? 1 : 0,
+  reason: isSpam ? reason : null
+})
+
+const akismet = (fields, options, {ip, siteConfig, userAgent}) => {
+  return Akismet.checkSpam(Akismet.getComment(fields, siteConfig, {ip, userAgent})).then(isSpam => {
+    return result(isSpam, 'Flagged as spam by Akismet')
+  })
+}
+
+const blocklist = (fields, {patterns = [], words = [], fields: fieldNames}) => {
+  const texts = getTexts(fields, {fields: fieldNames})
+  const wordMatches = words.filter(word => {
+    return texts.some(text => text.toLowerCase().indexOf(String(word).toLowerCase()) !== -1)
+  })
+  const patternMatches = patterns.filter(pattern => {
+    const regex = new RegExp(pattern, 'i')
+
+    return texts.some(text => regex.test(text))
+  })
+  const matches = wordMatches.concat(patternMatches)
+
+  return result(matches.length > 0, `Matches the blocklist: ${matches.join(', ')}`)
+}
+
+const caps = (fields, {minLength = 20, ratio = 0.7, fields: fieldNames}) => {
+  const letters = getTexts(fields, {fields: fieldNames}).join('').replace(/[^a-zA-Z]/g, '')
+  const upperCaseLetters = letters.replace(/[^A-Z]/g, '')
+  const capsRatio = letters.length ? upperCaseLetters.length / letters.length : 0
+
+  return result(
+    letters.length >= minLength && capsRatio >= ratio,
+    `${Math.round(capsRatio * 100)}% of the letters are capitals`
+  )
+}
+
+const honeypot = (fields, {fields: fieldNames = []}) => {
+  const filledFields = [].concat(fieldNames).filter(field => {
+    const value = fields[field]
+
+    return value !== undefined && value !== null && String(value).trim() !== ''
+  })
+
+  return result(filledFields.length > 0, `Honeypot fields filled in: ${filledFields.join(', ')}`)
+}
+
+const links = (fields, {max = 2, fields: fieldNames}) => {
+  const count = getTexts(fields, {fields: fieldNames}).reduce((count, text) => {
+    return count + (text.match(LINK_PATTERN) || []).length
+  }, 0)
+
+  return result(count > max, `Contains ${count} links, more than the ${max} allowed`)
+}
+
+// Checks take the fields of the entry, the options set in the site config and
+// the `ip`, `userAgent` and `siteConfig` of the request, and return (or resolve
+// to) a `score` between 0 and 1 and the `reason` for it.
+const checks = {
+  akismet,
+  blocklist,
+  caps,
+  honeypot,
+  links
+}
+
+// Returns the check registered under `name`, if any.
+const get = name => {
+  return Object.prototype.hasOwnProperty.call(checks, name)
+    ? checks[name]
+    : undefined
+}
+
+// Makes a check available to site configs under `name`, replacing any
+// built-in check with the same name.
+const register = (name, checkFn) => {
+  if (typeof checkFn !== 'function') {
+    throw new TypeError(`Spam check \`${name}\` must be a function`)
+  }
+
+  checks[name] = checkFn
+}
+
+// Registers each `.js` module in `directory` as a check named after the file.
+const loadDirectory = directory => {
+  fs.readdirSync(directory)
+    .filter(file => path.extname(file) === '.js')
+    .forEach(file => {
+      register(path.basename(file, '.js'), require(path.resolve(directory, file)))
+    })
+}
+
+module.exports = {
+  get,
+  loadDirectory,
+  register
+}
@@ -1,20 +1,98 @@
-const akismetApi = require('akismet')
+const Akismet = require('./Akismet')
 const config = require('../config')
+const crypto = require('crypto')
+const Csv = require('./Csv')
 const errorHandler = require('./ErrorHandler')
+const FieldPaths = require('./FieldPaths')
+const FieldRules = require('./FieldRules')
+const FormTimestamp = require('./FormTimestamp')
 const gitFactory = require('./GitServiceFactory')
+const IdempotencyStore = require('./IdempotencyStore')
 const markdownTable = require('markdown-table')
+const md5 = require('md5')
+const ModerationRules = require('./ModerationRules')
 const moment = require('moment')
 const Mailgun = require('mailgun-js')
 const NodeRSA = require('node-rsa')
 const objectPath = require('object-path')
+const path = require('path')
 const RSA = require('./RSA')
 const SiteConfig = require('../siteConfig')
 const slugify = require('slug')
+const SpamChecks = require('./SpamChecks')
 const SubscriptionsManager = require('./SubscriptionsManager')
-const Transforms = require('./Transforms')
+const toml = require('@iarna/toml')
+const TransformRegistry = require('./TransformRegistry')
+const TrustedAuthors = require('./TrustedAuthors')
+const {ulid} = require('ulid')
 const uuidv1 = require('uuid/v1')
+const uuidv4 = require('uuid/v4')
 const yaml = require('js-yaml')
 
+// Formats that can hold a list of entries, for the `append` storage mode.
+const APPENDABLE_FORMATS = ['json', 'yaml', 'yml', 'csv', 'jsonl']
+const DEFAULT_CONFIG_FILE = 'staticman.yml'
+const TOML_CONFIG_FILE = 'staticman.toml'
+
+// Filters for placeholders, as in `{options.slug | default:'misc'}`. Each
+// takes the text resolved so far and the argument given after the colon.
+const PLACEHOLDER_FILTERS = {
+  default: (text, fallback = '') => text === '' ? fallback : text,
+  downcase: text => text.toLowerCase(),
+  slugify: text => slugify(text).toLowerCase(),
+  trim: text => text.trim(),
+  truncate: (text, length) => {
+    const maxLength = parseInt(length, 10)
+
+    return isNaN(maxLength) ? text : text.slice(0, maxLength)
+  },
+  upcase: text => text.toUpperCase()
+}
+
+// File extensions for each type of upload that can be accepted. Uploads
+// are always saved with one of these, whatever their original name, so that
+// a file sent as an image can't be served as a page by the site.
+const UPLOAD_EXTENSIONS = {
+  'application/pdf': ['pdf'],
+  'audio/mpeg': ['mp3'],
+  'audio/ogg': ['ogg', 'oga'],
+  'image/avif': ['avif'],
+  'image/gif': ['gif'],
+  'image/jpeg': ['jpg', 'jpeg'],
+  'image/png': ['png'],
+  'image/webp': ['webp'],
+  'text/plain': ['txt'],
+  'video/mp4': ['mp4'],
+  'video/webm': ['webm']
+}
+
+// Options that differ between repeats of the same submission, which are
+// left out of its content hash and of quarantined entries.
+const VOLATILE_OPTIONS = ['formTimestamp', 'idempotencyKey', 'reCaptcha']
+
+// Options holding the encrypted OAuth tokens of authors, which are accepted
+// as they are and so must never be committed to the repository.
+const CREDENTIAL_OPTIONS = ['auth-token', 'github-token']
+
+const omitOptions = (options, names) => {
+  return Object.keys(options).reduce((result, name) => {
+    if (names.indexOf(name) === -1) {
+      result[name] = options[name]
+    }
+
+    return result
+  }, {})
+}
+
+// Characters that have no place in a repository path, and encoded forms of
+// `.`, `/`, `\` and `%` that some git hosts would decode into separators.
+const UNSAFE_PATH_CHARACTERS = /[\u0000-\u001f\u007f\\]|%(2e|2f|5c|25)/i
+
+// Request headers that may carry credentials, which must never end up in
+// the repository through a `requestHeader` generated field.
+const PRIVATE_REQUEST_HEADERS = ['authorization', 'cookie', 'proxy-authorization']
+const WORDS_PER_MINUTE = 200
+
 class Staticman {
   constructor (parameters) {
     return (async () => {
@@ -39,6 +117,10 @@ class Staticman {
       // Generate unique id
       this.uid = uuidv1()
 
+      this.requestHeaders = {}
+      this.uploadPaths = []
+      this.uploads = []
+
       this.rsa = new NodeRSA()
       this.rsa.importKey(config.get('rsaPrivateKey'), 'private')
 
@@ -51,9 +133,12 @@ class Staticman {
       _id: this.uid
     }
 
-    // Inject parent, if present
-    if (this.options.parent) {
-      internalFields._parent = this.options.parent
+    // Inject parent, if present. Edited entries keep the parent they were
+    // submitted to, whatever `options.parent` says.
+    const parent = this.previousEntry ? this.previousEntry._parent : this.options.parent
+
+    if (parent) {
+      internalFields._parent = parent
     }
 
     return Object.assign(internalFields, data)
@@ -71,8 +156,9 @@ class Staticman {
         const options = generatedField.options || {}
 
         switch (generatedField.type) {
+          // An edited entry keeps the date it was first submitted on.
           case 'date':
-            data[field] = this._createDate(options)
+            data[field] = this._getPreviousValue(field) || this._createDate(options)
 
             break
 
@@ -94,6 +180,63 @@ class Staticman {
             }
 
             break
+
+          // Ids are assigned once, and kept when an entry is edited.
+          case 'uuid':
+            data[field] = this._getPreviousValue(field) || uuidv4()
+
+            break
+
+          case 'ulid':
+            data[field] = this._getPreviousValue(field) || ulid()
+
+            break
+
+          case 'requestHeader':
+            if (
+              typeof options.name === 'string' &&
+              PRIVATE_REQUEST_HEADERS.indexOf(options.name.toLowerCase()) === -1 &&
+              this.requestHeaders[options.name.toLowerCase()] !== undefined
+            ) {
+              data[field] = this.requestHeaders[options.name.toLowerCase()]
+            }
+
+            break
+
+          case 'hashedIp':
+            if (this.ip) {
+              data[field] = this._hashIp(this.ip)
+            }
+
+            break
+
+          case 'gravatar':
+            const email = this._getFieldValue(data, options.field)
+
+            if (typeof email === 'string') {
+              data[field] = this._getGravatarUrl(email, options)
+            }
+
+            break
+
+          case 'wordCount':
+          case 'readingTime':
+            const content = this._getFieldValue(data, options.field)
+
+            if (typeof content === 'string') {
+              const words = (content.replace(/<[^>]*>/g, ' ').match(/\S+/g) || []).length
+
+              data[field] = generatedField.type === 'wordCount'
+                ? words
+                : Math.max(1, Math.ceil(words / (options.wordsPerMinute || WORDS_PER_MINUTE)))
+            }
+
+            break
+
+          // Sequence numbers are assigned by `_applySequenceFields`, as they
+          // require a round trip to the repository.
+          case 'sequence':
+            break
         }
       } else {
         data[field] = generatedField
@@ -103,59 +246,242 @@ class Staticman {
     return data
   }
 
+  _applySequenceFields (data) {
+    const generatedFields = this.siteConfig.get('generatedFields') || {}
+    const sequenceFields = Object.keys(generatedFields).filter(field => {
+      return generatedFields[field] && generatedFields[field].type === 'sequence'
+    })
+
+    // Fields are numbered one after the other, so that two of them sharing a
+    // counter file don't conflict with each other.
+    return sequenceFields.reduce((queue, field) => queue.then(() => {
+      // Edits keep the number of the entry, and don't move the counter on.
+      if (this.previousEntry) {
+        if (this.previousEntry[field] !== undefined) {
+          data[field] = this.previousEntry[field]
+        }
+
+        return
+      }
+
+      return this._getNextInSequence(field, generatedFields[field].options || {}, data).then(value => {
+        data[field] = value
+      })
+    }), Promise.resolve()).then(() => data)
+  }
+
   _applyTransforms (fields) {
     const transforms = this.siteConfig.get('transforms')
 
     if (!transforms) return Promise.resolve(fields)
 
-    // This doesn't serve any purpose for now, but we might want to have
-    // asynchronous transforms in the future.
-    let queue = []
+    // Fields are transformed one after the other, and each transform is
+    // given the output of the previous one, so that asynchronous transforms
+    // see the value they expect.
+    return Object.keys(transforms).reduce((queue, field) => {
+      const steps = this._getTransformSteps(transforms[field])
+
+      return queue.then(() => FieldPaths.updateValues(fields, field, value => {
+        if (!value) return value
+
+        return steps.reduce((result, {transformFn, options}) => {
+          return result.then(value => transformFn(value, options, {field, fields}))
+        }, Promise.resolve(value))
+      }))
+    }, Promise.resolve()).then(() => {
+      return fields
+    })
+  }
+
+  _applyUploads (fields) {
+    if (!this.uploads.length) return Promise.resolve([])
 
-    Object.keys(transforms).forEach(field => {
-      if (!fields[field]) return
+    if (!this.siteConfig.get('uploads.enabled')) {
+      return Promise.reject(errorHandler('UPLOADS_DISABLED'))
+    }
 
-      let transformNames = [].concat(transforms[field])
+    if (this._isAppending()) {
+      return Promise.reject(errorHandler('UPLOADS_NOT_APPENDABLE'))
+    }
 
-      transformNames.forEach(transformName => {
-        let transformFn = Transforms[transformName]
+    if (this.uploads.length > this.siteConfig.get('uploads.maxFiles')) {
+      return Promise.reject(errorHandler('TOO_MANY_UPLOADS'))
+    }
 
-        if (transformFn) {
-          fields[field] = transformFn(fields[field])
-        }
-      })
+    const allowedTypes = this.siteConfig.get('uploads.allowedTypes')
+    const maxSize = this.siteConfig.get('uploads.maxSize')
+    const fieldPattern = /^fields\[([^\]]+)\](\[\])?$/
+    const uploadNames = uploads => uploads.map(upload => upload.originalname)
+
+    const unnamedUploads = this.uploads.filter(upload => !fieldPattern.test(upload.fieldname))
+
+    if (unnamedUploads.length) {
+      return Promise.reject(errorHandler('INVALID_UPLOAD', {
+        data: unnamedUploads.map(upload => upload.fieldname)
+      }))
+    }
+
+    const invalidTypes = this.uploads.filter(upload => {
+      return allowedTypes.indexOf(upload.mimetype) === -1 ||
+        !Object.prototype.hasOwnProperty.call(UPLOAD_EXTENSIONS, upload.mimetype)
     })
 
-    return Promise.all(queue).then((results) => {
-      return fields
+    if (invalidTypes.length) {
+      return Promise.reject(errorHandler('INVALID_UPLOAD_TYPE', {
+        data: uploadNames(invalidTypes)
+      }))
+    }
+
+    const oversizedUploads = this.uploads.filter(upload => upload.size > maxSize)
+
+    if (oversizedUploads.length) {
+      return Promise.reject(errorHandler('UPLOAD_TOO_LARGE', {
+        data: uploadNames(oversizedUploads)
+      }))
+    }
+
+    const directory = this._getUploadPath(fields)
+    const usedPaths = this.uploadPaths
+
+    const files = this.uploads.map(upload => {
+      const [, field, isList] = upload.fieldname.match(fieldPattern)
+      const extensions = UPLOAD_EXTENSIONS[upload.mimetype]
+      const originalExtension = upload.originalname.indexOf('.') > 0
+        ? upload.originalname.split('.').pop().toLowerCase()
+        : ''
+      const extension = extensions.indexOf(originalExtension) === -1 ? extensions[0] : originalExtension
+      const basename = slugify(upload.originalname.replace(/\.[^.]*$/, '')).toLowerCase() || 'upload'
+
+      let filePath = `${directory}/${this.uid}-${basename}.${extension}`
+
+      // Two uploads with the same name would otherwise overwrite each other.
+      if (usedPaths.indexOf(filePath) !== -1) {
+        filePath = `${directory}/${this.uid}-${basename}-${usedPaths.length}.${extension}`
+      }
+
+      usedPaths.push(filePath)
+
+      if (isList || fields[field] !== undefined) {
+        fields[field] = [].concat(fields[field] || [], filePath)
+      } else {
+        fields[field] = filePath
+      }
+
+      return {
+        path: filePath,
+        content: upload.buffer
+      }
     })
+
+    return Promise.resolve(files)
   }
 
+  // Scores the entry with the spam checks set in the site config, and decides
+  // from the total whether it is accepted, moderated or rejected. Resolves to
+  // the fields without honeypot fields.
   _checkForSpam (fields) {
-    if (!this.siteConfig.get('akismet.enabled')) return Promise.resolve(fields)
+    const submittedFields = Object.assign({}, fields)
 
-    return new Promise((resolve, reject) => {
-      const akismet = akismetApi.client({
-        apiKey: config.get('akismet.apiKey'),
-        blog: config.get('akismet.site')
-      })
+    let steps
 
-      akismet.checkSpam({
-        user_ip: this.ip,
-        user_agent: this.userAgent,
-        comment_type: this.siteConfig.get('akismet.type'),
-        comment_author: fields[this.siteConfig.get('akismet.author')],
-        comment_author_email: fields[this.siteConfig.get('akismet.authorEmail')],
-        comment_author_url: fields[this.siteConfig.get('akismet.authorUrl')],
-        comment_content: fields[this.siteConfig.get('akismet.content')]
-      }, (err, isSpam) => {
-        if (err) return reject(err)
+    // Entries released from quarantine have been checked by a person.
+    if (this.isReleased) return Promise.resolve(fields)
 
-        if (isSpam) return reject(errorHandler('IS_SPAM'))
+    return Promise.resolve().then(() => {
+      steps = this._getSpamCheckSteps()
 
-        return resolve(fields)
-      })
+      return this._checkHoneypot(fields, steps.some(({name}) => name === 'honeypot'))
+    }).then(() => {
+      return this._checkFormTimestamp()
+    }).then(() => {
+      const context = {
+        ip: this.ip,
+        siteConfig: this.siteConfig,
+        userAgent: this.userAgent
+      }
+
+      // Kept for the pull request, so the moderation decision can be
+      // reported back to Akismet with the data it was asked about.
+      if (steps.some(({name}) => name === 'akismet')) {
+        this.akismetComment = Akismet.getComment(submittedFields, this.siteConfig, context)
+      }
+
+      return Promise.all(steps.map(({checkFn, name, options, weight}) => {
+        return Promise.resolve(checkFn(submittedFields, options, context)).then(({reason = null, score = 0} = {}) => ({
+          name,
+          reason,
+          score: score * weight
+        }))
+      }))
+    }).then(checks => {
+      const score = checks.reduce((total, check) => total + check.score, 0)
+      const moderationThreshold = this.siteConfig.get('spam.moderationThreshold')
+      const rejectionThreshold = this.siteConfig.get('spam.rejectionThreshold')
+      const isOver = threshold => threshold > 0 && score >= threshold
+
+      this.spamReport = {
+        checks,
+        score,
+        verdict: isOver(rejectionThreshold) ? 'reject' : (isOver(moderationThreshold) ? 'moderate' : 'accept')
+      }
+
+      if (this.spamReport.verdict === 'reject') {
+        // Only new entries are quarantined, as releasing an entry creates it.
+        if (this.siteConfig.get('spam.quarantine.enabled') && !this.previousEntry) {
+          return this._quarantineEntry(fields).then(() => {
+            return Promise.reject(errorHandler('ENTRY_QUARANTINED'))
+          })
+        }
+
+        return Promise.reject(errorHandler('IS_SPAM'))
+      }
+
+      return fields
+    })
+  }
+
+  _checkFormTimestamp () {
+    if (!this.siteConfig.get('submissionTiming.enabled')) return Promise.resolve()
+
+    if (!this.options.formTimestamp) {
+      return Promise.reject(errorHandler('FORM_TIMESTAMP_MISSING'))
+    }
+
+    const issuedAt = FormTimestamp.getIssuedAt(this.options.formTimestamp, this.parameters)
+    const age = (Date.now() - issuedAt) / 1000
+
+    if (issuedAt === null || age < 0 || age > this.siteConfig.get('submissionTiming.maximumAge')) {
+      return Promise.reject(errorHandler('FORM_TIMESTAMP_INVALID'))
+    }
+
+    if (age < this.siteConfig.get('submissionTiming.minimumTime')) {
+      return Promise.reject(errorHandler('SUBMITTED_TOO_QUICKLY'))
+    }
+
+    return Promise.resolve()
+  }
+
+  _checkHoneypot (fields, isScored) {
+    const honeypotFields = this.siteConfig.get('honeypot.fields')
+    const isFilled = honeypotFields.some(field => {
+      const value = fields[field]
+
+      return value !== undefined && value !== null && String(value).trim() !== ''
+    })
+
+    // Honeypot fields are not part of the entry, so they never go through
+    // the `allowedFields` validation or end up in the repository.
+    honeypotFields.forEach(field => {
+      delete fields[field]
     })
+
+    // With a `honeypot` spam check, filled in fields add to the spam score
+    // rather than getting the entry rejected straight away.
+    if (isFilled && !isScored) {
+      return Promise.reject(errorHandler('HONEYPOT_FILLED'))
+    }
+
+    return Promise.resolve(fields)
   }
 
   async _checkAuth () {
@@ -164,7 +490,9 @@ class Staticman {
       return this._checkAuthV2()
     }
 
-    if (!this.siteConfig.get('auth.required')) {
+    // Quarantined entries don't keep the token of their author, and the
+    // release key vouches for them instead.
+    if (!this.siteConfig.get('auth.required') || this.isReleased) {
       return Promise.resolve(false)
     }
 
@@ -237,10 +565,29 @@ class Staticman {
 
   _createFile (fields) {
     return new Promise((resolve, reject) => {
-      switch (this.siteConfig.get('format').toLowerCase()) {
+      const format = this.siteConfig.get('format').toLowerCase()
+
+      switch (format) {
         case 'json':
           return resolve(JSON.stringify(fields))
 
+        // Line-based formats hold a list of entries, one per line or row,
+        // so a single entry is written as a list with one item.
+        case 'jsonl':
+          return resolve([].concat(fields).map(entry => JSON.stringify(entry) + '\n').join(''))
+
+        case 'csv':
+          return resolve(this._createCsv([].concat(fields)))
+
+        case 'toml':
+          try {
+            const output = toml.stringify(fields)
+
+            return resolve(output)
+          } catch (err) {
+            return reject(err)
+          }
+
         case 'yaml':
         case 'yml':
           try {
@@ -252,23 +599,35 @@ class Staticman {
           }
 
         case 'frontmatter':
-          const transforms = this.siteConfig.get('transforms')
-
-          const contentField = transforms && Object.keys(transforms).find(field => {
-            return transforms[field] === 'frontmatterContent'
-          })
+        case 'frontmatter-toml':
+          const contentField = this._getFrontmatterContentField()
 
           if (!contentField) {
             return reject(errorHandler('NO_FRONTMATTER_CONTENT_TRANSFORM'))
           }
 
-          const content = fields[contentField]
           const attributeFields = Object.assign({}, fields)
+          const contentValue = fields[contentField]
+
+          let content = ''
+
+          // The body only holds text, so content in object form is kept in
+          // the frontmatter, where it can be read back with the attributes.
+          if (contentValue === null || typeof contentValue !== 'object') {
+            content = contentValue === undefined ? '' : contentValue
 
-          delete attributeFields[contentField]
+            delete attributeFields[contentField]
+          }
+
+          if (this.siteConfig.get('frontmatter.markdown') && typeof content === 'string') {
+            content = TransformRegistry.get('markdown')(content)
+          }
 
           try {
-            const output = `---\n${yaml.safeDump(attributeFields)}---\n${content}\n`
+            const language = format === 'frontmatter-toml'
+              ? 'toml'
+              : this.siteConfig.get('frontmatter.language')
+            const output = this._serialiseFrontmatter(attributeFields, content, language)
 
             return resolve(output)
           } catch (err) {
@@ -281,17 +640,116 @@ class Staticman {
     })
   }
 
+  // Commits a change to the list of entries kept in a single file by the
+  // `append` storage mode, either directly or through a review.
+  _changeEntries (filePath, changeEntries, commitMessage, reviewBranch, reviewBody) {
+    if (APPENDABLE_FORMATS.indexOf(this.siteConfig.get('format').toLowerCase()) === -1) {
+      return Promise.reject(errorHandler('INVALID_APPEND_FORMAT'))
+    }
+
+    const change = (entries = []) => {
+      // An empty YAML file parses as `null`.
+      if (entries === null) entries = []
+
+      if (!Array.isArray(entries)) {
+        return Promise.reject(errorHandler('INVALID_APPEND_FILE'))
+      }
+
+      return Promise.resolve(changeEntries(entries)).then(newEntries => {
+        return this._createFile(newEntries)
+      })
+    }
+
+    if (this._requiresModeration()) {
+      return this.git.changeFileAndSendReview(filePath, change, reviewBranch, commitMessage, reviewBody)
+    }
+
+    return this.git.changeFile(filePath, change, this.parameters.branch, commitMessage)
+  }
+
+  _findEntryIndex (entries) {
+    const index = entries.findIndex(entry => entry && entry._id === this.uid)
+
+    if (index === -1) {
+      return Promise.reject(errorHandler('ENTRY_NOT_FOUND'))
+    }
+
+    return Promise.resolve(index)
+  }
+
+  _createCsv (entries) {
+    const isObject = value => typeof value === 'object' && value !== null
+    const columns = ['_id'].concat(
+      this.siteConfig.get('allowedFields'),
+      Object.keys(this.siteConfig.get('generatedFields') || {})
+    )
+
+    // Columns that aren't in the site config, such as `_parent` or the
+    // columns of an existing file, are kept after the configured ones.
+    entries.forEach(entry => {
+      Object.keys(entry).forEach(key => {
+        if (columns.indexOf(key) === -1 && !isObject(entry[key])) {
+          columns.push(key)
+        }
+      })
+    })
+
+    const records = entries.map(entry => {
+      return columns.reduce((record, column) => {
+        // Rows read from an existing file are keyed by column already.
+        const values = Object.prototype.hasOwnProperty.call(entry, column)
+          ? [entry[column]]
+          : FieldPaths.getValues(entry, column)
+
+        record[column] = values.map(value => {
+          return isObject(value) ? JSON.stringify(value) : value
+        }).join(', ')
+
+        return record
+      }, {})
+    })
+
+    return Csv.stringify(records, columns)
+  }
+
+  // Edit tokens are signed as well as encrypted, as anyone can have text
+  // encrypted with the key of the server through the `encrypt` endpoint.
+  _createEditToken (filePath) {
+    const {branch, property, repository, service, username} = this.parameters
+    const payload = RSA.encrypt(JSON.stringify({
+      id: this.uid,
+      path: filePath,
+      issuedAt: new Date().getTime(),
+      branch,
+      property,
+      repository,
+      service,
+      username
+    }))
+
+    return `${payload}.${RSA.sign(payload)}`
+  }
+
   _generateReviewBody (fields) {
     let table = [
       ['Field', 'Content']
     ]
 
-    Object.keys(fields).forEach(field => {
-      table.push([field, fields[field]])
+    FieldPaths.getLeaves(fields).forEach(({path, value}) => {
+      table.push([path, value])
     })
 
     let message = this.siteConfig.get('pullRequestBody') + markdownTable(table)
 
+    if (this.spamReport && this.spamReport.checks.length) {
+      const spamTable = [['Spam check', 'Score', 'Reason']].concat(this.spamReport.checks.map(check => {
+        return [check.name, check.score, check.reason || '']
+      }))
+      const verdict = this.spamReport.verdict === 'moderate' ? ' (flagged for moderation)' : ''
+
+      message += `\n\n**Spam score: ${this.spamReport.score}**${verdict}\n\n${markdownTable(spamTable)}`
+    }
+
     if (this.siteConfig.get('notifications.enabled')) {
       const notificationsPayload = {
         configPath: this.configPath,
@@ -303,11 +761,67 @@ class Staticman {
       message += `\n\n<!--staticman_notification:${JSON.stringify(notificationsPayload)}-->`
     }
 
+    // Lets the merge count towards the entries needed to be trusted. Edits
+    // don't count, as they are of entries that were counted already.
+    if (this.author && this.siteConfig.get('trustedAuthors.minimumEntries') && !this.previousEntry) {
+      const authorPayload = {
+        author: this.author,
+        configPath: this.configPath,
+        parameters: this.parameters
+      }
+
+      message += `\n\n<!--staticman_author:${JSON.stringify(authorPayload)}-->`
+    }
+
+    if (this.akismetComment) {
+      message += `\n\n<!--staticman_akismet:${JSON.stringify(this.akismetComment)}-->`
+    }
+
     return message
   }
 
+  // Returns the keys that identify a submission in the idempotency store:
+  // one for the `idempotencyKey` option, if sent, and one for a hash of the
+  // fields, options and uploads, with whitespace normalised.
+  _getIdempotencyKeys (fields, options) {
+    const {branch, repository, service, username} = this.parameters
+    const scope = [service, username, repository, branch, this.configPath && this.configPath.path].join('/')
+    const normalise = value => {
+      if (Array.isArray(value)) return value.map(normalise)
+
+      if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((normalised, key) => {
+          normalised[key] = normalise(value[key])
+
+          return normalised
+        }, {})
+      }
+
+      return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : value
+    }
+    const content = normalise({
+      fields,
+      options: omitOptions(options, VOLATILE_OPTIONS),
+      uploads: this.uploads.map(({fieldname, originalname, size}) => [fieldname, originalname, size])
+    })
+    const hash = crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex')
+    const keys = [`${scope}:hash:${hash}`]
+
+    if (options.idempotencyKey) {
+      keys.unshift(`${scope}:key:${options.idempotencyKey}`)
+    }
+
+    return keys
+  }
+
   _getNewFilePath (data) {
     const configFilename = this.siteConfig.get('filename')
+
+    // Falling back to the id would append each entry to a file of its own.
+    if (this._isAppending() && !configFilename) {
+      throw errorHandler('MISSING_APPEND_FILENAME')
+    }
+
     const filename = (configFilename && configFilename.length)
       ? this._resolvePlaceholders(configFilename, {
         fields: data,
@@ -315,93 +829,484 @@ class Staticman {
       })
       : this.uid
 
-    let path = this._resolvePlaceholders(this.siteConfig.get('path'), {
-      fields: data,
-      options: this.options
-    })
-
-    // Remove trailing slash, if existing
-    if (path.slice(-1) === '/') {
-      path = path.slice(0, -1)
-    }
-
+    const path = this._resolvePath(this.siteConfig.get('path'), data)
     const extension = this.siteConfig.get('extension').length
       ? this.siteConfig.get('extension')
       : this._getExtensionForFormat(this.siteConfig.get('format'))
 
-    return `${path}/${filename}.${extension}`
+    return this._checkPath(`${path}/${filename}.${extension}`, this.siteConfig.get('path'))
   }
 
-  _getExtensionForFormat (format) {
-    switch (format.toLowerCase()) {
-      case 'json':
-        return 'json'
-
-      case 'yaml':
-      case 'yml':
-        return 'yml'
+  _getFieldValue (data, field) {
+    if (typeof field !== 'string') return undefined
 
-      case 'frontmatter':
-        return 'md'
-    }
+    return FieldPaths.getValues(data, field)[0]
   }
 
-  _initialiseSubscriptions () {
-    if (!this.siteConfig.get('notifications.enabled')) return null
+  _getGravatarUrl (email, {size, default: defaultImage} = {}) {
+    const query = []
 
-    // Initialise Mailgun
-    const mailgun = Mailgun({
-      apiKey: this.siteConfig.get('notifications.apiKey') || config.get('email.apiKey'),
-      domain: this.siteConfig.get('notifications.domain') || config.get('email.domain')
-    })
+    if (size) query.push(`s=${encodeURIComponent(size)}`)
+    if (defaultImage) query.push(`d=${encodeURIComponent(defaultImage)}`)
 
-    // Initialise SubscriptionsManager
-    const subscriptions = new SubscriptionsManager(this.parameters, this.git, mailgun)
+    const hash = md5(email.trim().toLowerCase())
 
-    return subscriptions
+    return `https://www.gravatar.com/avatar/${hash}${query.length ? `?${query.join('&')}` : ''}`
   }
 
-  _resolvePlaceholders (subject, baseObject) {
-    const matches = subject.match(/{(.*?)}/g)
+  // Moves on the counter of a `sequence` field, a file next to the entries by
+  // default, and returns the new number.
+  _getNextInSequence (field, {file, start = 1} = {}, data) {
+    const filePath = file
+      ? this._checkPath(this._resolvePlaceholders(file, {fields: data, options: this.options}), file)
+      : `${this._resolvePath(this.siteConfig.get('path'), data)}/.${field}.sequence`
 
-    if (!matches) return subject
+    let value
 
-    matches.forEach((match) => {
-      const escapedMatch = match.replace(/[-[\]/{}()*+?.\\^$|]/g, '\\$&')
-      const property = match.slice(1, -1)
+    return this.git.changeFile(filePath, current => {
+      const last = parseInt(current, 10)
 
-      let newText
+      value = isNaN(last) ? start : last + 1
 
-      switch (property) {
-        case '@timestamp':
-          newText = new Date().getTime()
+      return `${value}\n`
+    }, this.parameters.branch, `Update ${field} sequence`).then(() => value)
+  }
 
-          break
+  _getPreviousValue (field) {
+    return this.previousEntry ? this.previousEntry[field] : undefined
+  }
 
-        case '@id':
-          newText = this.uid
+  _hashIp (ip) {
+    const salt = config.get('ipHashSalt')
 
-          break
+    if (!salt) {
+      throw errorHandler('MISSING_IP_HASH_SALT')
+    }
 
-        default:
-          const timeIdentifier = '@date:'
+    // Proxies list the client first in `X-Forwarded-For`.
+    const clientIp = String(ip).split(',')[0].trim()
 
-          if (property.indexOf(timeIdentifier) === 0) {
-            const timePattern = property.slice(timeIdentifier.length)
+    return crypto.createHash('sha256').update(salt + clientIp).digest('hex')
+  }
 
-            newText = moment().format(timePattern)
-          } else {
-            newText = objectPath.get(baseObject, property) || ''
-          }
-      }
+  _getSpamCheckSteps () {
+    const checks = Object.assign({}, this.siteConfig.get('spam.checks'))
 
-      subject = subject.replace(new RegExp(escapedMatch, 'g'), newText)
-    })
+    // Sites that enabled Akismet before checks could be configured get it
+    // with its default options.
+    if (this.siteConfig.get('akismet.enabled') && !checks.akismet) {
+      checks.akismet = {}
+    }
 
-    return subject
-  }
+    return Object.keys(checks).map(name => {
+      const checkFn = SpamChecks.get(name)
 
-  _validateConfig (config) {
+      if (!checkFn) {
+        throw errorHandler('INVALID_SPAM_CHECK', {data: name})
+      }
+
+      const defaults = name === 'honeypot' ? {fields: this.siteConfig.get('honeypot.fields')} : {}
+      const options = Object.assign(defaults, checks[name])
+
+      return {
+        checkFn,
+        name,
+        options,
+        weight: options.weight === undefined ? 1 : Number(options.weight)
+      }
+    })
+  }
+
+  _getTransformSteps (transforms) {
+    // Each transform is either a name, or an object mapping names to the
+    // options for the transform, as in `{truncate: {length: 500}}`.
+    return [].concat(transforms).reduce((steps, transform) => {
+      if (typeof transform === 'string') {
+        return steps.concat({name: transform, options: {}})
+      }
+
+      if (transform && typeof transform === 'object') {
+        return steps.concat(Object.keys(transform).map(name => ({
+          name,
+          options: transform[name] || {}
+        })))
+      }
+
+      return steps
+    }, []).map(({name, options}) => ({
+      transformFn: TransformRegistry.get(name),
+      options
+    })).filter(({transformFn}) => transformFn)
+  }
+
+  _getUploadPath (data) {
+    return this._resolvePath(this.siteConfig.get('uploads.path') || this.siteConfig.get('path'), data)
+  }
+
+  // With `moderation: "trusted"`, works out whether the author of an entry
+  // can skip moderation, from the fields as submitted.
+  _checkTrustedAuthor (fields) {
+    this.author = null
+    this.isTrustedAuthor = false
+
+    if (this.siteConfig.get('moderation') !== 'trusted') return Promise.resolve(false)
+
+    const author = TrustedAuthors.getAuthor(fields, this.siteConfig, this.gitUser)
+
+    if (author.email || author.username) {
+      this.author = author
+    }
+
+    return TrustedAuthors.isTrusted(author, this.siteConfig, this.git).then(isTrusted => {
+      this.isTrustedAuthor = isTrusted
+
+      return isTrusted
+    })
+  }
+
+  _getQuarantineFile (id) {
+    const directory = this.siteConfig.get('spam.quarantine.path').replace(/\/$/, '')
+
+    return this._checkPath(`${directory}/${id}.json`, `${directory}/{id}.json`)
+  }
+
+  // Uploads are only committed with the entry they belong to, so the fields of
+  // entries that are not committed must not point to them.
+  _omitUploadPaths (fields) {
+    const isUploadPath = value => this.uploadPaths.indexOf(value) !== -1
+
+    return Object.keys(fields).reduce((result, name) => {
+      const value = fields[name]
+
+      if (Array.isArray(value)) {
+        const otherValues = value.filter(item => !isUploadPath(item))
+
+        if (otherValues.length || !value.length) result[name] = otherValues
+      } else if (!isUploadPath(value)) {
+        result[name] = value
+      }
+
+      return result
+    }, {})
+  }
+
+  // Commits an entry rejected as spam to the quarantine path, along with the
+  // scores of the spam checks and what is needed to release it later.
+  _quarantineEntry (fields) {
+    const record = {
+      _id: this.uid,
+      date: new Date().toISOString(),
+      reason: this.spamReport.checks.filter(check => check.score > 0).map(check => {
+        return `${check.name}: ${check.reason}`
+      }).join('\n'),
+      spamReport: this.spamReport,
+      fields: this._omitUploadPaths(fields),
+      options: omitOptions(this.options, VOLATILE_OPTIONS.concat(CREDENTIAL_OPTIONS))
+    }
+
+    return this.git.writeFile(
+      this._getQuarantineFile(this.uid),
+      JSON.stringify(record, null, 2),
+      this.siteConfig.get('spam.quarantine.branch') || this.parameters.branch,
+      `Quarantine Staticman entry ${this.uid}`
+    )
+  }
+
+  // Finds the action of the first rule in `moderationRules` matched by an
+  // entry, which `_requiresModeration` follows, and rejects the entry if the
+  // action is `reject`.
+  _checkModerationRules (fields, filePath) {
+    this.moderationAction = ModerationRules.getAction(this.siteConfig.get('moderationRules'), {
+      authenticated: Boolean(this.gitUser),
+      fields,
+      path: filePath,
+      spamScore: this.spamReport ? this.spamReport.score : 0
+    })
+
+    if (this.moderationAction === 'reject') {
+      return Promise.reject(errorHandler('REJECTED_BY_MODERATION_RULE'))
+    }
+
+    return Promise.resolve(fields)
+  }
+
+  _requiresModeration () {
+    const moderation = this.siteConfig.get('moderation')
+
+    // Entries flagged by the spam checks are always reviewed, so a rule can
+    // only make things stricter for them.
+    if (this.spamReport && this.spamReport.verdict === 'moderate') return true
+
+    if (this.moderationAction) return this.moderationAction === 'review'
+
+    if (moderation === 'trusted') return !this.isTrustedAuthor
+
+    return Boolean(moderation)
+  }
+
+  _resolvePath (configPath, data) {
+    let path = this._resolvePlaceholders(configPath, {
+      fields: data,
+      options: this.options
+    })
+
+    // Remove trailing slash, if existing
+    if (path.slice(-1) === '/') {
+      path = path.slice(0, -1)
+    }
+
+    return this._checkPath(path, configPath)
+  }
+
+  // Normalises a path built from placeholders, making sure that fields and
+  // options can't take it out of the part of the configured path that comes
+  // before the first placeholder.
+  _checkPath (filePath, configPath) {
+    if (UNSAFE_PATH_CHARACTERS.test(filePath)) {
+      throw errorHandler('INVALID_PATH', {data: filePath})
+    }
+
+    const normalisedPath = filePath && path.posix.normalize(filePath)
+      .replace(/^\.$/, '')
+      .replace(/(.)\/$/, '$1')
+    const staticPrefix = configPath.split('{')[0].replace(/[^/]*$/, '')
+    const root = staticPrefix && path.posix.normalize(staticPrefix).replace(/^\.\/$/, '')
+    const isContained = root
+      ? `${normalisedPath}/`.indexOf(root) === 0
+      : !path.posix.isAbsolute(normalisedPath) && `${normalisedPath}/`.indexOf('../') !== 0
+
+    if (!isContained) {
+      throw errorHandler('INVALID_PATH', {data: filePath})
+    }
+
+    return normalisedPath
+  }
+
+  _getExtensionForFormat (format) {
+    switch (format.toLowerCase()) {
+      case 'json':
+        return 'json'
+
+      case 'yaml':
+      case 'yml':
+        return 'yml'
+
+      case 'toml':
+        return 'toml'
+
+      case 'csv':
+        return 'csv'
+
+      case 'jsonl':
+        return 'jsonl'
+
+      case 'frontmatter':
+      case 'frontmatter-toml':
+        return 'md'
+    }
+  }
+
+  // Returns the entry with the current id from the file at `filePath`, or an
+  // empty object if the file can't be read. Entries in frontmatter files are
+  // made of the attributes in the frontmatter.
+  _readEntry (filePath) {
+    return Promise.resolve().then(() => {
+      return this.git.readFile(filePath)
+    }).then(content => {
+      if (typeof content === 'string') {
+        content = this._parseFrontmatter(content)
+      }
+
+      const entries = [].concat(content).filter(entry => typeof entry === 'object' && entry !== null)
+
+      return entries.find(entry => entry._id === this.uid) || {}
+    }).catch(() => ({}))
+  }
+
+  _isAppending () {
+    return this.siteConfig.get('storage') === 'append'
+  }
+
+  _getFrontmatterContentField () {
+    const contentField = this.siteConfig.get('frontmatter.contentField')
+
+    if (contentField) return contentField
+
+    const transforms = this.siteConfig.get('transforms') || {}
+
+    return Object.keys(transforms).find(field => {
+      return [].concat(transforms[field]).indexOf('frontmatterContent') !== -1
+    })
+  }
+
+  // Reads the attributes back from the frontmatter written by
+  // `_serialiseFrontmatter`, in any of its languages.
+  _parseFrontmatter (content) {
+    const tomlBlock = content.match(/^\+\+\+\r?\n([\s\S]*?)\+\+\+(\r?\n|$)/)
+    const yamlBlock = content.match(/^---\r?\n([\s\S]*?)---(\r?\n|$)/)
+    const jsonBlock = content.match(/^(\{[\s\S]*?\r?\n\})(\r?\n|$)/)
+
+    if (tomlBlock) return toml.parse(tomlBlock[1])
+
+    if (yamlBlock) return yaml.safeLoad(yamlBlock[1])
+
+    if (jsonBlock) return JSON.parse(jsonBlock[1])
+
+    return {}
+  }
+
+  _serialiseFrontmatter (attributes, content, language) {
+    switch (language) {
+      case 'toml':
+        return `+++\n${toml.stringify(attributes)}+++\n${content}\n`
+
+      case 'json':
+        // JSON frontmatter is delimited by the braces of the object itself.
+        return `${JSON.stringify(attributes, null, 2)}\n\n${content}\n`
+
+      case 'yaml':
+      default:
+        return `---\n${yaml.safeDump(attributes)}---\n${content}\n`
+    }
+  }
+
+  _getEditTokenData (id) {
+    if (!this.options['edit-token']) {
+      return Promise.reject(errorHandler('EDIT_TOKEN_MISSING'))
+    }
+
+    const [payload, signature] = String(this.options['edit-token']).split('.')
+
+    let tokenData = null
+
+    if (payload && signature && RSA.verify(payload, signature)) {
+      try {
+        tokenData = JSON.parse(RSA.decrypt(payload))
+      } catch (err) {
+        tokenData = null
+      }
+    }
+
+    // The token must have been issued for this very entry, on this very
+    // site, so it cannot be replayed against another repository.
+    const isValid = tokenData &&
+      tokenData.id === id &&
+      ['branch', 'property', 'repository', 'service', 'username'].every(key => {
+        return tokenData[key] === this.parameters[key]
+      })
+
+    if (!isValid) {
+      return Promise.reject(errorHandler('EDIT_TOKEN_INVALID'))
+    }
+
+    return Promise.resolve(tokenData)
+  }
+
+  _initialiseSubscriptions () {
+    if (!this.siteConfig.get('notifications.enabled')) return null
+
+    // Initialise Mailgun
+    const mailgun = Mailgun({
+      apiKey: this.siteConfig.get('notifications.apiKey') || config.get('email.apiKey'),
+      domain: this.siteConfig.get('notifications.domain') || config.get('email.domain')
+    })
+
+    // Initialise SubscriptionsManager
+    const subscriptions = new SubscriptionsManager(this.parameters, this.git, mailgun)
+
+    return subscriptions
+  }
+
+  _processFields (fields) {
+    return this._checkAuth().then(() => {
+      return this._checkForSpam(fields)
+    }).then(fields => {
+      return this._checkTrustedAuthor(fields).then(() => fields)
+    }).then(fields => {
+      // Validate fields
+      const fieldErrors = this._validateFields(fields)
+
+      if (fieldErrors) return Promise.reject(fieldErrors)
+
+      // Add generated fields
+      return this._applyGeneratedFields(fields)
+    }).then(fields => {
+      // Apply transforms
+      return this._applyTransforms(fields)
+    }).then(transformedFields => {
+      return this._applyInternalFields(transformedFields)
+    })
+  }
+
+  _resolvePlaceholders (subject, baseObject) {
+    const matches = subject.match(/{(.*?)}/g)
+
+    if (!matches) return subject
+
+    matches.forEach((match) => {
+      const escapedMatch = match.replace(/[-[\]/{}()*+?.\\^$|]/g, '\\$&')
+
+      // Placeholders may be followed by filters, as in `{fields.name | slugify}`,
+      // whose arguments may be quoted to contain a pipe.
+      const [property, ...filters] = (match.slice(1, -1).match(/(?:'[^']*'|"[^"]*"|[^|])+/g) || [''])
+        .map(part => part.trim())
+
+      let newText
+
+      switch (property) {
+        case '@timestamp':
+          newText = new Date().getTime()
+
+          break
+
+        case '@id':
+          newText = this.uid
+
+          break
+
+        default:
+          const timeIdentifier = '@date:'
+
+          if (property.indexOf(timeIdentifier) === 0) {
+            const timePattern = property.slice(timeIdentifier.length)
+
+            newText = moment().format(timePattern)
+          } else {
+            const value = objectPath.get(baseObject, property)
+
+            newText = (value === undefined || value === null) ? '' : value
+          }
+      }
+
+      newText = filters.reduce((text, filter) => {
+        return this._applyPlaceholderFilter(String(text), filter)
+      }, String(newText))
+
+      if (newText === '' && this.siteConfig && this.siteConfig.get('strictPlaceholders')) {
+        throw errorHandler('MISSING_PLACEHOLDER_VALUE', {data: match})
+      }
+
+      subject = subject.replace(new RegExp(escapedMatch, 'g'), () => newText)
+    })
+
+    return subject
+  }
+
+  _applyPlaceholderFilter (value, filter) {
+    const separatorIndex = filter.indexOf(':')
+    const name = separatorIndex === -1 ? filter : filter.slice(0, separatorIndex).trim()
+    const argument = separatorIndex === -1
+      ? undefined
+      : filter.slice(separatorIndex + 1).trim().replace(/^(['"])(.*)\1$/, '$2')
+
+    if (!Object.prototype.hasOwnProperty.call(PLACEHOLDER_FILTERS, name)) {
+      throw errorHandler('INVALID_PLACEHOLDER_FILTER', {data: name})
+    }
+
+    return PLACEHOLDER_FILTERS[name](value, argument)
+  }
+
+  _validateConfig (config) {
     if (!config) {
       return errorHandler('MISSING_CONFIG_BLOCK')
     }
@@ -437,21 +1342,24 @@ class Staticman {
     let missingRequiredFields = []
     let invalidFields = []
 
-    Object.keys(fields).forEach(field => {
-      // Check for any invalid fields
-      if ((this.siteConfig.get('allowedFields').indexOf(field) === -1) && (fields[field] !== '')) {
-        invalidFields.push(field)
-      }
+    const allowedFields = this.siteConfig.get('allowedFields')
+    const getPresentValues = field => FieldPaths.getValues(fields, field).filter(value => value !== '')
 
-      // Trim fields
-      if (typeof fields[field] === 'string') {
-        fields[field] = fields[field].trim()
+    // Check for any invalid fields
+    FieldPaths.getLeaves(fields).forEach(({path, value}) => {
+      if (!FieldPaths.isListed(path, allowedFields) && (value !== '') && (invalidFields.indexOf(path) === -1)) {
+        invalidFields.push(path)
       }
     })
 
+    // Trim fields
+    FieldPaths.mapLeaves(fields, value => {
+      return (typeof value === 'string') ? value.trim() : value
+    })
+
     // Check for missing required fields
     this.siteConfig.get('requiredFields').forEach(field => {
-      if ((fields[field] === undefined) || (fields[field] === '')) {
+      if (!getPresentValues(field).length) {
         missingRequiredFields.push(field)
       }
     })
@@ -468,6 +1376,28 @@ class Staticman {
       })
     }
 
+    // Check the values of fields against `fieldRules`
+    const fieldRules = this.siteConfig.get('fieldRules')
+    const brokenRules = Object.keys(fieldRules).reduce((brokenRules, field) => {
+      const values = getPresentValues(field)
+
+      if (!values.length) return brokenRules
+
+      const brokenRule = FieldRules.check(values, fieldRules[field] || {})
+
+      if (brokenRule) {
+        brokenRules.push(Object.assign({field}, brokenRule))
+      }
+
+      return brokenRules
+    }, [])
+
+    if (brokenRules.length) {
+      return errorHandler('INVALID_FIELD_VALUES', {
+        data: brokenRules
+      })
+    }
+
     return null
   }
 
@@ -479,12 +1409,26 @@ class Staticman {
     return this.parameters
   }
 
+  _readConfigFile () {
+    const {file} = this.configPath
+
+    if (file !== DEFAULT_CONFIG_FILE) return this.git.readFile(file)
+
+    // Sites may keep their config in `staticman.toml` instead, so that one is
+    // tried if the default file can't be read (but not if it's malformed).
+    return this.git.readFile(file).catch(err => {
+      if (err._smErrorCode === 'PARSING_ERROR') return Promise.reject(err)
+
+      return this.git.readFile(TOML_CONFIG_FILE).catch(() => Promise.reject(err))
+    })
+  }
+
   getSiteConfig (force) {
     if (this.siteConfig && !force) return Promise.resolve(this.siteConfig)
 
     if (!this.configPath) return Promise.reject(errorHandler('NO_CONFIG_PATH'))
 
-    return this.git.readFile(this.configPath.file).then(data => {
+    return this._readConfigFile().then(data => {
       const config = objectPath.get(data, this.configPath.path)
       const validationErrors = this._validateConfig(config)
 
@@ -500,32 +1444,239 @@ class Staticman {
     })
   }
 
+  processDelete (id, options) {
+    this.options = Object.assign({}, options)
+
+    const reviewBranch = 'staticman_' + this.uid
+
+    return this.getSiteConfig().then(config => {
+      if (!config.get('deletion.enabled')) {
+        return Promise.reject(errorHandler('DELETION_DISABLED'))
+      }
+
+      return this._getEditTokenData(id)
+    }).then(tokenData => {
+      const filePath = this._checkPath(tokenData.path, this.siteConfig.get('path'))
+
+      this.uid = tokenData.id
+
+      const commitMessage = this._resolvePlaceholders(this.siteConfig.get('deletion.commitMessage'), {
+        options
+      })
+
+      if (this._isAppending()) {
+        return this._changeEntries(
+          filePath,
+          entries => this._findEntryIndex(entries).then(index => {
+            return entries.slice(0, index).concat(entries.slice(index + 1))
+          }),
+          commitMessage,
+          reviewBranch,
+          `The author of this entry has asked for it to be deleted.\n\nFile: \`${filePath}\`\nEntry: \`${this.uid}\``
+        )
+      }
+
+      if (this._requiresModeration()) {
+        return this.git.deleteFileAndSendReview(
+          filePath,
+          reviewBranch,
+          commitMessage,
+          `The author of this entry has asked for it to be deleted.\n\nFile: \`${filePath}\``
+        )
+      }
+
+      return this.git.deleteFile(
+        filePath,
+        this.parameters.branch,
+        commitMessage
+      )
+    }).then(result => {
+      return {
+        redirect: options.redirect ? options.redirect : false
+      }
+    }).catch(err => {
+      return Promise.reject(errorHandler('ERROR_PROCESSING_DELETION', {
+        err,
+        instance: this
+      }))
+    })
+  }
+
+  // Takes an entry out of quarantine and processes it as a new entry,
+  // without spam checks. Releasing entries requires the key set in
+  // `spam.quarantine.releaseKey`.
+  processRelease (id, options) {
+    let filePath
+    let quarantineBranch
+    let response
+
+    return this.getSiteConfig().then(config => {
+      const releaseKey = config.get('spam.quarantine.releaseKey')
+
+      if (!config.get('spam.quarantine.enabled')) {
+        return Promise.reject(errorHandler('QUARANTINE_DISABLED'))
+      }
+
+      if (!releaseKey || !options.releaseKey || options.releaseKey !== releaseKey) {
+        return Promise.reject(errorHandler('RELEASE_KEY_INVALID'))
+      }
+
+      filePath = this._getQuarantineFile(id)
+      quarantineBranch = config.get('spam.quarantine.branch') || this.parameters.branch
+
+      return this.git.readFile(filePath, false, quarantineBranch)
+    }).then(record => {
+      this.isReleased = true
+      this.uid = record._id
+
+      return this.processEntry(record.fields, record.options)
+    }).then(entryResponse => {
+      response = entryResponse
+
+      return this.git.deleteFile(filePath, quarantineBranch, `Release Staticman entry ${id} from quarantine`)
+    }).then(() => response).catch(err => {
+      return Promise.reject(errorHandler('ERROR_PROCESSING_RELEASE', {
+        err,
+        instance: this
+      }))
+    })
+  }
+
+  processEdit (id, fields, options) {
+    this.fields = Object.assign({}, fields)
+    this.options = Object.assign({}, options)
+
+    // Edits are reviewed on a branch of their own, but the entry keeps its id.
+    const reviewBranch = 'staticman_' + this.uid
+
+    let filePath
+
+    return this.getSiteConfig().then(config => {
+      if (!config.get('editing.enabled')) {
+        return Promise.reject(errorHandler('EDITING_DISABLED'))
+      }
+
+      return this._getEditTokenData(id)
+    }).then(tokenData => {
+      const expiresAt = tokenData.issuedAt + (this.siteConfig.get('editing.window') * 1000)
+
+      if (new Date().getTime() > expiresAt) {
+        return Promise.reject(errorHandler('EDIT_WINDOW_EXPIRED'))
+      }
+
+      filePath = this._checkPath(tokenData.path, this.siteConfig.get('path'))
+      this.uid = tokenData.id
+
+      return this._readEntry(filePath)
+    }).then(previousEntry => {
+      this.previousEntry = previousEntry
+
+      return this._processFields(fields)
+    }).then(extendedFields => {
+      return this._checkModerationRules(extendedFields, filePath)
+    }).then(extendedFields => {
+      // Edits keep the numbers of the entry, whether they are reviewed or not.
+      return this._applySequenceFields(extendedFields)
+    }).then(extendedFields => {
+      const commitMessage = this._resolvePlaceholders(this.siteConfig.get('editing.commitMessage'), {
+        fields,
+        options
+      })
+
+      if (this._isAppending()) {
+        return this._changeEntries(
+          filePath,
+          entries => this._findEntryIndex(entries).then(index => {
+            return entries.slice(0, index).concat(extendedFields, entries.slice(index + 1))
+          }),
+          commitMessage,
+          reviewBranch,
+          this._generateReviewBody(fields)
+        )
+      }
+
+      return this._createFile(extendedFields).then(data => {
+        if (this._requiresModeration()) {
+          return this.git.updateFileAndSendReview(
+            filePath,
+            data,
+            reviewBranch,
+            commitMessage,
+            this._generateReviewBody(fields)
+          )
+        }
+
+        return this.git.updateFile(
+          filePath,
+          data,
+          this.parameters.branch,
+          commitMessage
+        )
+      })
+    }).then(result => {
+      return {
+        fields: fields,
+        redirect: options.redirect ? options.redirect : false
+      }
+    }).catch(err => {
+      return Promise.reject(errorHandler('ERROR_PROCESSING_EDIT', {
+        err,
+        instance: this
+      }))
+    })
+  }
+
   processEntry (fields, options) {
     this.fields = Object.assign({}, fields)
     this.options = Object.assign({}, options)
 
     return this.getSiteConfig().then(config => {
-      return this._checkAuth()
-    }).then(() => {
-      return this._checkForSpam(fields)
-    }).then(fields => {
-      // Validate fields
-      const fieldErrors = this._validateFields(fields)
+      if (config.get('idempotency.enabled')) {
+        return this._createEntryOnce(fields, options)
+      }
 
-      if (fieldErrors) return Promise.reject(fieldErrors)
+      return this._createEntry(fields, options)
+    }).catch(err => {
+      return Promise.reject(errorHandler('ERROR_PROCESSING_ENTRY', {
+        err,
+        instance: this
+      }))
+    })
+  }
 
-      // Add generated fields
-      fields = this._applyGeneratedFields(fields)
+  _createEntry (fields, options) {
+    let entry
+    let filePath
+    let uploadedFiles
 
-      // Apply transforms
-      return this._applyTransforms(fields)
-    }).then(transformedFields => {
-      return this._applyInternalFields(transformedFields)
+    return this._applyUploads(fields).then(files => {
+      uploadedFiles = files
+
+      return this._processFields(fields)
+    }).then(extendedFields => {
+      filePath = this._getNewFilePath(fields)
+
+      return this._checkModerationRules(extendedFields, filePath)
+    }).then(extendedFields => {
+      // Counters are committed to the branch straight away, so only entries
+      // that go straight to the branch too get a number. Entries sent for
+      // review could still be turned down.
+      if (this._requiresModeration()) return extendedFields
+
+      return this._applySequenceFields(extendedFields)
     }).then(extendedFields => {
+      entry = extendedFields
+
+      // Appended entries are written along with the rest of the list
+      if (this._isAppending()) return null
+
       // Create file
       return this._createFile(extendedFields)
     }).then(data => {
-      const filePath = this._getNewFilePath(fields)
+      // Uploads are committed together with the entry, so that an entry
+      // never points to files that didn't make it to the repository.
+      const files = [{path: filePath, content: data}].concat(uploadedFiles)
+
       const subscriptions = this._initialiseSubscriptions()
       const commitMessage = this._resolvePlaceholders(this.siteConfig.get('commitMessage'), {
         fields,
@@ -539,9 +1690,30 @@ class Staticman {
         })
       }
 
-      if (this.siteConfig.get('moderation')) {
+      const appendEntry = entries => entries.concat(entry)
+
+      if (this._requiresModeration()) {
         const newBranch = 'staticman_' + this.uid
 
+        if (this._isAppending()) {
+          return this._changeEntries(
+            filePath,
+            appendEntry,
+            commitMessage,
+            newBranch,
+            this._generateReviewBody(fields)
+          )
+        }
+
+        if (uploadedFiles.length) {
+          return this.git.writeFilesAndSendReview(
+            files,
+            newBranch,
+            commitMessage,
+            this._generateReviewBody(fields)
+          )
+        }
+
         return this.git.writeFileAndSendReview(
           filePath,
           data,
@@ -553,6 +1725,18 @@ class Staticman {
         subscriptions.send(options.parent, fields, options, this.siteConfig)
       }
 
+      if (this._isAppending()) {
+        return this._changeEntries(filePath, appendEntry, commitMessage)
+      }
+
+      if (uploadedFiles.length) {
+        return this.git.writeFiles(
+          files,
+          this.parameters.branch,
+          commitMessage
+        )
+      }
+
       return this.git.writeFile(
         filePath,
         data,
@@ -560,15 +1744,63 @@ class Staticman {
         commitMessage
       )
     }).then(result => {
-      return {
+      let response = {
         fields: fields,
         redirect: options.redirect ? options.redirect : false
       }
-    }).catch(err => {
-      return Promise.reject(errorHandler('ERROR_PROCESSING_ENTRY', {
-        err,
-        instance: this
-      }))
+
+      if (this.siteConfig.get('editing.enabled') || this.siteConfig.get('deletion.enabled')) {
+        response.editToken = this._createEditToken(filePath)
+      }
+
+      return response
+    })
+  }
+
+  // Creates an entry, unless it repeats one submitted within the idempotency
+  // window, in which case the response to the original entry is returned.
+  // Repeats that arrive while the original is still being written are
+  // rejected, as there is no response to give yet.
+  _createEntryOnce (fields, options) {
+    const keys = this._getIdempotencyKeys(fields, options)
+    const store = IdempotencyStore.getStore()
+    const ttl = this.siteConfig.get('idempotency.window')
+    const deleteKeys = keysToDelete => Promise.all(keysToDelete.map(key => store.delete(key)))
+
+    // The keys are reserved atomically, so that of the copies of an entry
+    // sent at the same time only one is created.
+    return Promise.all(keys.map(key => store.reserve(key, {status: 'pending'}, ttl))).then(reserved => {
+      if (reserved.every(Boolean)) {
+        return this._createEntry(fields, options).then(response => {
+          return Promise.all(keys.map(key => store.set(key, {status: 'created', response}, ttl))).then(() => response)
+        }, err => {
+          // A failed entry can be submitted again.
+          return deleteKeys(keys).then(() => Promise.reject(err))
+        })
+      }
+
+      return deleteKeys(keys.filter((key, index) => reserved[index])).then(() => {
+        return Promise.all(keys.map(key => store.get(key)))
+      }).then(records => {
+        const index = records.findIndex(Boolean)
+        const record = records[index]
+
+        if (!record || record.status !== 'created') {
+          return Promise.reject(errorHandler('ENTRY_IN_PROGRESS'))
+        }
+
+        // Anyone can send the same content again, so the edit token only goes
+        // to whoever has the idempotency key of the original entry.
+        if (keys[index].indexOf(':key:') === -1) {
+          const response = Object.assign({}, record.response)
+
+          delete response.editToken
+
+          return response
+        }
+
+        return record.response
+      })
     })
   }
 
@@ -588,6 +1820,17 @@ class Staticman {
     })
   }
 
+  recordMergedEntry (author, reviewId) {
+    return this.getSiteConfig().then(() => {
+      return TrustedAuthors.recordMerge(author, reviewId, this.siteConfig, this.git, this.parameters.branch)
+    }).catch(err => {
+      return Promise.reject(errorHandler('ERROR_PROCESSING_MERGE', {
+        err,
+        instance: this
+      }))
+    })
+  }
+
   setConfigPath (configPath) {
     // Default config path
     if (!configPath) {
@@ -598,7 +1841,7 @@ class Staticman {
         }
       } else {
         this.configPath = {
-          file: 'staticman.yml',
+          file: DEFAULT_CONFIG_FILE,
           path: this.parameters.property || ''
         }
       }
@@ -613,6 +1856,14 @@ class Staticman {
     this.ip = ip
   }
 
+  setRequestHeaders (headers) {
+    this.requestHeaders = headers || {}
+  }
+
+  setUploads (uploads) {
+    this.uploads = uploads || []
+  }
+
   setUserAgent (userAgent) {
     this.userAgent = userAgent
   }
@@ -0,0 +1,42 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const Transforms = require('./Transforms')
+
+const transforms = Object.assign({}, Transforms)
+
+// Returns the transform registered under `name`, if any.
+const get = name => {
+  return Object.prototype.hasOwnProperty.call(transforms, name)
+    ? transforms[name]
+    : undefined
+}
+
+// Makes a transform available to site configs under `name`, replacing any
+// built-in transform with the same name. Transforms take the value of a
+// field, their options and a context with the name of the field and all the
+// fields of the entry, and return the new value or a promise.
+const register = (name, transformFn) => {
+  if (typeof transformFn !== 'function') {
+    throw new TypeError(`Transform \`${name}\` must be a function`)
+  }
+
+  transforms[name] = transformFn
+}
+
+// Registers each `.js` module in `directory` as a transform named after
+// the file.
+const loadDirectory = directory => {
+  fs.readdirSync(directory)
+    .filter(file => path.extname(file) === '.js')
+    .forEach(file => {
+      register(path.basename(file, '.js'), require(path.resolve(directory, file)))
+    })
+}
+
+module.exports = {
+  get,
+  loadDirectory,
+  register
+}
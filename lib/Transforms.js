@@ -1,4 +1,27 @@
-const md5 = require('md5')
+const crypto = require('crypto')
+const MarkdownIt = require('markdown-it')
+const md5Hash = require('md5')
+const sanitizeHtml = require('sanitize-html')
+const slug = require('slug')
+
+// Transforms take the value of a field, the options set for the transform
+// in the site config and a context with the name of the field and all the
+// fields of the entry, and return the new value or a promise.
+
+const MARKDOWN_ALLOWED_TAGS = [
+  'a', 'b', 'blockquote', 'br', 'code', 'del', 'em', 'h1', 'h2', 'h3', 'h4',
+  'h5', 'h6', 'hr', 'i', 'li', 'ol', 'p', 'pre', 's', 'strong', 'ul'
+]
+
+const MARKDOWN_ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title']
+}
+
+const markdownParser = new MarkdownIt({html: true})
+
+const md5 = (value) => {
+  return md5Hash(value)
+}
 
 const upcase = (value) => {
   return String(value).toUpperCase()
@@ -8,8 +31,77 @@ const downcase = (value) => {
   return String(value).toLowerCase()
 }
 
+// Marks the field used as the body of files in the `frontmatter` format,
+// leaving its value untouched.
+const frontmatterContent = (value) => {
+  return value
+}
+
+const trim = (value) => {
+  return String(value).trim()
+}
+
+const truncate = (value, {length, ellipsis = ''} = {}) => {
+  const text = String(value)
+
+  if (typeof length !== 'number' || text.length <= length) return text
+
+  return text.slice(0, Math.max(length - ellipsis.length, 0)) + ellipsis
+}
+
+const replace = (value, {pattern, flags = 'g', with: replacement = ''} = {}) => {
+  if (typeof pattern !== 'string') return String(value)
+
+  return String(value).replace(new RegExp(pattern, flags), replacement)
+}
+
+const slugify = (value) => {
+  return slug(String(value)).toLowerCase()
+}
+
+const sha256 = (value, {salt = ''} = {}) => {
+  return crypto.createHash('sha256').update(salt + String(value)).digest('hex')
+}
+
+const stripTags = (value) => {
+  return String(value).replace(/<!--[\s\S]*?-->|<\/?[a-z][^>]*>/gi, '')
+}
+
+const markdown = (value, {
+  allowedTags = MARKDOWN_ALLOWED_TAGS,
+  allowedAttributes = MARKDOWN_ALLOWED_ATTRIBUTES,
+  rawField
+} = {}, {fields} = {}) => {
+  const source = String(value)
+  const html = sanitizeHtml(markdownParser.render(source), {
+    allowedTags,
+    // Links always get a `rel` attribute, so it must survive sanitisation.
+    allowedAttributes: Object.assign({}, allowedAttributes, {
+      a: (allowedAttributes.a || []).concat('rel')
+    }),
+    allowedSchemes: ['http', 'https', 'mailto'],
+    transformTags: {
+      a: sanitizeHtml.simpleTransform('a', {rel: 'nofollow ugc'})
+    }
+  })
+
+  if (rawField && fields) {
+    fields[rawField] = source
+  }
+
+  return html
+}
+
 module.exports = {
   md5,
   upcase,
-  downcase
+  downcase,
+  frontmatterContent,
+  trim,
+  truncate,
+  replace,
+  slugify,
+  sha256,
+  stripTags,
+  markdown
 }
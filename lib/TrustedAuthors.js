@@ -0,0 +1,97 @@
+'use strict'
+
+const errorHandler = require('./ErrorHandler')
+const FieldPaths = require('./FieldPaths')
+const md5 = require('md5')
+
+// Usernames end up in file names, so anything that could leave the counters
+// directory is refused.
+const SAFE_USERNAME = /^[a-z0-9_][a-z0-9_.-]*$/i
+
+// Trusted authors are known by the hash of their email address, as used by
+// Gravatar, and by their username if they are authenticated.
+const getAuthor = (fields, siteConfig, gitUser) => {
+  const email = FieldPaths.getValues(fields, siteConfig.get('trustedAuthors.emailField'))[0]
+
+  return {
+    email: typeof email === 'string' && email.trim()
+      ? md5(email.trim().toLowerCase())
+      : null,
+    username: (gitUser && gitUser.username) || null
+  }
+}
+
+const getCounterFiles = (author, siteConfig) => {
+  const directory = siteConfig.get('trustedAuthors.path').replace(/\/$/, '')
+
+  if (author.username && !SAFE_USERNAME.test(author.username)) {
+    throw errorHandler('INVALID_PATH', {data: author.username})
+  }
+
+  return [
+    author.email && `${directory}/emails/${author.email}.json`,
+    author.username && `${directory}/usernames/${author.username}.json`
+  ].filter(Boolean)
+}
+
+// Counter files list the pull requests merged for the author, so that each
+// one is only counted once however many times it is reported.
+const getReviews = counter => (counter && Array.isArray(counter.reviews)) ? counter.reviews : []
+
+const isListed = (allowlist, key, value) => {
+  return Boolean(value) && Boolean(allowlist) && [].concat(allowlist[key] || []).some(item => {
+    return String(item).toLowerCase() === value.toLowerCase()
+  })
+}
+
+// Whether the author is in the allowlist file or has had enough entries
+// merged before. Files that can't be read trust no one.
+const isTrusted = (author, siteConfig, git) => {
+  const allowlistPath = siteConfig.get('trustedAuthors.allowlist')
+  const minimumEntries = siteConfig.get('trustedAuthors.minimumEntries')
+
+  if (!author.email && !author.username) return Promise.resolve(false)
+
+  return Promise.resolve().then(() => {
+    if (!allowlistPath) return false
+
+    return git.readFile(allowlistPath).then(allowlist => {
+      return isListed(allowlist, 'emails', author.email) || isListed(allowlist, 'usernames', author.username)
+    }).catch(() => false)
+  }).then(isAllowed => {
+    if (isAllowed || !minimumEntries) return isAllowed
+
+    return Promise.all(getCounterFiles(author, siteConfig).map(filePath => {
+      return git.readFile(filePath).then(counter => getReviews(counter).length).catch(() => 0)
+    })).then(counts => counts.some(count => count >= minimumEntries))
+  })
+}
+
+// Counts the merged pull request `reviewId` towards the
+// `trustedAuthors.minimumEntries` of its author, in the counter files on
+// `branch`.
+const recordMerge = (author, reviewId, siteConfig, git, branch) => {
+  return Promise.resolve().then(() => {
+    return getCounterFiles(author, siteConfig).reduce((sequence, filePath) => {
+      return sequence.then(() => {
+        return git.readFile(filePath, false, branch).catch(() => null)
+      }).then(counter => {
+        if (getReviews(counter).indexOf(reviewId) !== -1) return
+
+        return git.changeFile(filePath, current => {
+          const reviews = getReviews(current)
+
+          return `${JSON.stringify({
+            reviews: reviews.indexOf(reviewId) === -1 ? reviews.concat(reviewId) : reviews
+          })}\n`
+        }, branch, 'Count merged Staticman entry')
+      })
+    }, Promise.resolve())
+  })
+}
+
+module.exports = {
+  getAuthor,
+  isTrusted,
+  recordMerge
+}
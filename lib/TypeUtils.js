@@ -6,6 +6,19 @@ const assertString = (value, message = `${value} is not a string`) => {
   }
 }
 
+const isNumber = value => typeof value === 'number' && isFinite(value)
+
+// Whether `pattern` is a string that makes a valid regular expression.
+const isPattern = pattern => {
+  try {
+    return typeof pattern === 'string' && Boolean(new RegExp(pattern))
+  } catch (err) {
+    return false
+  }
+}
+
 module.exports = {
-  assertString
+  assertString,
+  isNumber,
+  isPattern
 }
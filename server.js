@@ -3,17 +3,23 @@ const config = require('./config')
 const express = require('express')
 const ExpressBrute = require('express-brute')
 const GithubWebHook = require('express-github-webhook')
+const multer = require('multer')
 const objectPath = require('object-path')
+const SpamChecks = require('./lib/SpamChecks')
+const TransformRegistry = require('./lib/TransformRegistry')
 
 class StaticmanAPI {
   constructor () {
     this.controllers = {
       connect: require('./controllers/connect'),
+      delete: require('./controllers/delete'),
       encrypt: require('./controllers/encrypt'),
+      formTimestamp: require('./controllers/formTimestamp'),
       auth: require('./controllers/auth'),
       handlePR: require('./controllers/handlePR'),
       home: require('./controllers/home'),
-      process: require('./controllers/process')
+      process: require('./controllers/process'),
+      release: require('./controllers/release')
     }
 
     this.server = express()
@@ -26,6 +32,8 @@ class StaticmanAPI {
     this.initialiseWebhookHandler()
     this.initialiseCORS()
     this.initialiseBruteforceProtection()
+    this.initialiseTransforms()
+    this.initialiseSpamChecks()
     this.initialiseRoutes()
   }
 
@@ -33,6 +41,10 @@ class StaticmanAPI {
     const store = new ExpressBrute.MemoryStore()
 
     this.bruteforce = new ExpressBrute(store)
+
+    // Forms fetch a timestamp before each entry is sent, so the two are
+    // counted apart, or every entry would count twice.
+    this.formTimestampBruteforce = new ExpressBrute(store)
   }
 
   initialiseCORS () {
@@ -44,7 +56,26 @@ class StaticmanAPI {
     })
   }
 
+  initialiseTransforms () {
+    if (config.get('transformsPath')) {
+      TransformRegistry.loadDirectory(config.get('transformsPath'))
+    }
+  }
+
+  initialiseSpamChecks () {
+    if (config.get('spamChecksPath')) {
+      SpamChecks.loadDirectory(config.get('spamChecksPath'))
+    }
+  }
+
   initialiseRoutes () {
+    const entryServices = ['github', 'gitlab', 'bitbucket', 'gitea']
+
+    // Local repositories can only be used if the operator has opted in.
+    if (config.get('localGitPath')) {
+      entryServices.push('local')
+    }
+
     // Route: connect
     this.server.get(
       '/v:version/connect/:username/:repository',
@@ -74,11 +105,40 @@ class StaticmanAPI {
       '/v:version/entry/:service/:username/:repository/:branch/:property',
       this.bruteforce.prevent,
       this.requireApiVersion([3]),
-      this.requireService(['github', 'gitlab']),
+      this.requireService(entryServices),
+      this.parseUploads(),
       this.requireParams(['fields']),
       this.controllers.process
     )
 
+    this.server.post(
+      '/v:version/entry/:service/:username/:repository/:branch/:property/:id',
+      this.bruteforce.prevent,
+      this.requireApiVersion([3]),
+      this.requireService(entryServices),
+      this.parseUploads(),
+      this.requireParams(['fields']),
+      this.controllers.process
+    )
+
+    // Route: delete
+    this.server.post(
+      '/v:version/entry/:service/:username/:repository/:branch/:property/:id/delete',
+      this.bruteforce.prevent,
+      this.requireApiVersion([3]),
+      this.requireService(entryServices),
+      this.controllers.delete
+    )
+
+    // Route: release
+    this.server.post(
+      '/v:version/entry/:service/:username/:repository/:branch/:property/:id/release',
+      this.bruteforce.prevent,
+      this.requireApiVersion([3]),
+      this.requireService(entryServices),
+      this.controllers.release
+    )
+
     // Route: encrypt
     this.server.get(
       '/v:version/encrypt/:text',
@@ -87,12 +147,21 @@ class StaticmanAPI {
       this.controllers.encrypt
     )
 
+    // Route: form timestamp
+    this.server.get(
+      '/v:version/form-timestamp/:service/:username/:repository/:branch/:property',
+      this.formTimestampBruteforce.prevent,
+      this.requireApiVersion([3]),
+      this.requireService(entryServices),
+      this.controllers.formTimestamp
+    )
+
     // Route: oauth
     this.server.get(
       '/v:version/auth/:service/:username/:repository/:branch/:property',
       this.bruteforce.prevent,
       this.requireApiVersion([2, 3]),
-      this.requireService(['github', 'gitlab']),
+      this.requireService(['github', 'gitlab', 'bitbucket', 'gitea']),
       this.controllers.auth
     )
 
@@ -145,6 +214,34 @@ class StaticmanAPI {
     }
   }
 
+  parseUploads () {
+    const upload = multer({
+      limits: {
+        fileSize: config.get('uploads.maxSize'),
+        files: config.get('uploads.maxFiles')
+      },
+      storage: multer.memoryStorage()
+    }).any()
+
+    return (req, res, next) => {
+      upload(req, res, err => {
+        if (err) {
+          const errorCodes = {
+            LIMIT_FILE_COUNT: 'TOO_MANY_UPLOADS',
+            LIMIT_FILE_SIZE: 'UPLOAD_TOO_LARGE'
+          }
+
+          return res.status(400).send({
+            success: false,
+            errorCode: errorCodes[err.code] || 'INVALID_UPLOAD'
+          })
+        }
+
+        return next()
+      })
+    }
+  }
+
   requireParams (params) {
     return function (req, res, next) {
       let missingParams = []
@@ -1,11 +1,13 @@
 'use strict'
 
 const convict = require('convict')
+const FieldRules = require('./lib/FieldRules')
+const ModerationRules = require('./lib/ModerationRules')
 
 const schema = {
   allowedFields: {
-    doc: 'An array with the names of the allowed fields. If any of the fields sent is not part of this list, the entry will be discarded and an error will be thrown.',
-    docExample: 'allowedFields: ["name", "email", "message"]',
+    doc: 'An array with the names of the allowed fields. If any of the fields sent is not part of this list, the entry will be discarded and an error will be thrown. Nested fields are named by their path, such as `address.city` for `fields[address][city]`, or `tags[]` for the items of a list sent as `fields[tags][]`. Allowing a field also allows all the fields nested in it.',
+    docExample: 'allowedFields: ["name", "email", "message", "address.city", "tags[]"]',
     format: Array,
     default: []
   },
@@ -17,7 +19,7 @@ const schema = {
   },
   akismet: {
     enabled: {
-      doc: 'Whether to use Akismet to check entries for spam. This requires an Akismet account to be configured in the Staticman API instance being used.',
+      doc: 'Whether to use Akismet to check entries for spam. This requires an Akismet account to be configured in the Staticman API instance being used. Entries flagged by Akismet are rejected, unless `spam.checks.akismet` gives it a weight below `spam.rejectionThreshold`.',
       format: Boolean,
       default: false
     },
@@ -54,37 +56,123 @@ const schema = {
       default: false
     }
   },
+  bitbucketAuth: {
+    clientId: {
+      doc: 'The key of the Bitbucket OAuth consumer used for Bitbucket OAuth.',
+      format: 'EncryptedString',
+      default: null
+    },
+    clientSecret: {
+      doc: 'The secret of the Bitbucket OAuth consumer used for Bitbucket OAuth.',
+      format: 'EncryptedString',
+      default: null
+    },
+    redirectUri: {
+      doc: 'The URL to redirect to after authenticating with Bitbucket.',
+      format: String,
+      default: ''
+    }
+  },
   branch: {
     doc: 'Name of the branch being used within the GitHub repository.',
     format: String,
     default: 'master'
   },
   commitMessage: {
-    doc: 'Text to be used as the commit message when pushing entries to the GitHub repository.',
+    doc: 'Text to be used as the commit message when pushing entries to the GitHub repository. Accepts placeholders, including filters (see `filename`).',
     format: String,
     default: 'Add Staticman data'
   },
+  deletion: {
+    enabled: {
+      doc: 'Whether authors can delete their entries. When enabled, the response to a new entry includes an `editToken`, added to the query string of the redirect if `options[redirect]` is set, which must be sent as `options[edit-token]` to the delete endpoint.',
+      format: Boolean,
+      default: false
+    },
+    commitMessage: {
+      doc: 'Text to be used as the commit message or pull request title when an entry is deleted. Accepts placeholders.',
+      format: String,
+      default: 'Delete Staticman data'
+    }
+  },
+  editing: {
+    enabled: {
+      doc: 'Whether authors can edit their entries after submitting them. When enabled, the response to a new entry includes an `editToken`, added to the query string of the redirect if `options[redirect]` is set, which must be sent as `options[edit-token]` to the edit endpoint.',
+      format: Boolean,
+      default: false
+    },
+    commitMessage: {
+      doc: 'Text to be used as the commit message or pull request title when an entry is edited. Accepts placeholders.',
+      format: String,
+      default: 'Update Staticman data'
+    },
+    window: {
+      doc: 'Number of seconds after an entry is submitted during which it can still be edited.',
+      format: 'nat',
+      default: 86400
+    }
+  },
   extension: {
     doc: 'The extension to be used in the generated data files (defaults to the extension associated with the `format` field)',
     format: String,
     default: ''
   },
+  fieldRules: {
+    doc: 'Validation rules for the values of fields. It consists of an object where keys correspond to field names and values are objects with any of the following rules: `type` (one of `string`, `number`, `boolean`, `email`, `url` or `date`), `minLength`, `maxLength`, `pattern` (a regular expression), `enum` (a list of accepted values), `min` and `max` (for numbers). Rules are only checked for fields that are present in the entry; use `requiredFields` to make them mandatory.',
+    docExample: 'fieldRules:\n  email:\n    type: email\n  message:\n    minLength: 10\n    maxLength: 1000\n  rating:\n    type: number\n    min: 1\n    max: 5',
+    format: Object,
+    default: {}
+  },
   filename: {
-    doc: 'Name for the data files being uploaded to the repository. You can use placeholders (denoted by curly braces), which will be dynamically replaced with the content of a field (e.g. `{fields.name}`), the content of an option (e.g. `{options.slug}`) or other dynamic placeholders such as the entry\'s unique id (`{@id}`).',
+    doc: 'Name for the data files being uploaded to the repository. You can use placeholders (denoted by curly braces), which will be dynamically replaced with the content of a field (e.g. `{fields.name}`), the content of an option (e.g. `{options.slug}`) or other dynamic placeholders such as the entry\'s unique id (`{@id}`). Placeholders can be followed by filters, as in `{fields.name | slugify | truncate:30}` or `{options.slug | default:\'misc\'}`. Available filters are `slugify`, `truncate` (with a length), `default` (with a value for when the placeholder is empty), `upcase`, `downcase` and `trim`.',
     format: String,
     default: ''
   },
   format: {
-    doc: 'Format of the data files being uploaded to the repository.',
-    format: ['yaml', 'yml', 'json', 'frontmatter'],
+    doc: 'Format of the data files being uploaded to the repository. The `frontmatter` format writes Markdown files with a frontmatter block (see `frontmatter`), and `frontmatter-toml` is a shorthand for `frontmatter` with TOML frontmatter. The `csv` and `jsonl` formats write a row or line per entry and are meant to be used with `storage: append`. CSV files have a header row, and their columns are the entry id, `allowedFields` and `generatedFields`, in that order. Text cells starting with `=`, `+`, `-`, `@`, a tab or a carriage return are prefixed with `\'`, so that spreadsheets do not run them as formulas.',
+    format: ['yaml', 'yml', 'json', 'toml', 'frontmatter', 'frontmatter-toml', 'csv', 'jsonl'],
     default: 'yml'
   },
+  frontmatter: {
+    contentField: {
+      doc: 'Name of the field to be used as the body of files in the `frontmatter` format. All the other fields go into the frontmatter block, as does the content field itself if its value is an object. If not set, the field with the `frontmatterContent` transform is used.',
+      format: String,
+      default: ''
+    },
+    language: {
+      doc: 'Language of the frontmatter block: `yaml` (delimited by `---`), `toml` (delimited by `+++`) or `json` (a JSON object at the top of the file).',
+      format: ['yaml', 'toml', 'json'],
+      default: 'yaml'
+    },
+    markdown: {
+      doc: 'Whether to render the body from Markdown to sanitised HTML, using the `markdown` transform with its default options.',
+      format: Boolean,
+      default: false
+    }
+  },
   generatedFields: {
-    doc: 'List of fields to be appended to entries automatically. It consists of an object where keys correspond to the names of the fields being created and values being of mixed type. If values are objects, Staticman will look for a `type` and `options` keys inside and perform different operations based on their type; otherwise, the value will be used directly as the content of the generated field.',
-    docExample: 'generatedFields:\n  someField: "some string" # Simple field (string)\n  date: # Extended field (date)\n    type: date\n    options:\n      format: "timestamp-seconds"',
+    doc: 'List of fields to be appended to entries automatically. It consists of an object where keys correspond to the names of the fields being created and values being of mixed type. If values are objects, Staticman will look for a `type` and `options` keys inside and perform different operations based on their type; otherwise, the value will be used directly as the content of the generated field. Types are `date` (options: `format`), `user` (options: `property`), `slugify` (options: `field`), `uuid`, `ulid`, `sequence` (a number counted up in a file committed next to the entries, given only to entries that are not sent for review; options: `file`, `start`), `requestHeader` (options: `name`; headers carrying credentials, such as `Cookie`, are never stored), `hashedIp` (a salted hash of the IP address of the author), `gravatar` (options: `field`, `size`, `default`), `wordCount` and `readingTime` (in minutes; options: `field`, `wordsPerMinute`). Values of `uuid`, `ulid` and `sequence` fields are kept when an entry is edited.',
+    docExample: 'generatedFields:\n  someField: "some string" # Simple field (string)\n  date: # Extended field (date)\n    type: date\n    options:\n      format: "timestamp-seconds"\n  number:\n    type: sequence\n  avatar:\n    type: gravatar\n    options:\n      field: email\n      size: 80',
     format: Object,
     default: {}
   },
+  giteaAuth: {
+    clientId: {
+      doc: 'The client ID to the Gitea OAuth2 Application used for Gitea OAuth.',
+      format: 'EncryptedString',
+      default: null
+    },
+    clientSecret: {
+      doc: 'The client secret to the Gitea OAuth2 Application used for Gitea OAuth.',
+      format: 'EncryptedString',
+      default: null
+    },
+    redirectUri: {
+      doc: 'The URL to redirect to after authenticating with Gitea.',
+      format: String,
+      default: ''
+    }
+  },
   githubAuth: {
     clientId: {
       doc: 'The client ID to the GitHub Application used for GitHub OAuth.',
@@ -124,11 +212,38 @@ const schema = {
       default: ''
     }
   },
+  honeypot: {
+    fields: {
+      doc: 'Names of fields that are hidden from people filling in the form, which bots tend to fill in. Entries with any of these fields filled in are rejected. They do not need to be listed in `allowedFields`, and are never stored.',
+      docExample: 'honeypot:\n  fields: ["website"]',
+      format: Array,
+      default: []
+    }
+  },
+  idempotency: {
+    enabled: {
+      doc: 'Whether to detect repeated submissions of an entry, such as those caused by double clicks or retries. A submission is a repeat if it has the same `options[idempotencyKey]` as an earlier one, or the same fields and options once whitespace is normalised. Repeats get the response to the original entry instead of creating a second commit or pull request, without its edit token unless they have the same `options[idempotencyKey]`.',
+      format: Boolean,
+      default: false
+    },
+    window: {
+      doc: 'Number of seconds for which a submission counts as a repeat of an earlier one.',
+      format: 'nat',
+      default: 600
+    }
+  },
   moderation: {
-    doc: 'When set to `true`, a pull request with the data files will be created to allow site administrators to approve or reject an entry. Otherwise, entries will be pushed to `branch` immediately.',
-    format: Boolean,
+    doc: 'When set to `true`, a pull request with the data files will be created to allow site administrators to approve or reject an entry. When set to `"trusted"`, entries by the authors trusted according to `trustedAuthors` are pushed to `branch` immediately and all others are sent as pull requests. Otherwise, entries will be pushed to `branch` immediately. Rules in `moderationRules` take precedence.',
+    docExample: 'moderation: "trusted"',
+    format: 'Moderation',
     default: true
   },
+  moderationRules: {
+    doc: 'List of rules that decide how an entry is handled, checked in order against the processed fields of the entry and the request. The first rule whose conditions in `when` are all met sets the `action`: `commit` pushes the entry to `branch`, `review` sends it as a pull request and `reject` turns it down. Rules without conditions apply to every entry, and entries that match no rule are handled as set by `moderation`. Conditions are `fields` (maps field paths, as in `allowedFields`, to regular expressions that one of their values must match, ignoring case), `authenticated` (whether the author is authenticated, see `auth`), `minSpamScore` (the spam score from which the rule applies, see `spam`) and `path` (a glob for the path of the entry file, with `*`, `**` and `?`). Rules take precedence over `moderation`, but entries that reach the moderation threshold of `spam` are always sent for review unless a rule rejects them.',
+    docExample: 'moderationRules:\n  - when:\n      minSpamScore: 5\n    action: reject\n  - when:\n      fields:\n        message: "https?://"\n    action: review\n  - when:\n      path: "_data/announcements/**"\n    action: review\n  - when:\n      authenticated: false\n    action: review\n  - action: commit',
+    format: Array,
+    default: []
+  },
   name: {
     doc: 'Human-friendly name of the property/website. This is used in notification emails.',
     docExample: 'name: "My awesome blog"',
@@ -153,7 +268,7 @@ const schema = {
     }
   },
   path: {
-    doc: 'Path to the directory where entry files are stored. You can use placeholders (denoted by curly braces), which will be dynamically replaced with the content of a field (e.g. `{fields.name}`), the content of an option (e.g. `{options.slug}`) or other dynamic placeholders such as the entry\'s unique id (`{@id}`).',
+    doc: 'Path to the directory where entry files are stored. You can use placeholders (denoted by curly braces), which will be dynamically replaced with the content of a field (e.g. `{fields.name}`), the content of an option (e.g. `{options.slug}`) or other dynamic placeholders such as the entry\'s unique id (`{@id}`). Placeholders can be followed by filters, as in `{fields.name | slugify | truncate:30}` or `{options.slug | default:\'misc\'}`. Available filters are `slugify`, `truncate` (with a length), `default` (with a value for when the placeholder is empty), `upcase`, `downcase` and `trim`. Entries are rejected if the values of placeholders would place them outside the part of the path that comes before the first placeholder.',
     format: String,
     default: '_data/results/{@timestamp}'
   },
@@ -163,16 +278,134 @@ const schema = {
     default: 'Dear human,\n\nHere\'s a new entry for your approval. :tada:\n\nMerge the pull request to accept it, or close it to send it away.\n\n:heart: Your friend [Staticman](https://staticman.net) :muscle:\n\n---\n'
   },
   requiredFields: {
-    doc: 'An array with the names of the fields that must be supplies as part of an entry. If any of these is not present, the entry will be discarded and an error will be thrown.',
+    doc: 'An array with the names of the fields that must be supplies as part of an entry. If any of these is not present, the entry will be discarded and an error will be thrown. Nested fields are named by their path, as in `allowedFields`.',
     format: Array,
     default: []
   },
+  spam: {
+    checks: {
+      doc: 'Spam checks to run on entries, mapping the name of each check to its options. Each check scores an entry between 0 and 1, which is multiplied by the `weight` option of the check (1 by default), and the scores are added up. Checks are `akismet` (uses the `akismet` settings; enabling `akismet` adds it with the default options), `blocklist` (options: `words`, `patterns` with regular expressions, `fields`), `links` (options: `max`, `fields`), `caps` (options: `ratio` of capital letters, `minLength`, `fields`) and `honeypot` (options: `fields`, which default to `honeypot.fields`). Without `fields`, checks look at every field. The Staticman API instance being used can add its own checks through `spamChecksPath`. The score of each check is added to the pull request of moderated entries.',
+      docExample: 'spam:\n  checks:\n    akismet:\n      weight: 5\n    blocklist:\n      words: ["casino", "viagra"]\n      weight: 3\n    links:\n      max: 2\n    caps:\n      ratio: 0.7\n  moderationThreshold: 1\n  rejectionThreshold: 5',
+      format: Object,
+      default: {}
+    },
+    quarantine: {
+      enabled: {
+        doc: 'Whether to keep entries rejected as spam, rather than discarding them, so that false positives can be recovered. Each entry is committed to `path`, as a JSON file named after its id, with the scores of the spam checks. Quarantined entries can be released into the normal flow through the `release` endpoint. Uploads, authentication tokens and the IP address and user agent of the author are not kept, so released entries have no generated fields that depend on them.',
+        format: Boolean,
+        default: false
+      },
+      branch: {
+        doc: 'Branch to commit quarantined entries to, which must exist. Defaults to `branch`.',
+        format: String,
+        default: ''
+      },
+      path: {
+        doc: 'Directory to commit quarantined entries to.',
+        format: String,
+        default: '_spam'
+      },
+      releaseKey: {
+        doc: 'Encrypted key that must be sent in the `options[releaseKey]` field, unencrypted, to release an entry from quarantine.',
+        format: 'EncryptedString',
+        default: null
+      }
+    },
+    moderationThreshold: {
+      doc: 'Spam score from which entries are sent for moderation, as if `moderation` was enabled. `0` never sends entries for moderation because of their score.',
+      format: Number,
+      default: 0
+    },
+    rejectionThreshold: {
+      doc: 'Spam score from which entries are rejected. `0` never rejects entries because of their score.',
+      format: Number,
+      default: 1
+    }
+  },
+  storage: {
+    doc: 'How entries are stored. With `file`, each entry is written to a file of its own. With `append`, entries are appended to a list kept in a single file, whose name is set by `filename` (e.g. `{options.slug}`, required in this mode) and whose format must be `json`, `yaml`, `csv` or `jsonl`. Conflicting writes are retried. With `moderation`, entries to the same file that are pending review conflict with each other once one of them is merged.',
+    docExample: 'path: "_data/comments"\nfilename: "{options.slug}"\nstorage: "append"',
+    format: ['file', 'append'],
+    default: 'file'
+  },
+  strictPlaceholders: {
+    doc: 'Whether to reject entries for which a placeholder (e.g. `{options.slug}` in `path`) resolves to an empty value, rather than leaving it empty. Placeholders with a `default` filter always have a value.',
+    format: Boolean,
+    default: false
+  },
+  submissionTiming: {
+    enabled: {
+      doc: 'Whether to reject entries that are submitted too quickly after the form was loaded, as bots tend to do. Forms must get a signed timestamp from the `form-timestamp` endpoint when they are loaded, and send it in the `options[formTimestamp]` field.',
+      format: Boolean,
+      default: false
+    },
+    minimumTime: {
+      doc: 'Minimum number of seconds between the form timestamp being issued and the entry being submitted.',
+      format: 'nat',
+      default: 3
+    },
+    maximumAge: {
+      doc: 'Number of seconds after which a form timestamp is no longer accepted.',
+      format: 'nat',
+      default: 86400
+    }
+  },
   transforms: {
-    doc: 'List of transformations to be applied to any of the fields supplied. It consists of an object where keys correspond to the names of the fields being transformed. The value determines the type of transformation being applied.',
-    docExample: 'transforms:\n  email: "md5" # The email field will be MD5-hashed',
+    doc: 'List of transformations to be applied to any of the fields supplied. It consists of an object where keys correspond to the names of the fields being transformed, or their paths for nested fields (as in `allowedFields`). The value is the name of a transform, an object mapping the name of a transform to its options, or a list of these to be applied in order. Available transforms are `md5`, `sha256` (options: `salt`), `upcase`, `downcase`, `trim`, `truncate` (options: `length`, `ellipsis`), `replace` (options: `pattern`, `flags`, `with`), `slugify`, `stripTags`, `markdown` (options: `allowedTags`, `allowedAttributes`, `rawField`) and `frontmatterContent` (marks the body of `frontmatter` files), as well as any custom transforms installed on the server.',
+    docExample: 'transforms:\n  email: "md5" # The email field will be MD5-hashed\n  message:\n    - stripTags\n    - truncate:\n        length: 500\n        ellipsis: "..."\n  body:\n    - markdown:\n        rawField: bodyMarkdown # Keeps the Markdown source alongside the HTML',
     format: Object,
     default: {}
   },
+  trustedAuthors: {
+    allowlist: {
+      doc: 'Path of a YAML or JSON file in the repository listing the authors trusted with `moderation: "trusted"`, with `emails`, a list of the MD5 hashes of their lowercase email addresses (as used by Gravatar), and `usernames`, a list of the usernames of authenticated authors (see `auth`). Email addresses are not verified, so anyone who knows the address of a trusted author can skip moderation with it.',
+      docExample: 'allowlist: "_data/trusted.yml"',
+      format: String,
+      default: ''
+    },
+    emailField: {
+      doc: 'Name of the field with the email address of the author.',
+      format: String,
+      default: 'email'
+    },
+    minimumEntries: {
+      doc: 'Number of merged entries after which an author is trusted with `moderation: "trusted"`. `0` only trusts the authors in `allowlist`. The entries of each author are counted in a file under `path` when their pull request is merged, once per pull request.',
+      format: 'nat',
+      default: 0
+    },
+    path: {
+      doc: 'Path to the directory where the number of merged entries of each author is kept.',
+      format: String,
+      default: '_staticman/authors'
+    }
+  },
+  uploads: {
+    enabled: {
+      doc: 'Whether entries can include file uploads, sent as `multipart/form-data` fields named `fields[<name>]` (or `fields[<name>][]` for several files). Each file is committed alongside the entry and its path in the repository is stored in the field. Upload fields must be listed in `allowedFields`.',
+      format: Boolean,
+      default: false
+    },
+    allowedTypes: {
+      doc: 'List of MIME types accepted for uploaded files. Only the types of images (`image/gif`, `image/jpeg`, `image/png`, `image/webp`, `image/avif`), `application/pdf`, `text/plain`, `audio/mpeg`, `audio/ogg`, `video/mp4` and `video/webm` can be accepted. Files are saved with an extension for their type, whatever their original name.',
+      format: Array,
+      default: ['image/gif', 'image/jpeg', 'image/png', 'image/webp']
+    },
+    maxFiles: {
+      doc: 'Maximum number of files that can be uploaded with a single entry.',
+      format: 'nat',
+      default: 5
+    },
+    maxSize: {
+      doc: 'Maximum size, in bytes, of each uploaded file.',
+      format: 'nat',
+      default: 2097152
+    },
+    path: {
+      doc: 'Path to the directory where uploaded files are placed. Accepts placeholders. Defaults to the directory of the entry file.',
+      format: String,
+      default: ''
+    }
+  },
   reCaptcha: {
     enabled: {
       doc: 'Set to `true` to force reCAPTCHA validation, set to `false` to accept comments without reCAPTCHA.',
@@ -201,12 +434,29 @@ module.exports = (data, rsa) => {
     }
   })
 
+  convict.addFormat({
+    name: 'Moderation',
+    validate: val => {
+      if (typeof val !== 'boolean' && val !== 'trusted') {
+        throw new Error('must be `true`, `false` or "trusted"')
+      }
+    },
+    coerce: val => {
+      if (val === 'true' || val === 'false') return val === 'true'
+
+      return val
+    }
+  })
+
   const config = convict(schema)
 
   try {
     config.load(data)
     config.validate()
 
+    FieldRules.assertRules(config.get('fieldRules'))
+    ModerationRules.assertRules(config.get('moderationRules'))
+
     return config
   } catch (e) {
     throw e
@@ -1,4 +1,5 @@
 const config = require('../../config')
+const ExpressBrute = require('express-brute')
 const githubToken = config.get('githubToken')
 const helpers = require('../helpers')
 const nock = require('nock')
@@ -272,4 +273,38 @@ describe('Entry endpoint', () => {
       expect(error.rawError).toBeDefined()
     }
   })
+  test('parses the uploads sent to edit an entry', async () => {
+    const data = helpers.getParameters()
+    const maxFiles = config.get('uploads.maxFiles')
+
+    // The tests above have sent enough entries to be blocked as brute force.
+    server.bruteforce.store = new ExpressBrute.MemoryStore()
+
+    const formData = {
+      'fields[name]': 'Eduardo Boucas',
+      'options[edit-token]': 'some-token'
+    }
+
+    for (let index = 0; index <= maxFiles; index++) {
+      formData[`fields[photo${index}]`] = {
+        value: Buffer.from('Not really a photo'),
+        options: {filename: `photo${index}.jpg`, contentType: 'image/jpeg'}
+      }
+    }
+
+    expect.assertions(2)
+
+    try {
+      await request({
+        formData,
+        method: 'POST',
+        uri: `/v3/entry/github/${data.username}/${data.repository}/${data.branch}/${data.property}/1a2b3c4d5e6f`
+      })
+    } catch (response) {
+      const error = JSON.parse(response.error)
+
+      expect(response.statusCode).toBe(400)
+      expect(error.errorCode).toBe('TOO_MANY_UPLOADS')
+    }
+  })
 })
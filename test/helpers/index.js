@@ -47,6 +47,10 @@ module.exports.encrypt = text => {
   return rsa.encrypt(text, 'base64')
 }
 
+module.exports.sign = text => {
+  return rsa.sign(text, 'base64')
+}
+
 module.exports.getCatchAllApiMock = callback => {
   return new CatchAllApiMock(callback)
 }
@@ -79,7 +79,17 @@ comments:
   gitlabAuth:
     clientId: "Rr9d1XmVVMe8ogldH6rBtdGhf49c29ldwcBVsiMn6DLRAiYWmHY08eKC6xLnP6mXwMe/qCHJ6JMKURDODL8Yjm+nQf09zynkIRCr4J7tRHh4bPAYXPG+W1+TK7l8QD4gC+WXamxJiggwGCaDtNylI1QQhbKtevv7n/T+Iq98rBj8SLxxpi3qR0oZeN/zsoQsDYgzZ+HgvA3hY+5H897ijx1oBjoTsfI1Sfx8Qqix/QLZoXorOUJyEo+83WWvTEgo8X3OyFbXGZ758Kw6A7fcHxu8oVAjDvtFJFiwrDb4iBz9rffx7llZXjkcjzYzfwFcjG7mzZnfYgn9WcCwO7zlsA=="
     clientSecret: "1zzjCrOZQ9dVs1p/WLgT8Lvwez3EKd1tp3D+7P5uGlEdqP1RN7kQvcaqOmOpm5SIY6g+yKJQGZq9G/IqUoKdsZDhA2VGYGXVzETU6eB48AL0OXlFumhjzJoGAXpnqDWzfevglkVuAkivBv6o9S1r/FL1GydwlRwWcYU6NNJjjkB04A00B4s0J7FRR3VFRxpJqDznHgXgT32E2+F3s6enh9/aErqi9uqn+iVtw7gvbd9PN1ejlo95R3BVNKUxNi2Dn4BbsH3MjQG4DyuzX8BiS9Nb+Xt+CwLygTT/i4C5Aj+KkMjAEiYOyttFbk3jkvYVXJ1XtW+taloBVPYCHgDzmg=="
-    redirectUri: "https://my-test-site-2.com"`
+    redirectUri: "https://my-test-site-2.com"
+
+  bitbucketAuth:
+    clientId: "ZJ7J1esxyoOTaReQmIwxBC8NmbtR4qFZz3vCKO2OiiyauSiwBSPMn1ZQ/LTKy+k1gWOpFlOAFHMMld7nueXIy7hjb6Eq7PJ1PWNkWpaDbVfX443BO6WMGhD3tUYbZ4imqf1RGFCeaw6aWhwqifmuRdyOiUQ6j/AXQTmsVc4hFYGVnOYmZ5g3yDdM/p+8x6KGDLZxBG99wo8gS1TJte+Vzck2xuq+dxUV0bV8e5K5c7wDzE7iP94BsCg0Ng8fB/Cevuk/xu1gOoB2MCoNshp+TqvHAfNPZdNAonO7vP60jt/AnGKcikiOhYfkuOpUS1Bgcc6XE8+c5/feNCd4KUswoA=="
+    clientSecret: "MEA8+Ap6w+fnSQxOZuvZtdyLU7HY4pQ/Bj6Sq0C6mydqrz0krLyc6wFY56+K9sKGvWALA0RmPibBmO6jscNhPFqPHu3AokkxM5+cEHNf5sr7mRU30kdTPfwULVxCxCMDIeBN0b4yM8wzr+56NRvY0TCGHF0lJwMh+Bkprjky8lGWh+ZyENIixzKbxFv9ABxDMvc9B7OSR+0uVCn+bQF7TDowtduTsBxdZ2Z6NhOsry2SVPFZnoaKyqRPqXUrsa+Yz0AizoRc0Y9OJmqMZGk9XnCjJ5E/MjXxakRC3dqQvI13UvBerc/fO3QUEhXJC+ULbd4tB9EFbwljyrgXQe8SnQ=="
+    redirectUri: "https://my-test-site-3.com"
+
+  giteaAuth:
+    clientId: "PlS7CwUvdl+2h44qRP8ap8KjZwOfPyeXl44DOqkZkoMqBO5iryuqtJvCXbDVBZHfecz2vjOCrYNcL1djcU4TTuegPsJPnK9ubAhnfYQZrhFA3Blt3SeInlM0LszkeDSKWwlMeHtHDN5xeLd1leMcEzyeMxSxhcC8u19TsyaqSgyW4/7y71Wm7Cb0bgEfV1tkTbE8SC88vjUT8Npx2qWIZmPXZFw4swlh4Oy4seUHtlAifT0Xw8krxaanJjrPL8N125HeHZFEzY2xhzX2810MpOOri2NW4q6M7Df7gHXcIZ+lbW2soOnNUARyW94Txix/hos+zsOxOHmXf2q6eZ/0Bg=="
+    clientSecret: "M2z0Dn4dCtJFewuLVweS+X3t3Vq7MJDHMoD9578hcYvfL36xplwIYQQgzTy6vAf89dNWaqyvTE/N9a5zQ+OS7NahSf/mgOjEDIBdFRSTgLiBGFXZRK2rSvk3kJezHnJ1JMjtZpODm1ZogUNC/WN0t6OfRgp7780iQJ65CMQ3UU4wWTcE3+y3C7FCgO6sx1E50XIG9ygpn9NmNM74oSMlIToIYE8EOpxlKel7h3oTxTn9hE1CIOe7ekHiKoHKUgmm6IaUfu7mznwv7E9geY1ULBGwp8sKdqrdVEtrR3XWnXiX3ssAeJdLCzFP84LZiMD5+t/HahfU1x6NUseR2lN/dQ=="
+    redirectUri: "https://my-test-site-4.com"`
 
 module.exports.config2 = `{
   "comments": {
@@ -311,4 +311,160 @@ describe('Auth controller', () => {
       })
     })
   })
+  describe('Bitbucket', () => {
+    test('authenticates to Bitbucket with the given code and returns the authenticated user', () => {
+      const mockAccessToken = 'qwertyuiop'
+      const mockCode = '1q2w3e4r'
+      const mockUser = {
+        username: 'johndoe',
+        display_name: 'John Doe'
+      }
+
+      const siteConfig = helpers.getConfig()
+      const clientCredentials = `${siteConfig.get('bitbucketAuth.clientId')}:${siteConfig.get('bitbucketAuth.clientSecret')}`
+
+      nock('https://bitbucket.org', {
+        reqheaders: {
+          authorization: 'Basic ' + Buffer.from(clientCredentials).toString('base64')
+        }
+      })
+        .post('/site/oauth2/access_token', {
+          code: mockCode,
+          grant_type: 'authorization_code',
+          redirect_uri: siteConfig.get('bitbucketAuth.redirectUri')
+        })
+        .reply(200, {
+          access_token: mockAccessToken
+        })
+
+      nock(/api\.bitbucket\.org/, {
+        reqheaders: {
+          authorization: `Bearer ${mockAccessToken}`
+        }
+      })
+        .get('/2.0/user')
+        .reply(200, mockUser)
+        .get('/2.0/user/emails')
+        .reply(200, {
+          values: [
+            {email: 'johndoe@test.com', is_primary: true}
+          ]
+        })
+
+      const reqWithQuery = Object.assign({}, req, {
+        params: {
+          service: 'bitbucket'
+        },
+        query: {
+          code: mockCode
+        }
+      })
+
+      return auth(reqWithQuery, res).then(result => {
+        expect(res.send).toHaveBeenCalledTimes(1)
+        expect(helpers.decrypt(res.send.mock.calls[0][0].accessToken)).toBe(mockAccessToken)
+        expect(res.send.mock.calls[0][0].user)
+          .toEqual(new User('bitbucket', mockUser.username, 'johndoe@test.com', mockUser.display_name))
+      })
+    })
+
+    test('returns a 401 response when unable to get an access token from Bitbucket', () => {
+      const mockCode = '1q2w3e4r'
+
+      nock('https://bitbucket.org')
+        .post('/site/oauth2/access_token')
+        .reply(401, {
+          error: 'invalid_grant'
+        })
+
+      const reqWithQuery = Object.assign({}, req, {
+        params: {
+          service: 'bitbucket'
+        },
+        query: {
+          code: mockCode
+        }
+      })
+
+      return auth(reqWithQuery, res).then(result => {
+        expect(res.status.mock.calls[0][0]).toBe(401)
+        expect(res.send.mock.calls[0][0].statusCode).toBe(401)
+        expect(res.send.mock.calls[0][0].message).toContain('invalid_grant')
+      })
+    })
+  })
+  describe('Gitea', () => {
+    test('authenticates to Gitea with the given code and returns the authenticated user', () => {
+      const mockAccessToken = 'qwertyuiop'
+      const mockCode = '1q2w3e4r'
+      const mockUser = {
+        login: 'johndoe',
+        full_name: 'John Doe',
+        email: 'johndoe@test.com'
+      }
+
+      const siteConfig = helpers.getConfig()
+
+      nock('https://gitea.com')
+        .post('/login/oauth/access_token', {
+          client_id: siteConfig.get('giteaAuth.clientId'),
+          client_secret: siteConfig.get('giteaAuth.clientSecret'),
+          code: mockCode,
+          grant_type: 'authorization_code',
+          redirect_uri: siteConfig.get('giteaAuth.redirectUri')
+        })
+        .reply(200, {
+          access_token: mockAccessToken
+        })
+
+      nock('https://gitea.com', {
+        reqheaders: {
+          authorization: `Bearer ${mockAccessToken}`
+        }
+      })
+        .get('/api/v1/user')
+        .reply(200, mockUser)
+
+      const reqWithQuery = Object.assign({}, req, {
+        params: {
+          service: 'gitea'
+        },
+        query: {
+          code: mockCode
+        }
+      })
+
+      return auth(reqWithQuery, res).then(result => {
+        expect(res.send).toHaveBeenCalledTimes(1)
+        expect(helpers.decrypt(res.send.mock.calls[0][0].accessToken)).toBe(mockAccessToken)
+        expect(res.send.mock.calls[0][0].user)
+          .toEqual(new User('gitea', mockUser.login, mockUser.email, mockUser.full_name))
+      })
+    })
+
+    test('returns a 401 response when unable to get an access token from Gitea', () => {
+      const mockCode = '1q2w3e4r'
+
+      nock('https://gitea.com')
+        .post('/login/oauth/access_token')
+        .reply(401, {
+          error: 'unauthorized_client'
+        })
+
+      const reqWithQuery = Object.assign({}, req, {
+        params: {
+          service: 'gitea'
+        },
+        query: {
+          code: mockCode
+        }
+      })
+
+      return auth(reqWithQuery, res).then(result => {
+        expect(res.status.mock.calls[0][0]).toBe(401)
+        expect(res.send.mock.calls[0][0].statusCode).toBe(401)
+        expect(res.send.mock.calls[0][0].message).toContain('unauthorized_client')
+      })
+    })
+  })
 })
@@ -0,0 +1,76 @@
+const errorHandler = require('./../../../lib/ErrorHandler')
+const helpers = require('./../../helpers')
+
+let req, res
+
+beforeEach(() => {
+  req = helpers.getMockRequest()
+  res = helpers.getMockResponse()
+
+  req.params.id = '1a2b3c4d5e6f'
+  req.body = {}
+  req.query = {}
+
+  jest.resetModules()
+})
+
+const mockStaticman = mockProcessDelete => {
+  jest.mock('./../../../lib/Staticman', () => {
+    return jest.fn(parameters => ({
+      processDelete: mockProcessDelete,
+      setConfigPath: jest.fn(),
+      setIp: jest.fn(),
+      setUserAgent: jest.fn()
+    }))
+  })
+}
+
+describe('Delete controller', () => {
+  test('deletes the entry given in the `id` parameter using the edit token provided', () => {
+    const mockProcessDelete = jest.fn(() => Promise.resolve({redirect: false}))
+
+    mockStaticman(mockProcessDelete)
+
+    req.body.options = {
+      'edit-token': 'some-token'
+    }
+
+    const deleteEntry = require('./../../../controllers/delete')
+
+    return deleteEntry(req, res).then(response => {
+      expect(mockProcessDelete.mock.calls[0][0]).toBe('1a2b3c4d5e6f')
+      expect(mockProcessDelete.mock.calls[0][1]).toEqual({'edit-token': 'some-token'})
+      expect(res.status.mock.calls[0][0]).toBe(200)
+      expect(res.send.mock.calls[0][0]).toEqual({
+        success: true
+      })
+    })
+  })
+
+  test('redirects to the URL provided in the `redirect` option', () => {
+    mockStaticman(() => Promise.resolve({redirect: 'https://eduardoboucas.com'}))
+
+    req.body.options = {
+      'edit-token': 'some-token',
+      redirect: 'https://eduardoboucas.com'
+    }
+
+    const deleteEntry = require('./../../../controllers/delete')
+
+    return deleteEntry(req, res).then(response => {
+      expect(res.redirect.mock.calls[0][0]).toBe('https://eduardoboucas.com')
+    })
+  })
+
+  test('sends a 500 with the error code if the deletion is refused', () => {
+    mockStaticman(() => Promise.reject(errorHandler('EDIT_TOKEN_INVALID')))
+
+    const deleteEntry = require('./../../../controllers/delete')
+
+    return deleteEntry(req, res).then(response => {
+      expect(res.status.mock.calls[0][0]).toBe(500)
+      expect(res.send.mock.calls[0][0].success).toBe(false)
+      expect(res.send.mock.calls[0][0].errorCode).toBe('EDIT_TOKEN_INVALID')
+    })
+  })
+})
@@ -0,0 +1,30 @@
+const helpers = require('./../../helpers')
+
+let req, res
+
+beforeEach(() => {
+  req = helpers.getMockRequest()
+  res = helpers.getMockResponse()
+
+  jest.resetModules()
+})
+
+describe('Form timestamp controller', () => {
+  test('returns a form timestamp for the site in the request', () => {
+    const mockCreate = jest.fn(() => 'some-timestamp')
+
+    jest.mock('./../../../lib/FormTimestamp', () => ({
+      create: mockCreate
+    }))
+
+    const formTimestamp = require('./../../../controllers/formTimestamp')
+
+    formTimestamp(req, res)
+
+    expect(mockCreate.mock.calls[0][0]).toEqual(req.params)
+    expect(res.send.mock.calls[0][0]).toEqual({
+      success: true,
+      formTimestamp: 'some-timestamp'
+    })
+  })
+})
@@ -1,9 +1,12 @@
 const helpers = require('./../../helpers')
+const nock = require('nock')
+const querystring = require('querystring')
 const sampleData = require('./../../helpers/sampleData')
 const Review = require('../../../lib/models/Review')
 
 let mockSetConfigPathFn
 let mockProcessMergeFn
+let mockRecordMergedEntryFn
 let req
 
 // Mock Staticman module
@@ -11,7 +14,8 @@ jest.mock('../../../lib/Staticman', () => {
   return jest.fn().mockImplementation(() => {
     return {
       setConfigPath: mockSetConfigPathFn,
-      processMerge: mockProcessMergeFn
+      processMerge: mockProcessMergeFn,
+      recordMergedEntry: mockRecordMergedEntryFn
     }
   })
 })
@@ -19,6 +23,7 @@ jest.mock('../../../lib/Staticman', () => {
 beforeEach(() => {
   mockSetConfigPathFn = jest.fn()
   mockProcessMergeFn = jest.fn()
+  mockRecordMergedEntryFn = jest.fn()
   req = helpers.getMockRequest()
   res = helpers.getMockResponse()
 
@@ -207,4 +212,264 @@ describe('HandlePR controller', () => {
       expect(mockProcessMergeFn.mock.calls.length).toBe(1)
     })
   })
+
+  describe('reports moderation decisions to Akismet', () => {
+    const comment = {
+      user_ip: '123.456.78.9',
+      user_agent: 'Some browser',
+      comment_type: 'comment',
+      comment_content: 'Hello world'
+    }
+
+    const getPR = (state, action = 'closed') => ({
+      action,
+      number: 123,
+      title: 'Add Staticman data',
+      body: `${sampleData.prBody1}\n<!--staticman_akismet:${JSON.stringify(comment)}-->`,
+      head: {
+        ref: 'staticman_1234567'
+      },
+      base: {
+        ref: 'master'
+      },
+      merged: state === 'merged',
+      repository: {
+        name: req.params.repository,
+        owner: {
+          login: req.params.username
+        }
+      },
+      state: 'closed'
+    })
+
+    const mockDependencies = mockReview => {
+      const mockDeleteBranch = jest.fn()
+
+      jest.mock('../../../lib/GitHub', () => {
+        return jest.fn().mockImplementation(() => {
+          return {
+            deleteBranch: mockDeleteBranch,
+            getReview: jest.fn().mockResolvedValue(mockReview)
+          }
+        })
+      })
+
+      return mockDeleteBranch
+    }
+
+    // Intercepts requests to the Akismet endpoint for the API key in the
+    // config, collecting the comments they report in `requests`.
+    const mockAkismetApi = (path, requests, status = 200) => {
+      const config = require('./../../../config')
+
+      return nock(`http://${config.get('akismet.apiKey')}.rest.akismet.com`)
+        .post(path)
+        .reply(status, (uri, body) => {
+          requests.push(querystring.parse(body))
+        })
+    }
+
+    afterEach(() => {
+      nock.cleanAll()
+    })
+
+    test('submits the entry as ham when the pull request is merged', async () => {
+      const pr = getPR('merged')
+      const requests = []
+      const hamScope = mockAkismetApi('/1.1/submit-ham', requests)
+      const spamScope = mockAkismetApi('/1.1/submit-spam', requests)
+      const mockDeleteBranch = mockDependencies(
+        new Review(pr.title, pr.body, 'merged', pr.head.ref, pr.base.ref)
+      )
+
+      const handlePR = require('./../../../controllers/handlePR')
+      const config = require('./../../../config')
+
+      await handlePR(req.params.repository, pr)
+      expect(hamScope.isDone()).toBe(true)
+      expect(spamScope.isDone()).toBe(false)
+      expect(requests).toEqual([
+        Object.assign({blog: config.get('akismet.site')}, comment)
+      ])
+      expect(mockDeleteBranch).toHaveBeenCalledTimes(1)
+    })
+
+    test('submits the entry as spam when the pull request is closed without merging', async () => {
+      const pr = getPR('closed')
+      const requests = []
+      const hamScope = mockAkismetApi('/1.1/submit-ham', requests)
+      const spamScope = mockAkismetApi('/1.1/submit-spam', requests)
+      const mockDeleteBranch = mockDependencies(
+        new Review(pr.title, pr.body, 'closed', pr.head.ref, pr.base.ref)
+      )
+
+      const handlePR = require('./../../../controllers/handlePR')
+      const config = require('./../../../config')
+
+      await handlePR(req.params.repository, pr)
+      expect(spamScope.isDone()).toBe(true)
+      expect(hamScope.isDone()).toBe(false)
+      expect(requests).toEqual([
+        Object.assign({blog: config.get('akismet.site')}, comment)
+      ])
+      expect(mockDeleteBranch).toHaveBeenCalledTimes(1)
+      expect(mockProcessMergeFn).not.toHaveBeenCalled()
+    })
+
+    test('only reports the entry when the pull request is closed', async () => {
+      const pr = getPR('merged', 'labeled')
+      const requests = []
+
+      mockAkismetApi('/1.1/submit-ham', requests)
+      mockAkismetApi('/1.1/submit-spam', requests)
+
+      const mockDeleteBranch = mockDependencies(
+        new Review(pr.title, pr.body, 'merged', pr.head.ref, pr.base.ref)
+      )
+
+      const handlePR = require('./../../../controllers/handlePR')
+
+      await handlePR(req.params.repository, pr)
+      expect(requests).toEqual([])
+      expect(mockDeleteBranch).toHaveBeenCalledTimes(1)
+    })
+
+    test('does not report pull requests without Akismet data', async () => {
+      const pr = Object.assign(getPR('merged'), {body: sampleData.prBody1})
+      const requests = []
+
+      mockAkismetApi('/1.1/submit-ham', requests)
+      mockAkismetApi('/1.1/submit-spam', requests)
+      mockDependencies(
+        new Review(pr.title, pr.body, 'merged', pr.head.ref, pr.base.ref)
+      )
+
+      const handlePR = require('./../../../controllers/handlePR')
+
+      await handlePR(req.params.repository, pr)
+      expect(requests).toEqual([])
+    })
+
+    test('deletes the branch even if Akismet returns an error', async () => {
+      const pr = getPR('closed')
+      const config = require('./../../../config')
+      const spamScope = nock(`http://${config.get('akismet.apiKey')}.rest.akismet.com`)
+        .post('/1.1/submit-spam')
+        .replyWithError('Invalid API key')
+      const mockDeleteBranch = mockDependencies(
+        new Review(pr.title, pr.body, 'closed', pr.head.ref, pr.base.ref)
+      )
+      const spyLog = jest.spyOn(console, 'log').mockImplementation(() => {})
+
+      const handlePR = require('./../../../controllers/handlePR')
+
+      try {
+        await handlePR(req.params.repository, pr)
+        expect(spamScope.isDone()).toBe(true)
+        expect(mockDeleteBranch).toHaveBeenCalledTimes(1)
+      } finally {
+        spyLog.mockRestore()
+      }
+    })
+  })
+
+  describe('counts merged entries towards trusting their author', () => {
+    const authorPayload = {
+      author: {email: '4b3c1fd4a1b0e8b6f0c3b2d0f7f6ee5e', username: null},
+      configPath: {file: 'staticman.yml', path: 'comments'},
+      parameters: {username: 'johndoe', repository: 'foobar', branch: 'master'}
+    }
+
+    const getPR = (state, action = 'closed') => ({
+      action,
+      number: 123,
+      title: 'Add Staticman data',
+      body: `Dear human,\n<!--staticman_author:${JSON.stringify(authorPayload)}-->`,
+      head: {
+        ref: 'staticman_1234567'
+      },
+      base: {
+        ref: 'master'
+      },
+      merged: state === 'merged',
+      repository: {
+        name: req.params.repository,
+        owner: {
+          login: req.params.username
+        }
+      },
+      state: 'closed'
+    })
+
+    const mockGitHub = mockReview => {
+      const mockDeleteBranch = jest.fn()
+
+      jest.mock('../../../lib/GitHub', () => {
+        return jest.fn().mockImplementation(() => {
+          return {
+            deleteBranch: mockDeleteBranch,
+            getReview: jest.fn().mockResolvedValue(mockReview)
+          }
+        })
+      })
+
+      return mockDeleteBranch
+    }
+
+    test('records the author of merged pull requests', async () => {
+      const pr = getPR('merged')
+      const mockDeleteBranch = mockGitHub(new Review(pr.title, pr.body, 'merged', pr.head.ref, pr.base.ref))
+
+      mockRecordMergedEntryFn = jest.fn().mockResolvedValue()
+
+      const handlePR = require('./../../../controllers/handlePR')
+
+      await handlePR(req.params.repository, pr)
+      expect(mockSetConfigPathFn).toHaveBeenCalledWith(authorPayload.configPath)
+      expect(mockRecordMergedEntryFn).toHaveBeenCalledTimes(1)
+      expect(mockRecordMergedEntryFn.mock.calls[0][0]).toEqual(authorPayload.author)
+      expect(mockRecordMergedEntryFn.mock.calls[0][1]).toBe(123)
+      expect(mockDeleteBranch).toHaveBeenCalledTimes(1)
+    })
+
+    test('only records the author when the pull request is closed', async () => {
+      const pr = getPR('merged', 'labeled')
+
+      mockGitHub(new Review(pr.title, pr.body, 'merged', pr.head.ref, pr.base.ref))
+
+      const handlePR = require('./../../../controllers/handlePR')
+
+      await handlePR(req.params.repository, pr)
+      expect(mockRecordMergedEntryFn).not.toHaveBeenCalled()
+    })
+
+    test('does not record the author of pull requests closed without merging', async () => {
+      const pr = getPR('closed')
+      const mockDeleteBranch = mockGitHub(new Review(pr.title, pr.body, 'closed', pr.head.ref, pr.base.ref))
+
+      const handlePR = require('./../../../controllers/handlePR')
+
+      await handlePR(req.params.repository, pr)
+      expect(mockRecordMergedEntryFn).not.toHaveBeenCalled()
+      expect(mockDeleteBranch).toHaveBeenCalledTimes(1)
+    })
+
+    test('deletes the branch even if the entry can\'t be counted', async () => {
+      const pr = getPR('merged')
+      const mockDeleteBranch = mockGitHub(new Review(pr.title, pr.body, 'merged', pr.head.ref, pr.base.ref))
+      const spyLog = jest.spyOn(console, 'log').mockImplementation(() => {})
+
+      mockRecordMergedEntryFn = jest.fn().mockRejectedValue(new Error('Conflict'))
+
+      const handlePR = require('./../../../controllers/handlePR')
+
+      try {
+        await handlePR(req.params.repository, pr)
+        expect(mockRecordMergedEntryFn).toHaveBeenCalledTimes(1)
+        expect(mockDeleteBranch).toHaveBeenCalledTimes(1)
+      } finally {
+        spyLog.mockRestore()
+      }
+    })
+  })
 })
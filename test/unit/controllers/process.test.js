@@ -425,6 +425,49 @@ describe('Process controller', () => {
         expect(err).toEqual(processEntryError)
       })
     })
+
+    test('calls `processEdit` with the entry id if the request has an `id` parameter, delivering the processed fields', () => {
+      const fields = {
+        name: 'Eduardo Boucas',
+        email: 'mail@eduardoboucas.com'
+      }
+      const mockProcessEdit = jest.fn((id, fields, options) => Promise.resolve({
+        fields: fields
+      }))
+      const mockProcessEntry = jest.fn()
+
+      jest.mock('./../../../lib/Staticman', () => {
+        return jest.fn(parameters => ({
+          processEdit: mockProcessEdit,
+          processEntry: mockProcessEntry
+        }))
+      })
+
+      const res = mockHelpers.getMockResponse()
+
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = new Staticman(req.params)
+
+      req.params.id = '1a2b3c4d5e6f'
+      req.body = {
+        fields: fields,
+        options: {
+          'edit-token': 'some-token'
+        }
+      }
+      req.query = {}
+
+      return processFn(staticman, req, res).then(response => {
+        expect(mockProcessEntry).not.toHaveBeenCalled()
+        expect(mockProcessEdit.mock.calls[0][0]).toBe('1a2b3c4d5e6f')
+        expect(mockProcessEdit.mock.calls[0][1]).toEqual(fields)
+        expect(mockProcessEdit.mock.calls[0][2]).toEqual({'edit-token': 'some-token'})
+        expect(res.send.mock.calls[0][0]).toEqual({
+          fields: fields,
+          success: true
+        })
+      })
+    })
   })
 
   describe('sendResponse', () => {
@@ -443,6 +486,20 @@ describe('Process controller', () => {
       expect(res.redirect.mock.calls[0][0]).toBe(data.redirect)
     })
 
+    test('adds the edit token to the query string of the redirect if there is one', () => {
+      const getRedirect = redirect => {
+        const res = mockHelpers.getMockResponse()
+
+        sendResponse(res, {editToken: 'some+token', redirect})
+
+        return res.redirect.mock.calls[0][0]
+      }
+
+      expect(getRedirect('https://eduardoboucas.com')).toBe('https://eduardoboucas.com?editToken=some%2Btoken')
+      expect(getRedirect('https://eduardoboucas.com/?sent=1#comments'))
+        .toBe('https://eduardoboucas.com/?sent=1&editToken=some%2Btoken#comments')
+    })
+
     test('redirects if there is a `redirectError` option there is an error', () => {
       const data = {
         err: 'someError',
@@ -458,6 +515,25 @@ describe('Process controller', () => {
       expect(res.redirect.mock.calls[0][0]).toBe(data.redirectError)
     })
 
+    test('includes the edit token in the response if there is one', () => {
+      const data = {
+        editToken: 'some-token',
+        fields: {
+          name: 'Eduardo Bouças'
+        }
+      }
+
+      const res = mockHelpers.getMockResponse()
+
+      sendResponse(res, data)
+
+      expect(res.send.mock.calls[0][0]).toEqual({
+        success: true,
+        editToken: data.editToken,
+        fields: data.fields
+      })
+    })
+
     test('sends a 200 with a fields object if there are no errors', () => {
       const data = {
         fields: {
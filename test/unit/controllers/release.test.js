@@ -0,0 +1,64 @@
+const errorHandler = require('./../../../lib/ErrorHandler')
+const helpers = require('./../../helpers')
+
+let req, res
+
+beforeEach(() => {
+  req = helpers.getMockRequest()
+  res = helpers.getMockResponse()
+
+  req.params.id = '1a2b3c4d5e6f'
+  req.body = {}
+  req.query = {}
+
+  jest.resetModules()
+})
+
+const mockStaticman = mockProcessRelease => {
+  jest.mock('./../../../lib/Staticman', () => {
+    return jest.fn(parameters => ({
+      processRelease: mockProcessRelease,
+      setConfigPath: jest.fn()
+    }))
+  })
+}
+
+describe('Release controller', () => {
+  test('releases the entry given in the `id` parameter using the release key provided', () => {
+    const fields = helpers.getFields()
+    const mockProcessRelease = jest.fn(() => Promise.resolve({fields, redirect: 'https://author.example.com'}))
+
+    mockStaticman(mockProcessRelease)
+
+    req.body.options = {
+      releaseKey: 'some-release-key'
+    }
+
+    const release = require('./../../../controllers/release')
+
+    return release(req, res).then(response => {
+      expect(mockProcessRelease.mock.calls[0][0]).toBe('1a2b3c4d5e6f')
+      expect(mockProcessRelease.mock.calls[0][1]).toEqual({releaseKey: 'some-release-key'})
+      expect(res.redirect).not.toHaveBeenCalled()
+      expect(res.status.mock.calls[0][0]).toBe(200)
+      expect(res.send.mock.calls[0][0]).toEqual({
+        success: true,
+        fields
+      })
+    })
+  })
+
+  test('returns an error if the entry cannot be released', () => {
+    mockStaticman(() => Promise.reject(errorHandler('RELEASE_KEY_INVALID')))
+
+    const release = require('./../../../controllers/release')
+
+    return release(req, res).then(response => {
+      expect(res.status.mock.calls[0][0]).toBe(500)
+      expect(res.send.mock.calls[0][0]).toEqual(expect.objectContaining({
+        success: false,
+        errorCode: 'RELEASE_KEY_INVALID'
+      }))
+    })
+  })
+})
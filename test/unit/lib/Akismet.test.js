@@ -0,0 +1,130 @@
+const mockHelpers = require('./../../helpers')
+
+let mockClientFn
+let mockClient
+
+beforeEach(() => {
+  mockClient = {
+    checkSpam: jest.fn((comment, callback) => callback(null, false)),
+    submitHam: jest.fn((comment, callback) => callback(null)),
+    submitSpam: jest.fn((comment, callback) => callback(null))
+  }
+  mockClientFn = jest.fn(() => mockClient)
+
+  jest.mock('akismet', () => ({
+    client: options => mockClientFn(options)
+  }))
+
+  jest.resetModules()
+})
+
+describe('Akismet', () => {
+  describe('getComment', () => {
+    test('returns the request metadata and the fields named in the site config', () => {
+      const Akismet = require('./../../../lib/Akismet')
+      const fields = mockHelpers.getFields()
+      const siteConfig = mockHelpers.getConfig()
+
+      siteConfig.set('akismet.author', 'name')
+      siteConfig.set('akismet.authorEmail', 'email')
+      siteConfig.set('akismet.authorUrl', 'url')
+      siteConfig.set('akismet.content', 'message')
+
+      expect(Akismet.getComment(fields, siteConfig, {
+        ip: '123.456.78.9',
+        userAgent: 'Some browser'
+      })).toEqual({
+        user_ip: '123.456.78.9',
+        user_agent: 'Some browser',
+        comment_type: siteConfig.get('akismet.type'),
+        comment_author: fields.name,
+        comment_author_email: fields.email,
+        comment_author_url: fields.url,
+        comment_content: fields.message
+      })
+    })
+  })
+
+  describe('checkSpam', () => {
+    test('creates a client for the site and key in the config', async () => {
+      const config = require('./../../../config')
+      const Akismet = require('./../../../lib/Akismet')
+
+      mockClient.checkSpam = jest.fn((comment, callback) => callback(null, true))
+
+      await expect(Akismet.checkSpam({comment_content: 'Hello'})).resolves.toBe(true)
+      expect(mockClientFn).toHaveBeenCalledWith({
+        apiKey: config.get('akismet.apiKey'),
+        blog: config.get('akismet.site')
+      })
+      expect(mockClient.checkSpam.mock.calls[0][0]).toEqual({comment_content: 'Hello'})
+    })
+
+    test('sends requests to the endpoint set in the config', async () => {
+      const config = require('./../../../config')
+      const Akismet = require('./../../../lib/Akismet')
+
+      config.set('akismet.endpoint', 'http://localhost:8081')
+
+      try {
+        await Akismet.checkSpam({comment_content: 'Hello'})
+
+        expect(mockClientFn.mock.calls[0][0]).toEqual(expect.objectContaining({
+          endPoint: 'localhost',
+          host: 'localhost',
+          port: 8081
+        }))
+
+        config.set('akismet.endpoint', 'https://akismet.example.com')
+
+        await Akismet.checkSpam({comment_content: 'Hello'})
+
+        expect(mockClientFn.mock.calls[1][0]).toEqual(expect.objectContaining({
+          endPoint: 'akismet.example.com',
+          port: 443
+        }))
+      } finally {
+        config.set('akismet.endpoint', null)
+      }
+    })
+
+    test('creates the client with the user agent of the comment', async () => {
+      const Akismet = require('./../../../lib/Akismet')
+
+      await Akismet.checkSpam({user_agent: 'Some browser', comment_content: 'Hello'})
+
+      expect(mockClientFn.mock.calls[0][0].userAgent).toBe('Some browser')
+    })
+
+    test('rejects with the error returned by the client', async () => {
+      const Akismet = require('./../../../lib/Akismet')
+      const error = new Error('Invalid API key')
+
+      mockClient.checkSpam = jest.fn((comment, callback) => callback(error))
+
+      await expect(Akismet.checkSpam({comment_content: 'Hello'})).rejects.toBe(error)
+    })
+  })
+
+  describe('submitHam', () => {
+    test('reports the comment as not spam', async () => {
+      const Akismet = require('./../../../lib/Akismet')
+
+      await Akismet.submitHam({comment_content: 'Hello'})
+
+      expect(mockClient.submitHam.mock.calls[0][0]).toEqual({comment_content: 'Hello'})
+      expect(mockClient.submitSpam).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('submitSpam', () => {
+    test('reports the comment as spam', async () => {
+      const Akismet = require('./../../../lib/Akismet')
+
+      await Akismet.submitSpam({comment_content: 'Buy pills'})
+
+      expect(mockClient.submitSpam.mock.calls[0][0]).toEqual({comment_content: 'Buy pills'})
+      expect(mockClient.submitHam).not.toHaveBeenCalled()
+    })
+  })
+})
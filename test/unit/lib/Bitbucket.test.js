@@ -0,0 +1,533 @@
+const mockHelpers = require('./../../helpers')
+const sampleData = require('./../../helpers/sampleData')
+const Review = require('../../../lib/models/Review')
+const User = require('../../../lib/models/User')
+const yaml = require('js-yaml')
+const Bitbucket = require('./../../../lib/Bitbucket')
+const nock = require('nock')
+const config = require('../../../config')
+
+let req
+
+const basicAuth = 'Basic ' + Buffer.from('staticman-bot:b4t3b2u1').toString('base64')
+const headCommit = '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+
+const mockHeadCommit = (branch = 'master') => {
+  return nock(/api\.bitbucket\.org/)
+    .get(`/2.0/repositories/johndoe/foobar/refs/branches/${branch}`)
+    .reply(200, {
+      target: {
+        hash: headCommit
+      }
+    })
+}
+
+beforeEach(() => {
+  jest.resetModules()
+  jest.restoreAllMocks()
+
+  req = mockHelpers.getMockRequest()
+})
+
+afterEach(() => {
+  nock.cleanAll()
+})
+
+describe('Bitbucket interface', () => {
+  test('initialises the Bitbucket API wrapper', () => {
+    const bitbucket = new Bitbucket(req.params)
+
+    expect(bitbucket.api).toBeDefined()
+  })
+
+  test('authenticates with the Bitbucket API using an app password', async () => {
+    const scope = nock(/api\.bitbucket\.org/, {
+      reqheaders: {
+        authorization: basicAuth
+      }
+    })
+      .get('/2.0/repositories/johndoe/foobar/refs/branches/master')
+      .reply(200, {
+        target: {
+          hash: '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+        }
+      })
+
+    const bitbucket = new Bitbucket(req.params)
+
+    await bitbucket.getBranchHeadCommit('master')
+    expect(scope.isDone()).toBe(true)
+  })
+
+  test('authenticates with the Bitbucket API using an OAuth token', async () => {
+    const scope = nock(/api\.bitbucket\.org/, {
+      reqheaders: {
+        authorization: 'Bearer test-oauth-token'
+      }
+    })
+      .get('/2.0/repositories/johndoe/foobar/refs/branches/master')
+      .reply(200, {
+        target: {
+          hash: '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+        }
+      })
+
+    const bitbucket = new Bitbucket(Object.assign({}, req.params, {
+      oauthToken: 'test-oauth-token'
+    }))
+
+    await bitbucket.getBranchHeadCommit('master')
+    expect(scope.isDone()).toBe(true)
+  })
+
+  test('throws error if no app password or OAuth token is provided', () => {
+    jest.spyOn(config, 'get').mockImplementation(() => null)
+
+    expect(() => new Bitbucket({})).toThrowError('Require an `oauthToken` option or the `bitbucketUsername` and `bitbucketAppPassword` config values')
+  })
+
+  describe('readFile', () => {
+    test('reads a YAML file and returns its parsed contents', async () => {
+      const parsedConfig = yaml.safeLoad(sampleData.config1, 'utf8')
+      const scope = mockHeadCommit()
+        .get(`/2.0/repositories/johndoe/foobar/src/${headCommit}/path/to/file.yml`)
+        .reply(200, sampleData.config1)
+
+      const bitbucket = new Bitbucket(req.params)
+      const contents = await bitbucket.readFile('path/to/file.yml')
+
+      expect(contents).toEqual(parsedConfig)
+      expect(scope.isDone()).toBe(true)
+    })
+
+    test('reads a JSON file and returns its parsed and raw contents if `getFullResponse` is `true`', async () => {
+      const parsedConfig = yaml.safeLoad(sampleData.config2, 'utf8')
+      const scope = mockHeadCommit()
+        .get(`/2.0/repositories/johndoe/foobar/src/${headCommit}/path/to/file.json`)
+        .reply(200, sampleData.config2)
+
+      const bitbucket = new Bitbucket(req.params)
+      const response = await bitbucket.readFile('path/to/file.json', true)
+
+      expect(response.content).toEqual(parsedConfig)
+      expect(response.file).toEqual({
+        content: Buffer.from(sampleData.config2).toString('base64'),
+        sha: headCommit
+      })
+      expect(scope.isDone()).toBe(true)
+    })
+
+    test('returns an error if the Bitbucket API call errors', async () => {
+      const scope = mockHeadCommit()
+        .get(`/2.0/repositories/johndoe/foobar/src/${headCommit}/path/to/file.yml`)
+        .reply(404, {
+          type: 'error'
+        })
+
+      const bitbucket = new Bitbucket(req.params)
+
+      expect.assertions(2)
+
+      try {
+        await bitbucket.readFile('path/to/file.yml')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('BITBUCKET_READING_FILE')
+      }
+
+      expect(scope.isDone()).toBe(true)
+    })
+
+    test('returns an error if parsing fails for the given file', async () => {
+      const scope = mockHeadCommit()
+        .get(`/2.0/repositories/johndoe/foobar/src/${headCommit}/path/to/file.yml`)
+        .reply(200, sampleData.configInvalidYML)
+
+      const bitbucket = new Bitbucket(req.params)
+
+      expect.assertions(3)
+
+      try {
+        await bitbucket.readFile('path/to/file.yml')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('PARSING_ERROR')
+        expect(err.message).toBeDefined()
+      }
+
+      expect(scope.isDone()).toBe(true)
+    })
+  })
+
+  describe('writeFile', () => {
+    test('creates a file on the given branch using the commit title provided', async () => {
+      let requestBody
+
+      const scope = mockHeadCommit('some-branch')
+        .get(`/2.0/repositories/johndoe/foobar/src/${headCommit}/path/to/file.txt`)
+        .query({format: 'meta'})
+        .reply(404, {type: 'error'})
+        .post('/2.0/repositories/johndoe/foobar/src', body => {
+          requestBody = body
+
+          return true
+        })
+        .reply(201)
+
+      const bitbucket = new Bitbucket(req.params)
+
+      await bitbucket.writeFile('path/to/file.txt', 'This is a new file', 'some-branch', 'Adds a new file')
+
+      expect(scope.isDone()).toBe(true)
+      expect(requestBody).toContain('name="branch"\r\n\r\nsome-branch')
+      expect(requestBody).toContain('name="message"\r\n\r\nAdds a new file')
+      expect(requestBody).toContain(`name="parents"\r\n\r\n${headCommit}`)
+      expect(requestBody).toContain('name="path/to/file.txt"; filename="file.txt"')
+      expect(requestBody).toContain('This is a new file')
+    })
+
+    test('creates a file using the branch present in the request and the default commit title', async () => {
+      let requestBody
+
+      const scope = mockHeadCommit()
+        .get(`/2.0/repositories/johndoe/foobar/src/${headCommit}/path/to/file.txt`)
+        .query({format: 'meta'})
+        .reply(404, {type: 'error'})
+        .post('/2.0/repositories/johndoe/foobar/src', body => {
+          requestBody = body
+
+          return true
+        })
+        .reply(201)
+
+      const bitbucket = new Bitbucket(req.params)
+
+      await bitbucket.writeFile('path/to/file.txt', 'This is a new file')
+
+      expect(scope.isDone()).toBe(true)
+      expect(requestBody).toContain(`name="branch"\r\n\r\n${req.params.branch}`)
+      expect(requestBody).toContain('name="message"\r\n\r\nAdd Staticman file')
+    })
+
+    test('returns an error object if the file already exists', async () => {
+      const scope = mockHeadCommit()
+        .get(`/2.0/repositories/johndoe/foobar/src/${headCommit}/path/to/file.txt`)
+        .query({format: 'meta'})
+        .reply(200, {path: 'path/to/file.txt', type: 'commit_file'})
+      const postScope = nock(/api\.bitbucket\.org/)
+        .post('/2.0/repositories/johndoe/foobar/src')
+        .reply(201)
+
+      const bitbucket = new Bitbucket(req.params)
+
+      expect.assertions(3)
+
+      try {
+        await bitbucket.writeFile('path/to/file.txt', 'This is a new file')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('BITBUCKET_FILE_ALREADY_EXISTS')
+      }
+
+      expect(scope.isDone()).toBe(true)
+      expect(postScope.isDone()).toBe(false)
+    })
+
+    test('returns an error object if the save operation fails', async () => {
+      const scope = mockHeadCommit()
+        .get(`/2.0/repositories/johndoe/foobar/src/${headCommit}/path/to/file.txt`)
+        .query({format: 'meta'})
+        .reply(404, {type: 'error'})
+        .post('/2.0/repositories/johndoe/foobar/src')
+        .replyWithError('An error')
+
+      const bitbucket = new Bitbucket(req.params)
+
+      expect.assertions(2)
+
+      try {
+        await bitbucket.writeFile('path/to/file.txt', 'This is a new file')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('BITBUCKET_WRITING_FILE')
+      }
+
+      expect(scope.isDone()).toBe(true)
+    })
+  })
+
+  describe('updateFile', () => {
+    test('commits on top of the commit the file was read at, so that the commit fails if the branch has moved on', async () => {
+      let requestBody
+
+      const scope = nock(/api\.bitbucket\.org/)
+        .post('/2.0/repositories/johndoe/foobar/src', body => {
+          requestBody = body
+
+          return true
+        })
+        .reply(409, {type: 'error'})
+
+      const bitbucket = new Bitbucket(req.params)
+
+      expect.assertions(4)
+
+      try {
+        await bitbucket.updateFile('path/to/file.txt', 'New contents', 'master', 'Updates a file', headCommit)
+      } catch (err) {
+        expect(err._smErrorCode).toBe('BITBUCKET_UPDATING_FILE')
+      }
+
+      expect(scope.isDone()).toBe(true)
+      expect(requestBody).toContain(`name="parents"\r\n\r\n${headCommit}`)
+      expect(requestBody).toContain('New contents')
+    })
+  })
+
+  describe('writeFiles', () => {
+    test('sends all the files in a single request, creating a single commit', async () => {
+      let requestBody
+
+      const scope = mockHeadCommit()
+        .get(`/2.0/repositories/johndoe/foobar/src/${headCommit}/path/to/entry.yml`)
+        .query({format: 'meta'})
+        .reply(404, {type: 'error'})
+        .get(`/2.0/repositories/johndoe/foobar/src/${headCommit}/path/to/index.yml`)
+        .query({format: 'meta'})
+        .reply(404, {type: 'error'})
+        .post('/2.0/repositories/johndoe/foobar/src', body => {
+          requestBody = body
+
+          return true
+        })
+        .reply(201)
+
+      const bitbucket = new Bitbucket(req.params)
+
+      await bitbucket.writeFiles([
+        {path: 'path/to/entry.yml', content: 'name: John'},
+        {path: 'path/to/index.yml', content: 'entries: 1'}
+      ], 'master', 'Adds some files')
+
+      expect(scope.isDone()).toBe(true)
+      expect(requestBody).toContain('name="message"\r\n\r\nAdds some files')
+      expect(requestBody).toContain('name="path/to/entry.yml"; filename="entry.yml"')
+      expect(requestBody).toContain('name="path/to/index.yml"; filename="index.yml"')
+    })
+  })
+
+  describe('writeFileAndSendReview', () => {
+    test('writes a file to a new branch and sends a PR to the base branch provided, using the given title and body for the commit/PR', async () => {
+      const options = {
+        commitBody: 'This is a very cool file indeed...',
+        commitTitle: 'Adds a new file',
+        content: 'This is a new file',
+        newBranch: 'staticman_123456789',
+        path: 'path/to/file.txt',
+        sha: '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+      }
+
+      const branchScope = nock(/api\.bitbucket\.org/)
+        .get('/2.0/repositories/johndoe/foobar/refs/branches/master')
+        .reply(200, {
+          target: {
+            hash: options.sha
+          }
+        })
+
+      const refsScope = nock(/api\.bitbucket\.org/)
+        .post('/2.0/repositories/johndoe/foobar/refs/branches', {
+          name: options.newBranch,
+          target: {
+            hash: options.sha
+          }
+        })
+        .reply(201, {
+          name: options.newBranch
+        })
+
+      const fileScope = mockHeadCommit(options.newBranch)
+        .get(`/2.0/repositories/johndoe/foobar/src/${options.sha}/${options.path}`)
+        .query({format: 'meta'})
+        .reply(404, {type: 'error'})
+        .post('/2.0/repositories/johndoe/foobar/src')
+        .reply(201)
+
+      const pullScope = nock(/api\.bitbucket\.org/)
+        .post('/2.0/repositories/johndoe/foobar/pullrequests', {
+          close_source_branch: true,
+          description: options.commitBody,
+          destination: {
+            branch: {
+              name: req.params.branch
+            }
+          },
+          source: {
+            branch: {
+              name: options.newBranch
+            }
+          },
+          title: options.commitTitle
+        })
+        .reply(201, {
+          id: 1
+        })
+
+      const bitbucket = new Bitbucket(req.params)
+      const data = await bitbucket.writeFileAndSendReview(
+        options.path,
+        options.content,
+        options.newBranch,
+        options.commitTitle,
+        options.commitBody
+      )
+
+      expect(data).toEqual({id: 1})
+      expect(branchScope.isDone()).toBe(true)
+      expect(refsScope.isDone()).toBe(true)
+      expect(fileScope.isDone()).toBe(true)
+      expect(pullScope.isDone()).toBe(true)
+    })
+
+    test('returns an error if any of the API calls fail', async () => {
+      const scope = nock(/api\.bitbucket\.org/)
+        .get('/2.0/repositories/johndoe/foobar/refs/branches/master')
+        .replyWithError('An error, oh no.')
+
+      const bitbucket = new Bitbucket(req.params)
+
+      expect.assertions(2)
+
+      try {
+        await bitbucket.writeFileAndSendReview('path/to/file.txt', 'This is a new file', 'staticman_123456789')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('BITBUCKET_CREATING_PR')
+      }
+
+      expect(scope.isDone()).toBe(true)
+    })
+  })
+
+  describe('deleteBranch', () => {
+    test('deletes the given branch', async () => {
+      const scope = nock(/api\.bitbucket\.org/)
+        .delete('/2.0/repositories/johndoe/foobar/refs/branches/staticman_123456789')
+        .reply(204)
+
+      const bitbucket = new Bitbucket(req.params)
+
+      await bitbucket.deleteBranch('staticman_123456789')
+      expect(scope.isDone()).toBe(true)
+    })
+  })
+
+  describe('getReview', () => {
+    test('returns a merged pull request as a `merged` review', async () => {
+      const scope = nock(/api\.bitbucket\.org/)
+        .get('/2.0/repositories/johndoe/foobar/pullrequests/123')
+        .reply(200, {
+          description: 'Some description',
+          destination: {
+            branch: {
+              name: 'master'
+            }
+          },
+          source: {
+            branch: {
+              name: 'staticman_123456789'
+            }
+          },
+          state: 'MERGED',
+          title: 'Add Staticman data'
+        })
+
+      const bitbucket = new Bitbucket(req.params)
+      const review = await bitbucket.getReview(123)
+
+      expect(review).toEqual(
+        new Review('Add Staticman data', 'Some description', 'merged', 'staticman_123456789', 'master')
+      )
+      expect(scope.isDone()).toBe(true)
+    })
+
+    test('returns a declined pull request as a `closed` review', async () => {
+      const scope = nock(/api\.bitbucket\.org/)
+        .get('/2.0/repositories/johndoe/foobar/pullrequests/123')
+        .reply(200, {
+          description: 'Some description',
+          destination: {
+            branch: {
+              name: 'master'
+            }
+          },
+          source: {
+            branch: {
+              name: 'staticman_123456789'
+            }
+          },
+          state: 'DECLINED',
+          title: 'Add Staticman data'
+        })
+
+      const bitbucket = new Bitbucket(req.params)
+      const review = await bitbucket.getReview(123)
+
+      expect(review.state).toBe('closed')
+      expect(scope.isDone()).toBe(true)
+    })
+  })
+
+  describe('getCurrentUser', () => {
+    test('returns the current authenticated user', async () => {
+      const userScope = nock(/api\.bitbucket\.org/)
+        .get('/2.0/user')
+        .reply(200, {
+          display_name: 'John Doe',
+          links: {
+            avatar: {
+              href: 'https://bitbucket.org/account/johndoe/avatar/'
+            }
+          },
+          username: 'johndoe'
+        })
+
+      const emailsScope = nock(/api\.bitbucket\.org/)
+        .get('/2.0/user/emails')
+        .reply(200, {
+          values: [
+            {email: 'other@test.com', is_primary: false},
+            {email: 'johndoe@test.com', is_primary: true}
+          ]
+        })
+
+      const bitbucket = new Bitbucket(req.params)
+      const user = await bitbucket.getCurrentUser()
+
+      expect(user).toEqual(
+        new User('bitbucket', 'johndoe', 'johndoe@test.com', 'John Doe', 'https://bitbucket.org/account/johndoe/avatar/')
+      )
+      expect(userScope.isDone()).toBe(true)
+      expect(emailsScope.isDone()).toBe(true)
+    })
+
+    test('throws an error if unable to retrieve the current unauthenticated user', async () => {
+      nock(/api\.bitbucket\.org/)
+        .get('/2.0/user')
+        .reply(401, {
+          type: 'error'
+        })
+
+      nock(/api\.bitbucket\.org/)
+        .get('/2.0/user/emails')
+        .reply(401, {
+          type: 'error'
+        })
+
+      const bitbucket = new Bitbucket(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await bitbucket.getCurrentUser()
+      } catch (err) {
+        expect(err._smErrorCode).toBe('BITBUCKET_GET_USER')
+      }
+    })
+  })
+})
@@ -0,0 +1,79 @@
+const Csv = require('./../../../lib/Csv')
+
+describe('Csv', () => {
+  describe('stringify', () => {
+    test('creates a header row followed by a row per record', () => {
+      const records = [
+        {name: 'John', email: 'john@test.com'},
+        {name: 'Jane', email: 'jane@test.com'}
+      ]
+
+      expect(Csv.stringify(records, ['name', 'email'])).toBe(
+        'name,email\nJohn,john@test.com\nJane,jane@test.com\n'
+      )
+    })
+
+    test('quotes cells with commas, quotes, line breaks or surrounding spaces', () => {
+      const records = [{
+        a: 'Lisbon, Portugal',
+        b: 'Say "hi"',
+        c: 'Two\nlines',
+        d: ' padded'
+      }]
+
+      expect(Csv.stringify(records, ['a', 'b', 'c', 'd'])).toBe(
+        'a,b,c,d\n"Lisbon, Portugal","Say ""hi""","Two\nlines"," padded"\n'
+      )
+    })
+
+    test('prefixes text cells that spreadsheets would run as formulas with a quote', () => {
+      const records = [{
+        a: '=HYPERLINK("http://spam.example.com")',
+        b: '+1',
+        c: '-2',
+        d: '@SUM(A1)',
+        e: '\tTabbed',
+        f: '\rReturn',
+        g: -3
+      }]
+
+      expect(Csv.stringify(records, ['a', 'b', 'c', 'd', 'e', 'f', 'g'])).toBe(
+        'a,b,c,d,e,f,g\n"\'=HYPERLINK(""http://spam.example.com"")",\'+1,\'-2,\'@SUM(A1),\'\tTabbed,"\'\rReturn",-3\n'
+      )
+    })
+
+    test('leaves cells empty for missing values', () => {
+      expect(Csv.stringify([{a: 'x', b: null}], ['a', 'b', 'c'])).toBe('a,b,c\nx,,\n')
+    })
+  })
+
+  describe('parse', () => {
+    test('returns an object per row, keyed by the header', () => {
+      expect(Csv.parse('name,email\nJohn,john@test.com\r\nJane,\n\n')).toEqual([
+        {name: 'John', email: 'john@test.com'},
+        {name: 'Jane', email: ''}
+      ])
+    })
+
+    test('reads quoted cells', () => {
+      expect(Csv.parse('a,b\n"Lisbon, Portugal","Say ""hi""\nagain"')).toEqual([
+        {a: 'Lisbon, Portugal', b: 'Say "hi"\nagain'}
+      ])
+    })
+
+    test('reads what `stringify` writes', () => {
+      const records = [{a: ' x', b: '"y",\nz'}, {a: '', b: 'w'}]
+
+      expect(Csv.parse(Csv.stringify(records, ['a', 'b']))).toEqual(records)
+    })
+
+    test('returns an empty list for a file without rows', () => {
+      expect(Csv.parse('')).toEqual([])
+      expect(Csv.parse('name,email\n')).toEqual([])
+    })
+
+    test('throws an error if a quoted cell is not closed', () => {
+      expect(() => Csv.parse('a\n"unclosed')).toThrow('Unterminated quoted cell')
+    })
+  })
+})
@@ -0,0 +1,95 @@
+const FieldPaths = require('./../../../lib/FieldPaths')
+
+const getFields = () => ({
+  name: 'John Doe',
+  address: {
+    city: 'Lisbon',
+    country: 'Portugal'
+  },
+  tags: ['news', 'tech'],
+  items: [
+    {name: 'Book', quantity: '2'},
+    {name: 'Pen', quantity: '1'}
+  ]
+})
+
+describe('FieldPaths', () => {
+  describe('getLeaves', () => {
+    test('lists every scalar value with its path', () => {
+      expect(FieldPaths.getLeaves(getFields())).toEqual([
+        {path: 'name', value: 'John Doe'},
+        {path: 'address.city', value: 'Lisbon'},
+        {path: 'address.country', value: 'Portugal'},
+        {path: 'tags[]', value: 'news'},
+        {path: 'tags[]', value: 'tech'},
+        {path: 'items[].name', value: 'Book'},
+        {path: 'items[].quantity', value: '2'},
+        {path: 'items[].name', value: 'Pen'},
+        {path: 'items[].quantity', value: '1'}
+      ])
+    })
+  })
+
+  describe('getValues', () => {
+    test('returns the values addressed by a path', () => {
+      const fields = getFields()
+
+      expect(FieldPaths.getValues(fields, 'name')).toEqual(['John Doe'])
+      expect(FieldPaths.getValues(fields, 'address.city')).toEqual(['Lisbon'])
+      expect(FieldPaths.getValues(fields, 'tags[]')).toEqual(['news', 'tech'])
+      expect(FieldPaths.getValues(fields, 'items[].name')).toEqual(['Book', 'Pen'])
+      expect(FieldPaths.getValues(fields, 'address.street')).toEqual([])
+      expect(FieldPaths.getValues(fields, 'name.first')).toEqual([])
+    })
+
+    test('treats a single value sent without brackets as a list of one', () => {
+      expect(FieldPaths.getValues({tags: 'news'}, 'tags[]')).toEqual(['news'])
+    })
+  })
+
+  describe('updateValues', () => {
+    test('replaces each value addressed by a path', async () => {
+      const fields = getFields()
+      const upcase = value => value.toUpperCase()
+
+      await FieldPaths.updateValues(fields, 'address.city', upcase)
+      await FieldPaths.updateValues(fields, 'tags[]', upcase)
+      await FieldPaths.updateValues(fields, 'items[].name', upcase)
+      await FieldPaths.updateValues(fields, 'address.street', upcase)
+
+      expect(fields.address).toEqual({city: 'LISBON', country: 'Portugal'})
+      expect(fields.tags).toEqual(['NEWS', 'TECH'])
+      expect(fields.items.map(item => item.name)).toEqual(['BOOK', 'PEN'])
+    })
+
+    test('waits for asynchronous replacements', async () => {
+      const fields = await FieldPaths.updateValues(getFields(), 'tags[]', value => {
+        return Promise.resolve(value.length)
+      })
+
+      expect(fields.tags).toEqual([4, 4])
+    })
+  })
+
+  describe('mapLeaves', () => {
+    test('replaces every scalar value', () => {
+      const fields = FieldPaths.mapLeaves(getFields(), value => value.length)
+
+      expect(fields.name).toBe(8)
+      expect(fields.address.city).toBe(6)
+      expect(fields.tags).toEqual([4, 4])
+      expect(fields.items[1]).toEqual({name: 3, quantity: 1})
+    })
+  })
+
+  describe('isListed', () => {
+    test('matches a path listed directly or through one of its ancestors', () => {
+      expect(FieldPaths.isListed('address.city', ['address.city'])).toBe(true)
+      expect(FieldPaths.isListed('address.city', ['address'])).toBe(true)
+      expect(FieldPaths.isListed('tags[]', ['tags'])).toBe(true)
+      expect(FieldPaths.isListed('items[].name', ['items[].name'])).toBe(true)
+      expect(FieldPaths.isListed('address.city', ['address.country'])).toBe(false)
+      expect(FieldPaths.isListed('addressee', ['address'])).toBe(false)
+    })
+  })
+})
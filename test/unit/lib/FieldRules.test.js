@@ -0,0 +1,66 @@
+const FieldRules = require('./../../../lib/FieldRules')
+
+describe('FieldRules', () => {
+  describe('check', () => {
+    test('returns null if the value satisfies all the rules', () => {
+      expect(FieldRules.check('Hello world', {type: 'string', minLength: 5, pattern: '^Hello'})).toBe(null)
+      expect(FieldRules.check('4', {type: 'number', min: 1, max: 5})).toBe(null)
+      expect(FieldRules.check('on', {type: 'boolean'})).toBe(null)
+      expect(FieldRules.check('red', {enum: ['red', 'green']})).toBe(null)
+    })
+
+    test('checks the `type` rule', () => {
+      const cases = [
+        ['email', 'johndoe@test.com', 'johndoe@test'],
+        ['url', 'https://eduardoboucas.com', 'javascript:alert(1)'],
+        ['date', '2019-01-31T12:00:00Z', 'yesterday'],
+        ['number', '-1.5', '1.5kg'],
+        ['boolean', 'false', 'maybe'],
+        ['string', 'foo', ['foo', 3]]
+      ]
+
+      cases.forEach(([type, validValue, invalidValue]) => {
+        expect(FieldRules.check(validValue, {type})).toBe(null)
+        expect(FieldRules.check(invalidValue, {type})).toEqual({rule: 'type', expected: type})
+      })
+    })
+
+    test('checks the length, pattern, enum and range rules', () => {
+      expect(FieldRules.check('Hi', {minLength: 3})).toEqual({rule: 'minLength', expected: 3})
+      expect(FieldRules.check('Hello', {maxLength: 3})).toEqual({rule: 'maxLength', expected: 3})
+      expect(FieldRules.check('abc', {pattern: '^[0-9]+$'})).toEqual({rule: 'pattern', expected: '^[0-9]+$'})
+      expect(FieldRules.check('blue', {enum: ['red', 'green']})).toEqual({rule: 'enum', expected: ['red', 'green']})
+      expect(FieldRules.check('0', {min: 1})).toEqual({rule: 'min', expected: 1})
+      expect(FieldRules.check(6, {max: 5})).toEqual({rule: 'max', expected: 5})
+    })
+
+    test('reports only the first rule broken', () => {
+      expect(FieldRules.check('x', {type: 'number', minLength: 2})).toEqual({rule: 'type', expected: 'number'})
+    })
+
+    test('checks every item of a list of values', () => {
+      expect(FieldRules.check(['red', 'green'], {enum: ['red', 'green']})).toBe(null)
+      expect(FieldRules.check(['red', 'blue'], {enum: ['red', 'green']})).toEqual({rule: 'enum', expected: ['red', 'green']})
+    })
+  })
+
+  describe('assertRules', () => {
+    test('accepts valid rules', () => {
+      expect(() => FieldRules.assertRules({
+        email: {type: 'email'},
+        rating: {type: 'number', min: 1, max: 5}
+      })).not.toThrow()
+    })
+
+    test('throws an error for unknown rules or invalid rule settings', () => {
+      expect(() => FieldRules.assertRules({email: {format: 'email'}}))
+        .toThrowError('Unknown rule `format` for field `email`')
+      expect(() => FieldRules.assertRules({email: {type: 'e-mail'}}))
+        .toThrowError('Invalid `type` rule for field `email`')
+      expect(() => FieldRules.assertRules({name: {pattern: '(['}}))
+        .toThrowError('Invalid `pattern` rule for field `name`')
+      expect(() => FieldRules.assertRules({name: {maxLength: '10'}}))
+        .toThrowError('Invalid `maxLength` rule for field `name`')
+    })
+  })
+})
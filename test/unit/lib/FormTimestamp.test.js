@@ -0,0 +1,47 @@
+const FormTimestamp = require('./../../../lib/FormTimestamp')
+const mockHelpers = require('./../../helpers')
+
+let mockParameters
+
+beforeEach(() => {
+  mockParameters = mockHelpers.getParameters()
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('FormTimestamp', () => {
+  test('creates timestamps that give back the time they were issued at', () => {
+    const now = Date.now()
+
+    jest.spyOn(Date, 'now').mockImplementation(() => now)
+
+    const timestamp = FormTimestamp.create(mockParameters)
+
+    expect(timestamp).toMatch(/^[\w+/=]+\.[\w+/=]+$/)
+    expect(FormTimestamp.getIssuedAt(timestamp, mockParameters)).toBe(now)
+  })
+
+  test('rejects timestamps issued for another site', () => {
+    const timestamp = FormTimestamp.create(mockParameters)
+
+    expect(FormTimestamp.getIssuedAt(timestamp, Object.assign({}, mockParameters, {branch: 'other-branch'}))).toBe(null)
+    expect(FormTimestamp.getIssuedAt(timestamp, Object.assign({}, mockParameters, {username: 'someone-else'}))).toBe(null)
+  })
+
+  test('rejects timestamps whose payload has been changed', () => {
+    const [payload, signature] = FormTimestamp.create(mockParameters).split('.')
+    const data = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'))
+    const changedPayload = Buffer.from(JSON.stringify(Object.assign(data, {issuedAt: 0}))).toString('base64')
+
+    expect(FormTimestamp.getIssuedAt(`${changedPayload}.${signature}`, mockParameters)).toBe(null)
+  })
+
+  test('rejects malformed timestamps', () => {
+    expect(FormTimestamp.getIssuedAt('', mockParameters)).toBe(null)
+    expect(FormTimestamp.getIssuedAt('not-a-timestamp', mockParameters)).toBe(null)
+    expect(FormTimestamp.getIssuedAt('bm90IGpzb24=.c2lnbmF0dXJl', mockParameters)).toBe(null)
+    expect(FormTimestamp.getIssuedAt({}, mockParameters)).toBe(null)
+  })
+})
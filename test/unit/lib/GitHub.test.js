@@ -86,6 +86,29 @@ describe('GitHub interface', () => {
       expect(scope.isDone()).toBe(true)
     })
 
+    test('reads a TOML file and returns its parsed contents', async () => {
+      const scope = nock((/api\.github\.com/), {
+        reqheaders: {
+          authorization: 'token '.concat('1q2w3e4r')
+        }
+      })
+        .get('/repos/johndoe/foobar/contents/staticman.toml?ref=master')
+        .reply(200, {
+          content: btoa('[comments]\nbranch = "master"\nallowedFields = [ "name", "message" ]\n')
+        })
+
+      const githubInstance = await new GitHub(req.params)
+
+      const contents = await githubInstance.readFile('staticman.toml')
+      expect(contents).toEqual({
+        comments: {
+          branch: 'master',
+          allowedFields: ['name', 'message']
+        }
+      })
+      expect(scope.isDone()).toBe(true)
+    })
+
     test('returns an error if GitHub API call errors', async () => {
       const filePath = 'path/to/file.yml'
       const parsedConfig = yaml.safeLoad(sampleData.config1, 'utf8')
@@ -337,6 +360,277 @@ describe('GitHub interface', () => {
     })
   })
 
+  describe('updateFile', () => {
+    test('updates a file on the given branch, sending the sha of the blob being replaced', async () => {
+      const options = {
+        branch: 'master',
+        commitTitle: 'Updates a file',
+        content: 'This is an updated file',
+        path: 'path/to/file.txt',
+        sha: '2ff8b5b6a6c8a1a32d8b5f0e3a2b4d3f7d1b2c3e'
+      }
+
+      const scope = nock((/api\.github\.com/), {
+        reqheaders: {
+          authorization: 'token '.concat('1q2w3e4r')
+        }
+      })
+        .get('/repos/johndoe/foobar/contents/path/to/file.txt?ref=master')
+        .reply(200, {
+          content: btoa('This is a file'),
+          sha: options.sha
+        })
+        .put('/repos/johndoe/foobar/contents/path/to/file.txt', {
+          branch: options.branch,
+          content: btoa(options.content),
+          message: options.commitTitle,
+          sha: options.sha
+        })
+        .reply(200, {
+          number: 123
+        })
+
+      const githubInstance = await new GitHub(req.params)
+
+      await githubInstance.updateFile(
+        options.path,
+        options.content,
+        options.branch,
+        options.commitTitle
+      )
+
+      expect(scope.isDone()).toBe(true)
+    })
+
+    test('does not fetch the file if a sha is provided', async () => {
+      const scope = nock((/api\.github\.com/))
+        .put('/repos/johndoe/foobar/contents/path/to/file.txt', body => {
+          return body.sha === '2ff8b5b6a6c8a1a32d8b5f0e3a2b4d3f7d1b2c3e'
+        })
+        .reply(200, {
+          number: 123
+        })
+
+      const githubInstance = await new GitHub(req.params)
+
+      await githubInstance.updateFile(
+        'path/to/file.txt',
+        'This is an updated file',
+        'master',
+        'Updates a file',
+        '2ff8b5b6a6c8a1a32d8b5f0e3a2b4d3f7d1b2c3e'
+      )
+
+      expect(scope.isDone()).toBe(true)
+    })
+
+    test('returns an error object if the update fails', async () => {
+      nock((/api\.github\.com/))
+        .put('/repos/johndoe/foobar/contents/path/to/file.txt')
+        .reply(409, {
+          message: 'path/to/file.txt does not match 2ff8b5b6a6c8a1a32d8b5f0e3a2b4d3f7d1b2c3e'
+        })
+
+      const githubInstance = await new GitHub(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await githubInstance.updateFile(
+          'path/to/file.txt',
+          'This is an updated file',
+          'master',
+          'Updates a file',
+          '2ff8b5b6a6c8a1a32d8b5f0e3a2b4d3f7d1b2c3e'
+        )
+      } catch (err) {
+        expect(err._smErrorCode).toBe('GITHUB_UPDATING_FILE')
+      }
+    })
+  })
+
+  describe('deleteFile', () => {
+    test('deletes a file on the given branch, sending the sha of the blob being removed', async () => {
+      const sha = '2ff8b5b6a6c8a1a32d8b5f0e3a2b4d3f7d1b2c3e'
+      const scope = nock((/api\.github\.com/))
+        .get('/repos/johndoe/foobar/contents/path/to/file.txt?ref=master')
+        .reply(200, {
+          content: btoa('This is a file'),
+          sha
+        })
+        .delete('/repos/johndoe/foobar/contents/path/to/file.txt', {
+          branch: 'master',
+          message: 'Deletes a file',
+          sha
+        })
+        .reply(200, {})
+
+      const githubInstance = await new GitHub(req.params)
+
+      await githubInstance.deleteFile('path/to/file.txt', 'master', 'Deletes a file')
+
+      expect(scope.isDone()).toBe(true)
+    })
+
+    test('returns an error object if the deletion fails', async () => {
+      nock((/api\.github\.com/))
+        .delete('/repos/johndoe/foobar/contents/path/to/file.txt')
+        .replyWithError('An error')
+
+      const githubInstance = await new GitHub(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await githubInstance.deleteFile('path/to/file.txt', 'master', 'Deletes a file', '2ff8b5b6a6c8a1a32d8b5f0e3a2b4d3f7d1b2c3e')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('GITHUB_DELETING_FILE')
+      }
+    })
+  })
+
+  describe('writeFiles', () => {
+    test('creates all the files in a single commit using the Git data API', async () => {
+      const parentSha = '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+      const files = [
+        {path: 'path/to/entry.yml', content: 'name: John'},
+        {path: 'path/to/index.yml', content: 'entries: 1'}
+      ]
+
+      const scope = nock((/api\.github\.com/), {
+        reqheaders: {
+          authorization: 'token '.concat('1q2w3e4r')
+        }
+      })
+        .get('/repos/johndoe/foobar/branches/master')
+        .reply(200, {
+          commit: {
+            sha: parentSha
+          }
+        })
+        .get('/repos/johndoe/foobar/contents/path/to/entry.yml')
+        .query({ref: parentSha})
+        .reply(404, {message: 'Not Found'})
+        .get('/repos/johndoe/foobar/contents/path/to/index.yml')
+        .query({ref: parentSha})
+        .reply(404, {message: 'Not Found'})
+        .get(`/repos/johndoe/foobar/git/commits/${parentSha}`)
+        .reply(200, {
+          tree: {
+            sha: 'base-tree-sha'
+          }
+        })
+        .post('/repos/johndoe/foobar/git/blobs', {
+          content: btoa(files[0].content),
+          encoding: 'base64'
+        })
+        .reply(201, {
+          sha: 'blob-1'
+        })
+        .post('/repos/johndoe/foobar/git/blobs', {
+          content: btoa(files[1].content),
+          encoding: 'base64'
+        })
+        .reply(201, {
+          sha: 'blob-2'
+        })
+        .post('/repos/johndoe/foobar/git/trees', {
+          base_tree: 'base-tree-sha',
+          tree: [
+            {path: files[0].path, mode: '100644', type: 'blob', sha: 'blob-1'},
+            {path: files[1].path, mode: '100644', type: 'blob', sha: 'blob-2'}
+          ]
+        })
+        .reply(201, {
+          sha: 'new-tree-sha'
+        })
+        .post('/repos/johndoe/foobar/git/commits', {
+          message: 'Adds some files',
+          parents: [parentSha],
+          tree: 'new-tree-sha'
+        })
+        .reply(201, {
+          sha: 'new-commit-sha'
+        })
+        .patch('/repos/johndoe/foobar/git/refs/heads/master', {
+          force: false,
+          sha: 'new-commit-sha'
+        })
+        .reply(200, {
+          object: {
+            sha: 'new-commit-sha'
+          }
+        })
+
+      const githubInstance = await new GitHub(req.params)
+
+      await githubInstance.writeFiles(files, 'master', 'Adds some files')
+      expect(scope.isDone()).toBe(true)
+    })
+
+    test('returns an error object without committing anything if any of the files already exists', async () => {
+      const parentSha = '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+      const scope = nock((/api\.github\.com/), {
+        reqheaders: {
+          authorization: 'token '.concat('1q2w3e4r')
+        }
+      })
+        .get('/repos/johndoe/foobar/branches/master')
+        .reply(200, {
+          commit: {
+            sha: parentSha
+          }
+        })
+        .get('/repos/johndoe/foobar/contents/path/to/entry.yml')
+        .query({ref: parentSha})
+        .reply(404, {message: 'Not Found'})
+        .get('/repos/johndoe/foobar/contents/path/to/index.yml')
+        .query({ref: parentSha})
+        .reply(200, {path: 'path/to/index.yml', sha: 'file-sha'})
+      const commitScope = nock(/api\.github\.com/)
+        .post('/repos/johndoe/foobar/git/commits')
+        .reply(201, {sha: 'new-commit-sha'})
+
+      const githubInstance = await new GitHub(req.params)
+
+      expect.assertions(3)
+
+      try {
+        await githubInstance.writeFiles([
+          {path: 'path/to/entry.yml', content: 'name: John'},
+          {path: 'path/to/index.yml', content: 'entries: 1'}
+        ], 'master')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('GITHUB_FILE_ALREADY_EXISTS')
+      }
+
+      expect(scope.isDone()).toBe(true)
+      expect(commitScope.isDone()).toBe(false)
+    })
+
+    test('returns an error object if any of the API calls fail', async () => {
+      const scope = nock((/api\.github\.com/), {
+        reqheaders: {
+          authorization: 'token '.concat('1q2w3e4r')
+        }
+      })
+        .get('/repos/johndoe/foobar/branches/master')
+        .replyWithError('An error')
+
+      const githubInstance = await new GitHub(req.params)
+
+      expect.assertions(2)
+
+      try {
+        await githubInstance.writeFiles([{path: 'path/to/file.txt', content: 'Hello'}])
+      } catch (err) {
+        expect(err._smErrorCode).toBe('GITHUB_WRITING_FILE')
+      }
+
+      expect(scope.isDone()).toBe(true)
+    })
+  })
+
   describe('writeFileAndSendReview', () => {
     test('writes a file to a new branch and sends a PR to the base branch provided, using the given title and body for the commit/PR', async () => {
       const options = {
@@ -401,6 +401,202 @@ describe('GitLab interface', () => {
     })
   })
 
+  describe('updateFile', () => {
+    test('updates a file on the given branch, using the last commit id of the file', () => {
+      const mockShowRepoFile = jest.fn(() => Promise.resolve({
+        content: btoa('This is a file'),
+        last_commit_id: '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+      }))
+      const mockEditRepoFile = jest.fn(() => Promise.resolve(null))
+
+      jest.mock('gitlab/dist/es5', () => {
+        return {
+          default: function () {
+            return {
+              RepositoryFiles: {
+                edit: mockEditRepoFile,
+                show: mockShowRepoFile
+              }
+            }
+          }
+        }
+      })
+
+      const GitLab = require('./../../../lib/GitLab')
+      const gitlab = new GitLab(req.params)
+
+      return gitlab.updateFile(
+        'path/to/file.txt',
+        'This is an updated file',
+        'master',
+        'Updates a file'
+      ).then(response => {
+        expect(mockShowRepoFile.mock.calls[0][1]).toBe('path/to/file.txt')
+        expect(mockEditRepoFile.mock.calls[0][0]).toBe(`${req.params.username}/${req.params.repository}`)
+        expect(mockEditRepoFile.mock.calls[0][1]).toBe('path/to/file.txt')
+        expect(mockEditRepoFile.mock.calls[0][2]).toBe('master')
+        expect(mockEditRepoFile.mock.calls[0][3]).toEqual({
+          content: btoa('This is an updated file'),
+          commit_message: 'Updates a file',
+          encoding: 'base64',
+          last_commit_id: '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+        })
+      })
+    })
+
+    test('returns an error object if the update fails', () => {
+      jest.mock('gitlab/dist/es5', () => {
+        return {
+          default: function () {
+            return {
+              RepositoryFiles: {
+                edit: () => Promise.reject(new Error())
+              }
+            }
+          }
+        }
+      })
+
+      const GitLab = require('./../../../lib/GitLab')
+      const gitlab = new GitLab(req.params)
+
+      expect.assertions(1)
+
+      return gitlab.updateFile(
+        'path/to/file.txt',
+        'This is an updated file',
+        'master',
+        'Updates a file',
+        '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+      ).catch(err => {
+        expect(err._smErrorCode).toBe('GITLAB_UPDATING_FILE')
+      })
+    })
+  })
+
+  describe('deleteFile', () => {
+    test('deletes a file on the given branch, using the last commit id of the file', () => {
+      const mockRemoveRepoFile = jest.fn(() => Promise.resolve(null))
+      const mockShowRepoFile = jest.fn(() => Promise.resolve({
+        content: btoa('This is a file'),
+        last_commit_id: '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+      }))
+
+      jest.mock('gitlab/dist/es5', () => {
+        return {
+          default: function () {
+            return {
+              RepositoryFiles: {
+                remove: mockRemoveRepoFile,
+                show: mockShowRepoFile
+              }
+            }
+          }
+        }
+      })
+
+      const GitLab = require('./../../../lib/GitLab')
+      const gitlab = new GitLab(req.params)
+
+      return gitlab.deleteFile('path/to/file.txt', 'master', 'Deletes a file').then(response => {
+        expect(mockRemoveRepoFile.mock.calls[0][0]).toBe(`${req.params.username}/${req.params.repository}`)
+        expect(mockRemoveRepoFile.mock.calls[0][1]).toBe('path/to/file.txt')
+        expect(mockRemoveRepoFile.mock.calls[0][2]).toBe('master')
+        expect(mockRemoveRepoFile.mock.calls[0][3]).toEqual({
+          commit_message: 'Deletes a file',
+          last_commit_id: '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+        })
+      })
+    })
+
+    test('returns an error object if the deletion fails', () => {
+      jest.mock('gitlab/dist/es5', () => {
+        return {
+          default: function () {
+            return {
+              RepositoryFiles: {
+                remove: () => Promise.reject(new Error())
+              }
+            }
+          }
+        }
+      })
+
+      const GitLab = require('./../../../lib/GitLab')
+      const gitlab = new GitLab(req.params)
+
+      expect.assertions(1)
+
+      return gitlab.deleteFile(
+        'path/to/file.txt',
+        'master',
+        'Deletes a file',
+        '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+      ).catch(err => {
+        expect(err._smErrorCode).toBe('GITLAB_DELETING_FILE')
+      })
+    })
+  })
+
+  describe('writeFiles', () => {
+    test('creates all the files in a single commit with one action per file', () => {
+      const mockCreateCommit = jest.fn(() => Promise.resolve({id: 'abc123'}))
+
+      jest.mock('gitlab/dist/es5', () => {
+        return {
+          default: function () {
+            return {
+              Commits: {
+                create: mockCreateCommit
+              }
+            }
+          }
+        }
+      })
+
+      const GitLab = require('./../../../lib/GitLab')
+      const gitlab = new GitLab(req.params)
+      const files = [
+        {path: 'path/to/entry.yml', content: 'name: John'},
+        {path: 'path/to/image.png', content: Buffer.from([0x89, 0x50, 0x4e, 0x47])}
+      ]
+
+      return gitlab.writeFiles(files, 'master', 'Adds some files').then(response => {
+        expect(mockCreateCommit).toHaveBeenCalledTimes(1)
+        expect(mockCreateCommit.mock.calls[0][0]).toBe(`${req.params.username}/${req.params.repository}`)
+        expect(mockCreateCommit.mock.calls[0][1]).toBe('master')
+        expect(mockCreateCommit.mock.calls[0][2]).toBe('Adds some files')
+        expect(mockCreateCommit.mock.calls[0][3]).toEqual([
+          {action: 'create', content: btoa('name: John'), encoding: 'base64', file_path: 'path/to/entry.yml'},
+          {action: 'create', content: 'iVBORw==', encoding: 'base64', file_path: 'path/to/image.png'}
+        ])
+      })
+    })
+
+    test('returns an error object if the commit fails', () => {
+      jest.mock('gitlab/dist/es5', () => {
+        return {
+          default: function () {
+            return {
+              Commits: {
+                create: () => Promise.reject(new Error())
+              }
+            }
+          }
+        }
+      })
+
+      const GitLab = require('./../../../lib/GitLab')
+      const gitlab = new GitLab(req.params)
+
+      expect.assertions(1)
+
+      return gitlab.writeFiles([{path: 'path/to/file.txt', content: 'Hello'}]).catch(err => {
+        expect(err._smErrorCode).toBe('GITLAB_WRITING_FILE')
+      })
+    })
+  })
+
   describe('writeFileAndSendReview', () => {
     test(
       'writes a file to a new branch and sends a PR to the base branch provided, using the given title and body for the commit/PR',
@@ -0,0 +1,364 @@
+const mockHelpers = require('./../../helpers')
+const sampleData = require('./../../helpers/sampleData')
+const Review = require('../../../lib/models/Review')
+const User = require('../../../lib/models/User')
+const yaml = require('js-yaml')
+const Gitea = require('./../../../lib/Gitea')
+const nock = require('nock')
+const config = require('../../../config')
+
+let req
+
+const btoa = contents => Buffer.from(contents).toString('base64')
+
+beforeEach(() => {
+  jest.resetModules()
+  jest.restoreAllMocks()
+
+  req = mockHelpers.getMockRequest()
+})
+
+afterEach(() => {
+  nock.cleanAll()
+})
+
+describe('Gitea interface', () => {
+  test('initialises the Gitea API wrapper', () => {
+    const gitea = new Gitea(req.params)
+
+    expect(gitea.api).toBeDefined()
+  })
+
+  test('authenticates with the Gitea API using an access token', async () => {
+    const scope = nock(/gitea\.com/, {
+      reqheaders: {
+        authorization: 'token g1t3e2a1'
+      }
+    })
+      .get('/api/v1/repos/johndoe/foobar/branches/master')
+      .reply(200, {
+        commit: {
+          id: '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+        }
+      })
+
+    const gitea = new Gitea(req.params)
+    const sha = await gitea.getBranchHeadCommit('master')
+
+    expect(sha).toBe('7fd1a60b01f91b314f59955a4e4d4e80d8edf11d')
+    expect(scope.isDone()).toBe(true)
+  })
+
+  test('authenticates with the Gitea API using an OAuth token', async () => {
+    const scope = nock(/gitea\.com/, {
+      reqheaders: {
+        authorization: 'Bearer test-oauth-token'
+      }
+    })
+      .get('/api/v1/repos/johndoe/foobar/branches/master')
+      .reply(200, {
+        commit: {
+          id: '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+        }
+      })
+
+    const gitea = new Gitea(Object.assign({}, req.params, {
+      oauthToken: 'test-oauth-token'
+    }))
+
+    await gitea.getBranchHeadCommit('master')
+    expect(scope.isDone()).toBe(true)
+  })
+
+  test('uses the self-hosted base URL from the config', async () => {
+    const mockConfigGet = config.get.bind(config)
+
+    jest.spyOn(config, 'get').mockImplementation(key => {
+      if (key === 'giteaBaseUrl') return 'https://git.example.com'
+
+      return mockConfigGet(key)
+    })
+
+    const scope = nock('https://git.example.com')
+      .get('/api/v1/repos/johndoe/foobar/branches/master')
+      .reply(200, {
+        commit: {
+          id: '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+        }
+      })
+
+    const gitea = new Gitea(req.params)
+
+    await gitea.getBranchHeadCommit('master')
+    expect(scope.isDone()).toBe(true)
+  })
+
+  test('throws error if no access token or OAuth token is provided', () => {
+    jest.spyOn(config, 'get').mockImplementation(() => null)
+
+    expect(() => new Gitea({})).toThrowError('Require an `oauthToken` option or the `giteaToken` config value')
+  })
+
+  describe('readFile', () => {
+    test('reads a YAML file and returns its parsed contents', async () => {
+      const parsedConfig = yaml.safeLoad(sampleData.config1, 'utf8')
+      const scope = nock(/gitea\.com/)
+        .get('/api/v1/repos/johndoe/foobar/contents/staticman.yml?ref=master')
+        .reply(200, {
+          content: btoa(sampleData.config1)
+        })
+
+      const gitea = new Gitea(req.params)
+      const contents = await gitea.readFile('staticman.yml')
+
+      expect(contents).toEqual(parsedConfig)
+      expect(scope.isDone()).toBe(true)
+    })
+
+    test('returns an error if the Gitea API call errors', async () => {
+      const scope = nock(/gitea\.com/)
+        .get('/api/v1/repos/johndoe/foobar/contents/staticman.yml?ref=master')
+        .reply(404, {
+          message: 'object does not exist'
+        })
+
+      const gitea = new Gitea(req.params)
+
+      expect.assertions(2)
+
+      try {
+        await gitea.readFile('staticman.yml')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('GITEA_READING_FILE')
+      }
+
+      expect(scope.isDone()).toBe(true)
+    })
+  })
+
+  describe('writeFile', () => {
+    test('creates a file on the given branch using the commit title provided', async () => {
+      const scope = nock(/gitea\.com/)
+        .post('/api/v1/repos/johndoe/foobar/contents/path/to/file.txt', {
+          branch: 'some-branch',
+          content: btoa('This is a new file'),
+          message: 'Adds a new file'
+        })
+        .reply(201, {})
+
+      const gitea = new Gitea(req.params)
+
+      await gitea.writeFile('path/to/file.txt', 'This is a new file', 'some-branch', 'Adds a new file')
+      expect(scope.isDone()).toBe(true)
+    })
+
+    test('returns a specific error if the file already exists', async () => {
+      nock(/gitea\.com/)
+        .post('/api/v1/repos/johndoe/foobar/contents/path/to/file.txt')
+        .reply(422, {
+          message: 'repository file already exists [path: path/to/file.txt]'
+        })
+
+      const gitea = new Gitea(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await gitea.writeFile('path/to/file.txt', 'This is a new file')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('GITEA_FILE_ALREADY_EXISTS')
+      }
+    })
+
+    test('returns an error object if the save operation fails', async () => {
+      nock(/gitea\.com/)
+        .post('/api/v1/repos/johndoe/foobar/contents/path/to/file.txt')
+        .replyWithError('An error')
+
+      const gitea = new Gitea(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await gitea.writeFile('path/to/file.txt', 'This is a new file')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('GITEA_WRITING_FILE')
+      }
+    })
+  })
+
+  describe('writeFiles', () => {
+    test('creates all the files in a single commit', async () => {
+      const scope = nock(/gitea\.com/)
+        .post('/api/v1/repos/johndoe/foobar/contents', {
+          branch: 'master',
+          files: [
+            {content: btoa('name: John'), operation: 'create', path: 'path/to/entry.yml'},
+            {content: btoa('entries: 1'), operation: 'create', path: 'path/to/index.yml'}
+          ],
+          message: 'Adds some files'
+        })
+        .reply(201, {})
+
+      const gitea = new Gitea(req.params)
+
+      await gitea.writeFiles([
+        {path: 'path/to/entry.yml', content: 'name: John'},
+        {path: 'path/to/index.yml', content: 'entries: 1'}
+      ], 'master', 'Adds some files')
+
+      expect(scope.isDone()).toBe(true)
+    })
+
+    test('returns a specific error if any of the files already exist', async () => {
+      nock(/gitea\.com/)
+        .post('/api/v1/repos/johndoe/foobar/contents')
+        .reply(422, {
+          message: 'repository file already exists [path: path/to/entry.yml]'
+        })
+
+      const gitea = new Gitea(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await gitea.writeFiles([{path: 'path/to/entry.yml', content: 'name: John'}])
+      } catch (err) {
+        expect(err._smErrorCode).toBe('GITEA_FILE_ALREADY_EXISTS')
+      }
+    })
+  })
+
+  describe('writeFileAndSendReview', () => {
+    test('writes a file to a new branch and sends a PR to the base branch provided, using the given title and body for the commit/PR', async () => {
+      const options = {
+        commitBody: 'This is a very cool file indeed...',
+        commitTitle: 'Adds a new file',
+        content: 'This is a new file',
+        newBranch: 'staticman_123456789',
+        path: 'path/to/file.txt',
+        sha: '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d'
+      }
+
+      const scope = nock(/gitea\.com/)
+        .get('/api/v1/repos/johndoe/foobar/branches/master')
+        .reply(200, {
+          commit: {
+            id: options.sha
+          }
+        })
+        .post('/api/v1/repos/johndoe/foobar/branches', {
+          new_branch_name: options.newBranch,
+          old_branch_name: req.params.branch,
+          old_ref_name: options.sha
+        })
+        .reply(201, {})
+        .post('/api/v1/repos/johndoe/foobar/contents/path/to/file.txt', {
+          branch: options.newBranch,
+          content: btoa(options.content),
+          message: options.commitTitle
+        })
+        .reply(201, {})
+        .post('/api/v1/repos/johndoe/foobar/pulls', {
+          base: req.params.branch,
+          body: options.commitBody,
+          head: options.newBranch,
+          title: options.commitTitle
+        })
+        .reply(201, {
+          number: 1
+        })
+
+      const gitea = new Gitea(req.params)
+      const data = await gitea.writeFileAndSendReview(
+        options.path,
+        options.content,
+        options.newBranch,
+        options.commitTitle,
+        options.commitBody
+      )
+
+      expect(data).toEqual({number: 1})
+      expect(scope.isDone()).toBe(true)
+    })
+
+    test('returns an error if any of the API calls fail', async () => {
+      nock(/gitea\.com/)
+        .get('/api/v1/repos/johndoe/foobar/branches/master')
+        .replyWithError('An error, oh no.')
+
+      const gitea = new Gitea(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await gitea.writeFileAndSendReview('path/to/file.txt', 'This is a new file', 'staticman_123456789')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('GITEA_CREATING_PR')
+      }
+    })
+  })
+
+  describe('getReview', () => {
+    test('returns a merged pull request as a `merged` review', async () => {
+      const scope = nock(/gitea\.com/)
+        .get('/api/v1/repos/johndoe/foobar/pulls/123')
+        .reply(200, {
+          base: {
+            ref: 'master'
+          },
+          body: 'Some description',
+          head: {
+            ref: 'staticman_123456789'
+          },
+          merged: true,
+          state: 'closed',
+          title: 'Add Staticman data'
+        })
+
+      const gitea = new Gitea(req.params)
+      const review = await gitea.getReview(123)
+
+      expect(review).toEqual(
+        new Review('Add Staticman data', 'Some description', 'merged', 'staticman_123456789', 'master')
+      )
+      expect(scope.isDone()).toBe(true)
+    })
+  })
+
+  describe('getCurrentUser', () => {
+    test('returns the current authenticated user', async () => {
+      const scope = nock(/gitea\.com/)
+        .get('/api/v1/user')
+        .reply(200, {
+          email: 'johndoe@test.com',
+          full_name: 'John Doe',
+          login: 'johndoe'
+        })
+
+      const gitea = new Gitea(req.params)
+      const user = await gitea.getCurrentUser()
+
+      expect(user).toEqual(new User('gitea', 'johndoe', 'johndoe@test.com', 'John Doe'))
+      expect(scope.isDone()).toBe(true)
+    })
+
+    test('throws an error if unable to retrieve the current unauthenticated user', async () => {
+      nock(/gitea\.com/)
+        .get('/api/v1/user')
+        .reply(401, {
+          message: 'Unauthorized'
+        })
+
+      const gitea = new Gitea(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await gitea.getCurrentUser()
+      } catch (err) {
+        expect(err._smErrorCode).toBe('GITEA_GET_USER')
+      }
+    })
+  })
+})
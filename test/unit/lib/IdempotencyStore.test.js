@@ -0,0 +1,170 @@
+const {execFileSync} = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+let basePath
+
+beforeEach(() => {
+  basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'staticman-idempotency-'))
+
+  jest.resetModules()
+})
+
+afterEach(() => {
+  execFileSync('rm', ['-rf', basePath])
+})
+
+const createStore = {
+  FileStore: () => {
+    const {FileStore} = require('./../../../lib/IdempotencyStore')
+
+    return new FileStore(path.join(basePath, 'store'))
+  },
+  MemoryStore: () => {
+    const {MemoryStore} = require('./../../../lib/IdempotencyStore')
+
+    return new MemoryStore()
+  }
+}
+
+describe('IdempotencyStore', () => {
+  Object.keys(createStore).forEach(name => {
+    describe(name, () => {
+      const getStore = createStore[name]
+
+      test('returns `null` for unknown keys', async () => {
+        const store = getStore()
+
+        await expect(store.get('unknown')).resolves.toBe(null)
+      })
+
+      test('returns the value set for a key', async () => {
+        const store = getStore()
+        const value = {status: 'created', response: {fields: {name: 'Eduardo'}}}
+
+        await store.set('some/key', value, 60)
+
+        await expect(store.get('some/key')).resolves.toEqual(value)
+        await expect(store.get('another/key')).resolves.toBe(null)
+      })
+
+      test('replaces the value of a key', async () => {
+        const store = getStore()
+
+        await store.set('some/key', {status: 'pending'}, 60)
+        await store.set('some/key', {status: 'created'}, 60)
+
+        await expect(store.get('some/key')).resolves.toEqual({status: 'created'})
+      })
+
+      test('forgets values once their time to live has passed', async () => {
+        const store = getStore()
+        const now = Date.now()
+        const spyNow = jest.spyOn(Date, 'now').mockImplementation(() => now)
+
+        await store.set('some/key', {status: 'pending'}, 60)
+
+        spyNow.mockImplementation(() => now + 59000)
+        await expect(store.get('some/key')).resolves.toEqual({status: 'pending'})
+
+        spyNow.mockImplementation(() => now + 60000)
+        await expect(store.get('some/key')).resolves.toBe(null)
+
+        spyNow.mockRestore()
+      })
+
+      test('reserves keys that have no value', async () => {
+        const store = getStore()
+        const now = Date.now()
+        const spyNow = jest.spyOn(Date, 'now').mockImplementation(() => now)
+
+        await expect(store.reserve('some/key', {status: 'pending'}, 60)).resolves.toBe(true)
+        await expect(store.reserve('some/key', {status: 'pending'}, 60)).resolves.toBe(false)
+        await expect(store.get('some/key')).resolves.toEqual({status: 'pending'})
+
+        spyNow.mockImplementation(() => now + 60000)
+        await expect(store.reserve('some/key', {status: 'created'}, 60)).resolves.toBe(true)
+        await expect(store.get('some/key')).resolves.toEqual({status: 'created'})
+
+        spyNow.mockRestore()
+      })
+
+      test('reserves a key for only one of the requests made at the same time', async () => {
+        const store = getStore()
+        const results = await Promise.all([1, 2, 3, 4, 5].map(index => {
+          return store.reserve('some/key', {status: 'pending', index}, 60)
+        }))
+
+        expect(results.filter(Boolean).length).toBe(1)
+        await expect(store.get('some/key')).resolves.toEqual({
+          status: 'pending',
+          index: results.indexOf(true) + 1
+        })
+      })
+
+      test('deletes keys', async () => {
+        const store = getStore()
+
+        await store.set('some/key', {status: 'pending'}, 60)
+        await store.delete('some/key')
+        await store.delete('unknown')
+
+        await expect(store.get('some/key')).resolves.toBe(null)
+      })
+    })
+  })
+
+  describe('FileStore', () => {
+    test('keeps records in files that outlive the store', async () => {
+      const {FileStore} = require('./../../../lib/IdempotencyStore')
+      const directory = path.join(basePath, 'store')
+
+      await new FileStore(directory).set('some/key', {status: 'created'}, 60)
+
+      expect(fs.readdirSync(directory)).toEqual([expect.stringMatching(/^[0-9a-f]{64}\.json$/)])
+      await expect(new FileStore(directory).get('some/key')).resolves.toEqual({status: 'created'})
+    })
+  })
+
+  describe('getStore', () => {
+    test('returns a shared `MemoryStore` by default', () => {
+      const IdempotencyStore = require('./../../../lib/IdempotencyStore')
+
+      expect(IdempotencyStore.getStore()).toBeInstanceOf(IdempotencyStore.MemoryStore)
+      expect(IdempotencyStore.getStore()).toBe(IdempotencyStore.getStore())
+    })
+
+    test('returns a `FileStore` in the directory set in the config', () => {
+      const config = require('./../../../config')
+      const IdempotencyStore = require('./../../../lib/IdempotencyStore')
+
+      config.set('idempotency.store', 'file')
+      config.set('idempotency.path', basePath)
+
+      try {
+        const store = IdempotencyStore.getStore()
+
+        expect(store).toBeInstanceOf(IdempotencyStore.FileStore)
+        expect(store.directory).toBe(basePath)
+      } finally {
+        config.set('idempotency.store', 'memory')
+        config.set('idempotency.path', null)
+      }
+    })
+
+    test('returns the store set with `setStore`', () => {
+      const IdempotencyStore = require('./../../../lib/IdempotencyStore')
+      const store = {
+        delete: () => Promise.resolve(),
+        get: () => Promise.resolve(null),
+        reserve: () => Promise.resolve(true),
+        set: () => Promise.resolve()
+      }
+
+      IdempotencyStore.setStore(store)
+
+      expect(IdempotencyStore.getStore()).toBe(store)
+    })
+  })
+})
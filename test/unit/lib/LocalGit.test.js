@@ -0,0 +1,849 @@
+const {execFileSync} = require('child_process')
+const config = require('../../../config')
+const fs = require('fs')
+const LocalGit = require('../../../lib/LocalGit')
+const mockHelpers = require('./../../helpers')
+const os = require('os')
+const path = require('path')
+const Review = require('../../../lib/models/Review')
+const Staticman = require('../../../lib/Staticman')
+const yaml = require('js-yaml')
+
+const siteConfig = `comments:
+  allowedFields: ["name", "email", "url", "message"]
+  branch: "master"
+  commitMessage: "New comment from {fields.name}"
+  filename: "comment-{@id}"
+  format: "yaml"
+  moderation: false
+  path: "_data/comments/{options.slug}"
+  requiredFields: ["name", "message"]
+`
+
+let basePath
+let req
+
+const git = (cwd, args) => execFileSync('git', args, {cwd}).toString().trim()
+
+const createRepository = ({bare}) => {
+  const workPath = path.join(basePath, 'johndoe', 'foobar')
+
+  fs.mkdirSync(path.join(basePath, 'johndoe'))
+  fs.mkdirSync(workPath)
+
+  git(workPath, ['init', '-q'])
+  git(workPath, ['config', 'user.name', 'John Doe'])
+  git(workPath, ['config', 'user.email', 'johndoe@test.com'])
+  git(workPath, ['checkout', '-q', '-b', 'master'])
+  fs.writeFileSync(path.join(workPath, 'staticman.yml'), siteConfig)
+  git(workPath, ['add', 'staticman.yml'])
+  git(workPath, ['commit', '-q', '-m', 'Initial commit'])
+
+  if (bare) {
+    git(basePath, ['clone', '-q', '--bare', workPath, `${workPath}.git`])
+    execFileSync('rm', ['-rf', workPath])
+
+    return `${workPath}.git`
+  }
+
+  return workPath
+}
+
+beforeEach(() => {
+  basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'staticman-localgit-'))
+  req = mockHelpers.getMockRequest()
+
+  config.set('localGitPath', basePath)
+})
+
+afterEach(() => {
+  config.set('localGitPath', null)
+  execFileSync('rm', ['-rf', basePath])
+})
+
+describe('LocalGit interface', () => {
+  test('throws an error if neither `repositoryPath` nor `localGitPath` are set', () => {
+    config.set('localGitPath', null)
+
+    expect(() => new LocalGit(req.params)).toThrowError('Require a `repositoryPath` option or a `localGitPath` config value')
+  })
+
+  test('refuses usernames or repository names that would escape `localGitPath`', () => {
+    expect(() => new LocalGit(Object.assign({}, req.params, {username: '..'})))
+      .toThrowError('Invalid username or repository name')
+    expect(() => new LocalGit(Object.assign({}, req.params, {repository: 'foo/../../bar'})))
+      .toThrowError('Invalid username or repository name')
+  })
+
+  test('resolves a working repository inside `localGitPath`', () => {
+    const repositoryPath = createRepository({bare: false})
+    const localGit = new LocalGit(req.params)
+
+    expect(localGit.repositoryPath).toBe(repositoryPath)
+    expect(localGit.gitDir).toBe(path.join(repositoryPath, '.git'))
+  })
+
+  test('resolves a bare repository with a `.git` suffix inside `localGitPath`', () => {
+    const repositoryPath = createRepository({bare: true})
+    const localGit = new LocalGit(req.params)
+
+    expect(localGit.repositoryPath).toBe(repositoryPath)
+    expect(localGit.gitDir).toBe(repositoryPath)
+  })
+
+  describe('readFile', () => {
+    test('reads a YAML file and returns its parsed contents', async () => {
+      createRepository({bare: true})
+
+      const localGit = new LocalGit(req.params)
+      const contents = await localGit.readFile('staticman.yml')
+
+      expect(contents).toEqual(yaml.safeLoad(siteConfig))
+    })
+
+    test('reads CSV and JSON Lines files as lists of entries', async () => {
+      createRepository({bare: true})
+
+      const localGit = new LocalGit(req.params)
+
+      await localGit.writeFiles([
+        {path: 'data/rsvps.csv', content: 'name,guests\nJohn,2\n"Doe, Jane",1\n'},
+        {path: 'data/rsvps.jsonl', content: '{"name":"John"}\n{"name":"Jane"}\n'}
+      ])
+
+      expect(await localGit.readFile('data/rsvps.csv')).toEqual([
+        {name: 'John', guests: '2'},
+        {name: 'Doe, Jane', guests: '1'}
+      ])
+      expect(await localGit.readFile('data/rsvps.jsonl')).toEqual([{name: 'John'}, {name: 'Jane'}])
+    })
+
+    test('returns an error if the file does not exist', async () => {
+      createRepository({bare: true})
+
+      const localGit = new LocalGit(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await localGit.readFile('missing.yml')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('LOCALGIT_READING_FILE')
+      }
+    })
+  })
+
+  describe('writeFile', () => {
+    test('commits a file to the given branch without touching the working tree', async () => {
+      const repositoryPath = createRepository({bare: false})
+      const localGit = new LocalGit(req.params)
+      const previousHead = git(repositoryPath, ['rev-parse', 'master'])
+
+      await localGit.writeFile('path/to/file.txt', 'This is a new file', 'master', 'Adds a new file')
+
+      expect(git(repositoryPath, ['show', 'master:path/to/file.txt'])).toBe('This is a new file')
+      expect(git(repositoryPath, ['log', '-1', '--format=%s%n%an', 'master'])).toBe('Adds a new file\nStaticman')
+      expect(git(repositoryPath, ['rev-parse', 'master^'])).toBe(previousHead)
+      expect(fs.existsSync(path.join(repositoryPath, 'path'))).toBe(false)
+    })
+
+    test('returns an error if the file already exists', async () => {
+      createRepository({bare: true})
+
+      const localGit = new LocalGit(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await localGit.writeFile('staticman.yml', 'Overwritten!')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('LOCALGIT_FILE_ALREADY_EXISTS')
+      }
+    })
+
+    test('returns an error if the branch does not exist', async () => {
+      createRepository({bare: true})
+
+      const localGit = new LocalGit(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await localGit.writeFile('path/to/file.txt', 'This is a new file', 'no-such-branch')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('LOCALGIT_WRITING_FILE')
+      }
+    })
+  })
+
+  describe('updateFile', () => {
+    test('replaces the contents of an existing file', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+
+      await localGit.updateFile('staticman.yml', 'Updated!', 'master', 'Updates a file')
+
+      expect(git(repositoryPath, ['show', 'master:staticman.yml'])).toBe('Updated!')
+      expect(git(repositoryPath, ['log', '-1', '--format=%s', 'master'])).toBe('Updates a file')
+    })
+
+    test('returns an error if the file has changed since the given sha', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+      const head = git(repositoryPath, ['rev-parse', 'master'])
+
+      expect.assertions(2)
+
+      try {
+        await localGit.updateFile('staticman.yml', 'Updated!', 'master', 'Updates a file', '0000000000000000000000000000000000000000')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('LOCALGIT_UPDATING_FILE')
+      }
+
+      expect(git(repositoryPath, ['rev-parse', 'master'])).toBe(head)
+    })
+
+    test('returns an error if the file does not exist', async () => {
+      createRepository({bare: true})
+
+      const localGit = new LocalGit(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await localGit.updateFile('path/to/file.txt', 'Updated!')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('LOCALGIT_READING_FILE')
+      }
+    })
+  })
+
+  describe('deleteFile', () => {
+    test('removes an existing file in a new commit', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+
+      await localGit.writeFile('path/to/file.txt', 'This is a new file')
+      await localGit.deleteFile('path/to/file.txt', 'master', 'Deletes a file')
+
+      expect(git(repositoryPath, ['ls-tree', '-r', '--name-only', 'master'])).toBe('staticman.yml')
+      expect(git(repositoryPath, ['log', '-1', '--format=%s', 'master'])).toBe('Deletes a file')
+    })
+
+    test('returns an error if the file does not exist', async () => {
+      createRepository({bare: true})
+
+      const localGit = new LocalGit(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await localGit.deleteFile('path/to/file.txt', 'master', 'Deletes a file', '0000000000000000000000000000000000000000')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('LOCALGIT_DELETING_FILE')
+      }
+    })
+  })
+
+  describe('writeFiles', () => {
+    test('commits all the files in a single commit', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+      const previousHead = git(repositoryPath, ['rev-parse', 'master'])
+
+      await localGit.writeFiles([
+        {path: 'path/to/entry.yml', content: 'name: John'},
+        {path: 'path/to/index.yml', content: 'entries: 1'}
+      ], 'master', 'Adds some files')
+
+      expect(git(repositoryPath, ['rev-parse', 'master^'])).toBe(previousHead)
+      expect(git(repositoryPath, ['show', '--name-only', '--format=%s', 'master']))
+        .toBe('Adds some files\n\npath/to/entry.yml\npath/to/index.yml')
+    })
+
+    test('writes nothing if any of the files already exist', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+      const previousHead = git(repositoryPath, ['rev-parse', 'master'])
+
+      expect.assertions(2)
+
+      try {
+        await localGit.writeFiles([
+          {path: 'path/to/entry.yml', content: 'name: John'},
+          {path: 'staticman.yml', content: 'Overwritten!'}
+        ])
+      } catch (err) {
+        expect(err._smErrorCode).toBe('LOCALGIT_FILE_ALREADY_EXISTS')
+      }
+
+      expect(git(repositoryPath, ['rev-parse', 'master'])).toBe(previousHead)
+    })
+  })
+
+  describe('writeFilesAndSendReview', () => {
+    test('writes all the files to a new branch and records a review', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+
+      const review = await localGit.writeFilesAndSendReview([
+        {path: 'path/to/entry.yml', content: 'name: John'},
+        {path: 'path/to/index.yml', content: 'entries: 1'}
+      ], 'staticman_123456789', 'Adds some files', 'Please review')
+
+      expect(git(repositoryPath, ['rev-list', '--count', 'master..staticman_123456789'])).toBe('1')
+      expect((await localGit.getReview(review.id)).title).toBe('Adds some files')
+    })
+  })
+
+  describe('changeFile', () => {
+    test('creates the file if it does not exist', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+      const change = jest.fn(() => '- John\n')
+
+      await localGit.changeFile('_data/list.yml', change, 'master', 'Creates a list')
+
+      expect(change).toHaveBeenCalledWith(undefined)
+      expect(git(repositoryPath, ['show', 'master:_data/list.yml'])).toBe('- John')
+    })
+
+    test('passes the parsed contents of an existing file to `change`', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+
+      await localGit.writeFile('_data/list.yml', '- John\n', 'master')
+      await localGit.changeFile('_data/list.yml', list => yaml.safeDump(list.concat('Jane')), 'master', 'Extends a list')
+
+      expect(yaml.safeLoad(git(repositoryPath, ['show', 'master:_data/list.yml']))).toEqual(['John', 'Jane'])
+      expect(git(repositoryPath, ['log', '-1', '--format=%s', 'master'])).toBe('Extends a list')
+    })
+
+    test('starts over if the file is changed before the new version is committed', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+      const otherLocalGit = new LocalGit(req.params)
+
+      await localGit.writeFile('_data/list.yml', '- John\n', 'master')
+
+      const change = jest.fn(async list => {
+        if (change.mock.calls.length === 1) {
+          await otherLocalGit.updateFile('_data/list.yml', yaml.safeDump(list.concat('Jack')), 'master')
+        }
+
+        return yaml.safeDump(list.concat('Jane'))
+      })
+
+      await localGit.changeFile('_data/list.yml', change, 'master')
+
+      expect(change).toHaveBeenCalledTimes(2)
+      expect(yaml.safeLoad(git(repositoryPath, ['show', 'master:_data/list.yml']))).toEqual(['John', 'Jack', 'Jane'])
+    })
+
+    test('gives up after the given number of attempts', async () => {
+      createRepository({bare: true})
+
+      const localGit = new LocalGit(req.params)
+      const otherLocalGit = new LocalGit(req.params)
+
+      await localGit.writeFile('_data/list.yml', '- John\n', 'master')
+
+      const change = jest.fn(async list => {
+        await otherLocalGit.updateFile('_data/list.yml', yaml.safeDump(list.concat('Jack')), 'master')
+
+        return yaml.safeDump(list.concat('Jane'))
+      })
+
+      expect.assertions(2)
+
+      try {
+        await localGit.changeFile('_data/list.yml', change, 'master', 'Extends a list', 2)
+      } catch (err) {
+        expect(err._smErrorCode).toBe('LOCALGIT_UPDATING_FILE')
+      }
+
+      expect(change).toHaveBeenCalledTimes(2)
+    })
+
+    test('does not overwrite a file that cannot be parsed', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+
+      await localGit.writeFile('_data/list.json', '[{', 'master')
+
+      const change = jest.fn(() => '[]')
+
+      expect.assertions(3)
+
+      try {
+        await localGit.changeFile('_data/list.json', change, 'master')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('PARSING_ERROR')
+      }
+
+      expect(change).not.toHaveBeenCalled()
+      expect(git(repositoryPath, ['show', 'master:_data/list.json'])).toBe('[{')
+    })
+  })
+
+  describe('changeFileAndSendReview', () => {
+    test('changes the file on a new branch and records a review', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+
+      await localGit.writeFile('_data/list.yml', '- John\n', 'master')
+
+      const review = await localGit.changeFileAndSendReview(
+        '_data/list.yml',
+        list => yaml.safeDump(list.concat('Jane')),
+        'staticman_123456789',
+        'Extends a list',
+        'Please review'
+      )
+
+      expect(yaml.safeLoad(git(repositoryPath, ['show', 'staticman_123456789:_data/list.yml']))).toEqual(['John', 'Jane'])
+      expect(git(repositoryPath, ['show', 'master:_data/list.yml'])).toBe('- John')
+      expect((await localGit.getReview(review.id)).title).toBe('Extends a list')
+    })
+  })
+
+  describe('branches', () => {
+    test('creates and deletes branches', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+      const sha = await localGit.getBranchHeadCommit('master')
+
+      await localGit.createBranch('staticman_123456789', sha)
+      expect(git(repositoryPath, ['rev-parse', 'staticman_123456789'])).toBe(sha)
+
+      await localGit.deleteBranch('staticman_123456789')
+      expect(git(repositoryPath, ['branch', '--list', 'staticman_123456789'])).toBe('')
+    })
+
+    test('refuses to overwrite an existing branch', async () => {
+      createRepository({bare: true})
+
+      const localGit = new LocalGit(req.params)
+      const sha = await localGit.getBranchHeadCommit('master')
+
+      await expect(localGit.createBranch('master', sha)).rejects.toBeDefined()
+    })
+  })
+
+  describe('writeFileAndSendReview', () => {
+    test('writes a file to a new branch and records a review against the base branch', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+
+      const review = await localGit.writeFileAndSendReview(
+        'path/to/file.txt',
+        'This is a new file',
+        'staticman_123456789',
+        'Adds a new file',
+        'This is a very cool file indeed...'
+      )
+
+      expect(review.id).toBe(1)
+      expect(git(repositoryPath, ['show', 'staticman_123456789:path/to/file.txt'])).toBe('This is a new file')
+      expect(git(repositoryPath, ['ls-tree', '--name-only', 'master'])).toBe('staticman.yml')
+      expect(await localGit.getReview(review.id)).toEqual(new Review(
+        'Adds a new file',
+        'This is a very cool file indeed...',
+        'open',
+        'staticman_123456789',
+        'master'
+      ))
+    })
+
+    test('gives reviews created at the same time different ids', async () => {
+      createRepository({bare: true})
+
+      const localGit = new LocalGit(req.params)
+      const reviews = await Promise.all([1, 2, 3].map(index => {
+        return localGit.writeFileAndSendReview(`path/to/file${index}.txt`, 'Hello', `staticman_${index}`)
+      }))
+
+      expect(reviews.map(review => review.id).sort()).toEqual([1, 2, 3])
+      expect((await localGit.getReview(2)).sourceBranch).toBe(reviews.find(review => review.id === 2).sourceBranch)
+    })
+
+    test('reports a review as merged once its branch is merged into the target', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const localGit = new LocalGit(req.params)
+      const review = await localGit.writeFileAndSendReview('path/to/file.txt', 'Hello', 'staticman_123456789')
+
+      git(repositoryPath, ['update-ref', 'refs/heads/master', 'refs/heads/staticman_123456789'])
+      await localGit.deleteBranch('staticman_123456789')
+
+      expect((await localGit.getReview(review.id)).state).toBe('merged')
+    })
+
+    test('reports a review as closed once its branch is deleted without merging', async () => {
+      createRepository({bare: true})
+
+      const localGit = new LocalGit(req.params)
+      const review = await localGit.writeFileAndSendReview('path/to/file.txt', 'Hello', 'staticman_123456789')
+
+      await localGit.deleteBranch('staticman_123456789')
+
+      expect((await localGit.getReview(review.id)).state).toBe('closed')
+    })
+
+    test('returns an error if the branch already exists', async () => {
+      createRepository({bare: true})
+
+      const localGit = new LocalGit(req.params)
+
+      expect.assertions(1)
+
+      try {
+        await localGit.writeFileAndSendReview('path/to/file.txt', 'Hello', 'master')
+      } catch (err) {
+        expect(err._smErrorCode).toBe('LOCALGIT_CREATING_PR')
+      }
+    })
+  })
+
+  describe('getCurrentUser', () => {
+    test('returns the user configured in the repository', async () => {
+      createRepository({bare: false})
+
+      const localGit = new LocalGit(req.params)
+      const user = await localGit.getCurrentUser()
+
+      expect(user.type).toBe('local')
+      expect(user.name).toBe('John Doe')
+      expect(user.email).toBe('johndoe@test.com')
+    })
+  })
+
+  describe('Staticman integration', () => {
+    const parameters = Object.assign(mockHelpers.getParameters(), {
+      service: 'local',
+      version: '3'
+    })
+
+    test('commits an entry straight to the branch with `processEntry`', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const staticman = await new Staticman(parameters)
+
+      staticman.setConfigPath()
+
+      const response = await staticman.processEntry(mockHelpers.getFields(), {slug: 'my-post'})
+      const filePath = `_data/comments/my-post/comment-${staticman.uid}.yml`
+      const entry = yaml.safeLoad(git(repositoryPath, ['show', `master:${filePath}`]))
+
+      expect(response.fields).toEqual(mockHelpers.getFields())
+      expect(entry).toEqual(Object.assign({_id: staticman.uid}, mockHelpers.getFields()))
+      expect(git(repositoryPath, ['log', '-1', '--format=%s', 'master']))
+        .toBe(`New comment from ${mockHelpers.getFields().name}`)
+    })
+
+    test('opens a review with `processEntry` when moderation is enabled', async () => {
+      const repositoryPath = createRepository({bare: true})
+
+      git(basePath, ['clone', '-q', repositoryPath, 'work'])
+
+      const workPath = path.join(basePath, 'work')
+
+      fs.writeFileSync(path.join(workPath, 'staticman.yml'), siteConfig.replace('moderation: false', 'moderation: true'))
+      git(workPath, ['-c', 'user.name=John Doe', '-c', 'user.email=johndoe@test.com', 'commit', '-q', '-am', 'Enable moderation'])
+      git(workPath, ['push', '-q', 'origin', 'master'])
+
+      const staticman = await new Staticman(parameters)
+
+      staticman.setConfigPath()
+
+      await staticman.processEntry(mockHelpers.getFields(), {slug: 'my-post'})
+
+      const review = await staticman.git.getReview(1)
+
+      expect(review.state).toBe('open')
+      expect(review.sourceBranch).toBe(`staticman_${staticman.uid}`)
+      expect(review.body).toContain(mockHelpers.getFields().message)
+      expect(git(repositoryPath, ['ls-tree', '-r', '--name-only', review.sourceBranch]))
+        .toBe(`_data/comments/my-post/comment-${staticman.uid}.yml\nstaticman.yml`)
+    })
+
+    test('rewrites an entry with `processEdit` using the edit token issued by `processEntry`', async () => {
+      const repositoryPath = createRepository({bare: true})
+
+      git(basePath, ['clone', '-q', repositoryPath, 'work'])
+
+      const workPath = path.join(basePath, 'work')
+
+      fs.writeFileSync(path.join(workPath, 'staticman.yml'), siteConfig.concat('  editing:\n    enabled: true\n'))
+      git(workPath, ['-c', 'user.name=John Doe', '-c', 'user.email=johndoe@test.com', 'commit', '-q', '-am', 'Enable editing'])
+      git(workPath, ['push', '-q', 'origin', 'master'])
+
+      const staticman = await new Staticman(parameters)
+
+      staticman.setConfigPath()
+
+      const {editToken} = await staticman.processEntry(mockHelpers.getFields(), {slug: 'my-post'})
+      const id = staticman.uid
+      const editor = await new Staticman(parameters)
+
+      editor.setConfigPath()
+
+      const editedFields = Object.assign(mockHelpers.getFields(), {message: 'Fixed a typo'})
+
+      await editor.processEdit(id, editedFields, {'edit-token': editToken})
+
+      const entry = yaml.safeLoad(git(repositoryPath, ['show', `master:_data/comments/my-post/comment-${id}.yml`]))
+
+      expect(entry).toEqual(Object.assign({_id: id}, editedFields))
+      expect(git(repositoryPath, ['log', '-1', '--format=%s', 'master'])).toBe('Update Staticman data')
+    })
+
+    test('removes an entry with `processDelete` using the edit token issued by `processEntry`', async () => {
+      const repositoryPath = createRepository({bare: true})
+
+      git(basePath, ['clone', '-q', repositoryPath, 'work'])
+
+      const workPath = path.join(basePath, 'work')
+
+      fs.writeFileSync(path.join(workPath, 'staticman.yml'), siteConfig.concat('  deletion:\n    enabled: true\n'))
+      git(workPath, ['-c', 'user.name=John Doe', '-c', 'user.email=johndoe@test.com', 'commit', '-q', '-am', 'Enable deletion'])
+      git(workPath, ['push', '-q', 'origin', 'master'])
+
+      const staticman = await new Staticman(parameters)
+
+      staticman.setConfigPath()
+
+      const {editToken} = await staticman.processEntry(mockHelpers.getFields(), {slug: 'my-post'})
+      const remover = await new Staticman(parameters)
+
+      remover.setConfigPath()
+
+      await remover.processDelete(staticman.uid, {'edit-token': editToken})
+
+      expect(git(repositoryPath, ['ls-tree', '-r', '--name-only', 'master'])).toBe('staticman.yml')
+      expect(git(repositoryPath, ['log', '-1', '--format=%s', 'master'])).toBe('Delete Staticman data')
+    })
+
+    test('commits uploaded files next to the entry with `processEntry`', async () => {
+      const repositoryPath = createRepository({bare: true})
+
+      git(basePath, ['clone', '-q', repositoryPath, 'work'])
+
+      const workPath = path.join(basePath, 'work')
+      const image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff])
+
+      fs.writeFileSync(
+        path.join(workPath, 'staticman.yml'),
+        siteConfig
+          .replace('"message"]', '"message", "photo"]')
+          .concat('  uploads:\n    enabled: true\n')
+      )
+      git(workPath, ['-c', 'user.name=John Doe', '-c', 'user.email=johndoe@test.com', 'commit', '-q', '-am', 'Enable uploads'])
+      git(workPath, ['push', '-q', 'origin', 'master'])
+
+      const staticman = await new Staticman(parameters)
+
+      staticman.setConfigPath()
+      staticman.setUploads([{
+        buffer: image,
+        fieldname: 'fields[photo]',
+        mimetype: 'image/png',
+        originalname: 'photo.png',
+        size: image.length
+      }])
+
+      await staticman.processEntry(mockHelpers.getFields(), {slug: 'my-post'})
+
+      const photoPath = `_data/comments/my-post/${staticman.uid}-photo.png`
+      const entry = yaml.safeLoad(git(repositoryPath, ['show', `master:_data/comments/my-post/comment-${staticman.uid}.yml`]))
+
+      expect(entry.photo).toBe(photoPath)
+      expect(execFileSync('git', ['show', `master:${photoPath}`], {cwd: repositoryPath})).toEqual(image)
+      expect(git(repositoryPath, ['rev-list', '--count', 'master'])).toBe('3')
+    })
+
+    test('numbers entries with a `sequence` generated field, keeping the number on edits', async () => {
+      const repositoryPath = createRepository({bare: true})
+
+      git(basePath, ['clone', '-q', repositoryPath, 'work'])
+
+      const workPath = path.join(basePath, 'work')
+
+      fs.writeFileSync(
+        path.join(workPath, 'staticman.yml'),
+        siteConfig.concat('  editing:\n    enabled: true\n  generatedFields:\n    number:\n      type: sequence\n')
+      )
+      git(workPath, ['-c', 'user.name=John Doe', '-c', 'user.email=johndoe@test.com', 'commit', '-q', '-am', 'Number entries'])
+      git(workPath, ['push', '-q', 'origin', 'master'])
+
+      const first = await new Staticman(parameters)
+      const second = await new Staticman(parameters)
+
+      first.setConfigPath()
+      second.setConfigPath()
+
+      const {editToken} = await first.processEntry(mockHelpers.getFields(), {slug: 'my-post'})
+
+      await second.processEntry(mockHelpers.getFields(), {slug: 'my-post'})
+
+      const readEntry = id => yaml.safeLoad(git(repositoryPath, ['show', `master:_data/comments/my-post/comment-${id}.yml`]))
+
+      expect(readEntry(first.uid).number).toBe(1)
+      expect(readEntry(second.uid).number).toBe(2)
+      expect(git(repositoryPath, ['show', 'master:_data/comments/my-post/.number.sequence'])).toBe('2')
+
+      const editor = await new Staticman(parameters)
+
+      editor.setConfigPath()
+
+      await editor.processEdit(first.uid, Object.assign(mockHelpers.getFields(), {message: 'Edited'}), {
+        'edit-token': editToken,
+        slug: 'my-post'
+      })
+
+      expect(readEntry(first.uid)).toEqual(Object.assign({_id: first.uid}, mockHelpers.getFields(), {
+        message: 'Edited',
+        number: 1
+      }))
+      expect(git(repositoryPath, ['show', 'master:_data/comments/my-post/.number.sequence'])).toBe('2')
+    })
+
+    describe('with `storage: append`', () => {
+      const appendConfig = siteConfig
+        .replace('filename: "comment-{@id}"', 'filename: "{options.slug}"')
+        .replace('path: "_data/comments/{options.slug}"', 'path: "_data/comments"')
+        .concat('  storage: "append"\n')
+
+      const setUpRepository = config => {
+        const repositoryPath = createRepository({bare: true})
+
+        git(basePath, ['clone', '-q', repositoryPath, 'work'])
+
+        const workPath = path.join(basePath, 'work')
+
+        fs.writeFileSync(path.join(workPath, 'staticman.yml'), config)
+        git(workPath, ['-c', 'user.name=John Doe', '-c', 'user.email=johndoe@test.com', 'commit', '-q', '-am', 'Append entries'])
+        git(workPath, ['push', '-q', 'origin', 'master'])
+
+        return repositoryPath
+      }
+
+      const readEntries = (repositoryPath, ref = 'master') => {
+        return yaml.safeLoad(git(repositoryPath, ['show', `${ref}:_data/comments/my-post.yml`]))
+      }
+
+      test('appends each entry to a single file with `processEntry`', async () => {
+        const repositoryPath = setUpRepository(appendConfig)
+        const first = await new Staticman(parameters)
+        const second = await new Staticman(parameters)
+
+        first.setConfigPath()
+        second.setConfigPath()
+
+        await first.processEntry(mockHelpers.getFields(), {slug: 'my-post'})
+        await second.processEntry(Object.assign(mockHelpers.getFields(), {name: 'Jane Doe'}), {slug: 'my-post'})
+
+        expect(readEntries(repositoryPath)).toEqual([
+          Object.assign({_id: first.uid}, mockHelpers.getFields()),
+          Object.assign({_id: second.uid}, mockHelpers.getFields(), {name: 'Jane Doe'})
+        ])
+        expect(git(repositoryPath, ['ls-tree', '-r', '--name-only', 'master']))
+          .toBe('_data/comments/my-post.yml\nstaticman.yml')
+      })
+
+      test('appends the entry on the review branch when moderation is enabled', async () => {
+        const repositoryPath = setUpRepository(appendConfig.replace('moderation: false', 'moderation: true'))
+        const staticman = await new Staticman(parameters)
+
+        staticman.setConfigPath()
+
+        await staticman.processEntry(mockHelpers.getFields(), {slug: 'my-post'})
+
+        const review = await staticman.git.getReview(1)
+
+        expect(review.state).toBe('open')
+        expect(readEntries(repositoryPath, review.sourceBranch)).toEqual([
+          Object.assign({_id: staticman.uid}, mockHelpers.getFields())
+        ])
+        expect(git(repositoryPath, ['ls-tree', '-r', '--name-only', 'master'])).toBe('staticman.yml')
+      })
+
+      test('appends rows to a CSV file, creating its header first', async () => {
+        const repositoryPath = setUpRepository(appendConfig.replace('format: "yaml"', 'format: "csv"'))
+        const first = await new Staticman(parameters)
+        const second = await new Staticman(parameters)
+
+        first.setConfigPath()
+        second.setConfigPath()
+
+        await first.processEntry(mockHelpers.getFields(), {slug: 'my-post'})
+        await second.processEntry(Object.assign(mockHelpers.getFields(), {name: 'Doe, Jane'}), {slug: 'my-post'})
+
+        const {name, email, url, message} = mockHelpers.getFields()
+
+        expect(git(repositoryPath, ['show', 'master:_data/comments/my-post.csv'])).toBe([
+          '_id,name,email,url,message',
+          `${first.uid},${name},${email},${url},${message}`,
+          `${second.uid},"Doe, Jane",${email},${url},${message}`
+        ].join('\n'))
+      })
+
+      test('edits and removes a single entry of the list with the edit token', async () => {
+        const repositoryPath = setUpRepository(
+          appendConfig.concat('  editing:\n    enabled: true\n  deletion:\n    enabled: true\n')
+        )
+        const first = await new Staticman(parameters)
+        const second = await new Staticman(parameters)
+
+        first.setConfigPath()
+        second.setConfigPath()
+
+        const {editToken} = await first.processEntry(mockHelpers.getFields(), {slug: 'my-post'})
+
+        await second.processEntry(Object.assign(mockHelpers.getFields(), {name: 'Jane Doe'}), {slug: 'my-post'})
+
+        const editor = await new Staticman(parameters)
+        const editedFields = Object.assign(mockHelpers.getFields(), {message: 'Fixed a typo'})
+
+        editor.setConfigPath()
+
+        await editor.processEdit(first.uid, editedFields, {'edit-token': editToken})
+
+        expect(readEntries(repositoryPath).map(entry => entry.message))
+          .toEqual(['Fixed a typo', mockHelpers.getFields().message])
+
+        const remover = await new Staticman(parameters)
+
+        remover.setConfigPath()
+
+        await remover.processDelete(first.uid, {'edit-token': editToken})
+
+        expect(readEntries(repositoryPath).map(entry => entry._id)).toEqual([second.uid])
+
+        expect.assertions(3)
+
+        try {
+          await remover.processDelete(first.uid, {'edit-token': editToken})
+        } catch (err) {
+          expect(err._smErrorCode).toBe('ENTRY_NOT_FOUND')
+        }
+      })
+    })
+
+    test('rejects entries that fail validation without committing anything', async () => {
+      const repositoryPath = createRepository({bare: true})
+      const head = git(repositoryPath, ['rev-parse', 'master'])
+      const staticman = await new Staticman(parameters)
+
+      staticman.setConfigPath()
+
+      expect.assertions(2)
+
+      try {
+        await staticman.processEntry({name: 'John'}, {slug: 'my-post'})
+      } catch (err) {
+        expect(err._smErrorCode).toBe('MISSING_REQUIRED_FIELDS')
+      }
+
+      expect(git(repositoryPath, ['rev-parse', 'master'])).toBe(head)
+    })
+  })
+})
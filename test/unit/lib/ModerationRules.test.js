@@ -0,0 +1,102 @@
+const ModerationRules = require('./../../../lib/ModerationRules')
+
+const getContext = context => Object.assign({
+  authenticated: false,
+  fields: {
+    name: 'Eduardo Boucas',
+    message: 'Hello world'
+  },
+  path: '_data/comments/my-post/1234.yml',
+  spamScore: 0
+}, context)
+
+describe('ModerationRules', () => {
+  describe('getAction', () => {
+    test('returns the action of the first rule whose conditions are all met', () => {
+      const rules = [
+        {when: {authenticated: true, minSpamScore: 1}, action: 'reject'},
+        {when: {authenticated: true}, action: 'commit'},
+        {action: 'review'}
+      ]
+
+      expect(ModerationRules.getAction(rules, getContext({authenticated: true}))).toBe('commit')
+      expect(ModerationRules.getAction(rules, getContext({authenticated: true, spamScore: 1}))).toBe('reject')
+      expect(ModerationRules.getAction(rules, getContext())).toBe('review')
+    })
+
+    test('returns `null` if no rule applies', () => {
+      expect(ModerationRules.getAction([], getContext())).toBe(null)
+      expect(ModerationRules.getAction([{when: {authenticated: true}, action: 'commit'}], getContext())).toBe(null)
+    })
+
+    test('matches fields against regular expressions, ignoring case', () => {
+      const rules = [{when: {fields: {message: 'https?://'}}, action: 'review'}]
+      const withLink = getContext({fields: {message: 'See HTTPS://example.com'}})
+
+      expect(ModerationRules.getAction(rules, withLink)).toBe('review')
+      expect(ModerationRules.getAction(rules, getContext())).toBe(null)
+      expect(ModerationRules.getAction(rules, getContext({fields: {}}))).toBe(null)
+    })
+
+    test('matches nested fields and lists by their paths', () => {
+      const rules = [{when: {fields: {'tags[]': '^spam$', 'address.city': 'lisbon'}}, action: 'reject'}]
+      const fields = {address: {city: 'Lisbon'}, tags: ['news', 'spam']}
+
+      expect(ModerationRules.getAction(rules, getContext({fields}))).toBe('reject')
+      expect(ModerationRules.getAction(rules, getContext({
+        fields: {address: {city: 'Porto'}, tags: ['spam']}
+      }))).toBe(null)
+    })
+
+    test('matches the spam score from `minSpamScore`', () => {
+      const rules = [{when: {minSpamScore: 2.5}, action: 'reject'}]
+
+      expect(ModerationRules.getAction(rules, getContext({spamScore: 2}))).toBe(null)
+      expect(ModerationRules.getAction(rules, getContext({spamScore: 2.5}))).toBe('reject')
+    })
+
+    test('matches the path of the entry file against a glob', () => {
+      const getPathAction = (glob, path) => {
+        return ModerationRules.getAction([{when: {path: glob}, action: 'review'}], getContext({path}))
+      }
+
+      expect(getPathAction('_data/comments/*/*.yml', '_data/comments/my-post/1234.yml')).toBe('review')
+      expect(getPathAction('_data/comments/*.yml', '_data/comments/my-post/1234.yml')).toBe(null)
+      expect(getPathAction('_data/**/*.yml', '_data/comments/my-post/1234.yml')).toBe('review')
+      expect(getPathAction('_data/**/*.yml', '_data/1234.yml')).toBe('review')
+      expect(getPathAction('_data/comments/my-post/123?.yml', '_data/comments/my-post/1234.yml')).toBe('review')
+      expect(getPathAction('_data/comments/my-post/1234.yml', '_data/comments/my-post/1234xyml')).toBe(null)
+    })
+  })
+
+  describe('assertRules', () => {
+    test('accepts valid rules', () => {
+      expect(() => ModerationRules.assertRules([])).not.toThrow()
+      expect(() => ModerationRules.assertRules([
+        {when: {fields: {message: 'https?://'}}, action: 'review'},
+        {when: {authenticated: false, minSpamScore: 1, path: '_data/**'}, action: 'reject'},
+        {action: 'commit'}
+      ])).not.toThrow()
+    })
+
+    test('throws if the rules are not a list', () => {
+      expect(() => ModerationRules.assertRules({action: 'commit'})).toThrow('`moderationRules` must be a list')
+    })
+
+    test('throws if a rule has an unknown action', () => {
+      expect(() => ModerationRules.assertRules([{action: 'commit'}, {action: 'merge'}]))
+        .toThrow('Invalid `action` in moderation rule 2, which must be one of commit, review, reject')
+    })
+
+    test('throws if a rule has an unknown or invalid condition', () => {
+      expect(() => ModerationRules.assertRules([{when: {author: 'johndoe'}, action: 'commit'}]))
+        .toThrow('Unknown condition `author` in moderation rule 1')
+      expect(() => ModerationRules.assertRules([{when: {fields: {message: '(unclosed'}}, action: 'review'}]))
+        .toThrow('Invalid `fields` condition in moderation rule 1')
+      expect(() => ModerationRules.assertRules([{when: {minSpamScore: 'high'}, action: 'review'}]))
+        .toThrow('Invalid `minSpamScore` condition in moderation rule 1')
+      expect(() => ModerationRules.assertRules([{when: {authenticated: 'yes'}, action: 'review'}]))
+        .toThrow('Invalid `authenticated` condition in moderation rule 1')
+    })
+  })
+})
@@ -48,4 +48,50 @@ describe('OAuth access tokens', () => {
     oauth.requestGitLabAccessToken(code, clientId, clientSecret, redirectUri)
       .then(token => expect(token).toEqual(accessToken))
   })
+  test('requests OAuth access token from Bitbucket', () => {
+    const accessToken = 'asdfghjkl'
+    const clientId = '123456789'
+    const clientSecret = '1q2w3e4r5t6y7u8i9o'
+    const code = 'abcdefghijklmnopqrst'
+    const redirectUri = 'http://my-test-site.com'
+
+    nock('https://bitbucket.org', {
+      reqheaders: {
+        authorization: 'Basic ' + Buffer.from(`${clientId}:${clientSecret}`).toString('base64')
+      }
+    })
+      .post('/site/oauth2/access_token', {
+        code,
+        grant_type: 'authorization_code',
+        redirect_uri: redirectUri
+      })
+      .reply(200, {
+        access_token: accessToken
+      })
+
+    return oauth.requestBitbucketAccessToken(code, clientId, clientSecret, redirectUri)
+      .then(token => expect(token).toEqual(accessToken))
+  })
+  test('requests OAuth access token from Gitea', () => {
+    const accessToken = 'asdfghjkl'
+    const clientId = '123456789'
+    const clientSecret = '1q2w3e4r5t6y7u8i9o'
+    const code = 'abcdefghijklmnopqrst'
+    const redirectUri = 'http://my-test-site.com'
+
+    nock(/gitea\.com/)
+      .post('/login/oauth/access_token', {
+        client_id: clientId,
+        client_secret: clientSecret,
+        code,
+        grant_type: 'authorization_code',
+        redirect_uri: redirectUri
+      })
+      .reply(200, {
+        access_token: accessToken
+      })
+
+    return oauth.requestGiteaAccessToken(code, clientId, clientSecret, redirectUri)
+      .then(token => expect(token).toEqual(accessToken))
+  })
 })
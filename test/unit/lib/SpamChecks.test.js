@@ -0,0 +1,163 @@
+const {execFileSync} = require('child_process')
+const fs = require('fs')
+const mockHelpers = require('./../../helpers')
+const os = require('os')
+const path = require('path')
+
+let SpamChecks
+
+beforeEach(() => {
+  jest.resetModules()
+
+  SpamChecks = require('./../../../lib/SpamChecks')
+})
+
+describe('SpamChecks', () => {
+  describe('akismet', () => {
+    test('scores entries flagged by Akismet', async () => {
+      const mockCheckSpamFn = jest.fn((options, callback) => callback(null, true))
+
+      jest.mock('akismet', () => ({
+        client: () => ({checkSpam: mockCheckSpamFn})
+      }))
+
+      jest.resetModules()
+
+      const akismet = require('./../../../lib/SpamChecks').get('akismet')
+      const siteConfig = mockHelpers.getConfig()
+
+      siteConfig.set('akismet.content', 'message')
+
+      const result = await akismet(mockHelpers.getFields(), {}, {
+        ip: '123.456.78.9',
+        siteConfig,
+        userAgent: 'Some browser'
+      })
+
+      expect(result).toEqual({score: 1, reason: 'Flagged as spam by Akismet'})
+      expect(mockCheckSpamFn.mock.calls[0][0]).toEqual(expect.objectContaining({
+        comment_content: mockHelpers.getFields().message,
+        user_agent: 'Some browser',
+        user_ip: '123.456.78.9'
+      }))
+    })
+  })
+
+  describe('blocklist', () => {
+    test('scores entries containing blocked words or patterns, ignoring case', () => {
+      const blocklist = SpamChecks.get('blocklist')
+      const fields = {message: 'Visit our CASINO today', name: 'Bob'}
+
+      expect(blocklist(fields, {words: ['casino', 'pills']})).toEqual({
+        score: 1,
+        reason: 'Matches the blocklist: casino'
+      })
+      expect(blocklist(fields, {patterns: ['visit\\s+our']})).toEqual({
+        score: 1,
+        reason: 'Matches the blocklist: visit\\s+our'
+      })
+      expect(blocklist(fields, {words: ['pills']})).toEqual({score: 0, reason: null})
+    })
+
+    test('only looks at the fields given', () => {
+      const blocklist = SpamChecks.get('blocklist')
+      const fields = {message: 'Hello', name: 'Casino Bob', address: {city: 'Casino'}}
+
+      expect(blocklist(fields, {words: ['casino'], fields: ['message']}).score).toBe(0)
+      expect(blocklist(fields, {words: ['casino'], fields: ['address']}).score).toBe(1)
+    })
+  })
+
+  describe('caps', () => {
+    test('scores entries with a high ratio of capital letters', () => {
+      const caps = SpamChecks.get('caps')
+
+      expect(caps({message: 'BUY THIS AMAZING PRODUCT NOW'}, {})).toEqual({
+        score: 1,
+        reason: '100% of the letters are capitals'
+      })
+      expect(caps({message: 'Buy This Amazing Product Now'}, {}).score).toBe(0)
+      expect(caps({message: 'Buy THIS AMAZING Product Now'}, {ratio: 0.5}).score).toBe(1)
+    })
+
+    test('ignores entries with fewer letters than `minLength`', () => {
+      const caps = SpamChecks.get('caps')
+
+      expect(caps({message: 'OK THANKS'}, {}).score).toBe(0)
+      expect(caps({message: 'OK THANKS'}, {minLength: 5}).score).toBe(1)
+    })
+  })
+
+  describe('honeypot', () => {
+    test('scores entries with honeypot fields filled in', () => {
+      const honeypot = SpamChecks.get('honeypot')
+
+      expect(honeypot({website: 'http://spam.example.com'}, {fields: ['website']})).toEqual({
+        score: 1,
+        reason: 'Honeypot fields filled in: website'
+      })
+      expect(honeypot({website: ' '}, {fields: ['website']}).score).toBe(0)
+      expect(honeypot({website: 'http://spam.example.com'}, {}).score).toBe(0)
+    })
+  })
+
+  describe('links', () => {
+    test('scores entries with more links than `max`', () => {
+      const links = SpamChecks.get('links')
+      const fields = {
+        message: 'See http://one.example.com, https://two.example.com and www.three.example.com',
+        url: 'https://mysite.example.com'
+      }
+
+      expect(links(fields, {max: 3})).toEqual({
+        score: 1,
+        reason: 'Contains 4 links, more than the 3 allowed'
+      })
+      expect(links(fields, {max: 4}).score).toBe(0)
+      expect(links(fields, {max: 2, fields: ['url']}).score).toBe(0)
+    })
+  })
+
+  describe('get', () => {
+    test('returns `undefined` for unknown checks', () => {
+      expect(SpamChecks.get('custom')).toBeUndefined()
+      expect(SpamChecks.get('toString')).toBeUndefined()
+    })
+  })
+
+  describe('register', () => {
+    test('makes a check available under the given name', () => {
+      const checkFn = () => ({score: 0.5, reason: 'Suspicious'})
+
+      SpamChecks.register('custom', checkFn)
+
+      expect(SpamChecks.get('custom')).toBe(checkFn)
+    })
+
+    test('throws if the check is not a function', () => {
+      expect(() => SpamChecks.register('broken', 'links'))
+        .toThrow('Spam check `broken` must be a function')
+    })
+  })
+
+  describe('loadDirectory', () => {
+    test('registers each JavaScript module in the directory under its file name', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'staticman-spam-checks-'))
+
+      try {
+        fs.writeFileSync(
+          path.join(directory, 'shouting.js'),
+          'module.exports = () => ({score: 1, reason: "Shouting"})'
+        )
+        fs.writeFileSync(path.join(directory, 'README.md'), 'Not a check')
+
+        SpamChecks.loadDirectory(directory)
+
+        expect(SpamChecks.get('shouting')()).toEqual({score: 1, reason: 'Shouting'})
+        expect(SpamChecks.get('README')).toBeUndefined()
+      } finally {
+        execFileSync('rm', ['-rf', directory])
+      }
+    })
+  })
+})
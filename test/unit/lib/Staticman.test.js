@@ -1,15 +1,38 @@
 const config = require('./../../../config')
+const {execFileSync} = require('child_process')
 const errorHandler = require('./../../../lib/ErrorHandler')
 const frontMatter = require('front-matter')
+const fs = require('fs')
 const moment = require('moment')
 const mockHelpers = require('./../../helpers')
+const os = require('os')
+const path = require('path')
 const slugify = require('slug')
+const toml = require('@iarna/toml')
 const yaml = require('js-yaml')
 const User = require('../../../lib/models/User')
 
 let mockConfig
 let mockParameters
 
+// Edit tokens for the entry `1a2b3c4d5e6f`, signed like the ones the server
+// issues.
+const getEditToken = (data, parameters) => {
+  const {branch, property, repository, service, username} = parameters || mockParameters
+  const payload = mockHelpers.encrypt(JSON.stringify(Object.assign({
+    id: '1a2b3c4d5e6f',
+    path: '_data/comments/1a2b3c4d5e6f.yml',
+    issuedAt: new Date().getTime(),
+    branch,
+    property,
+    repository,
+    service,
+    username
+  }, data)))
+
+  return `${payload}.${mockHelpers.sign(payload)}`
+}
+
 beforeEach(() => {
   mockConfig = mockHelpers.getConfig()
   mockParameters = mockHelpers.getParameters()
@@ -154,6 +177,23 @@ describe('Staticman interface', () => {
         _id: staticman2.uid
       }))
     })
+
+    test('keeps the _parent field of the previous version of an edited entry', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman1 = await new Staticman(mockParameters)
+      const staticman2 = await new Staticman(mockParameters)
+
+      staticman1.options = {parent: 'another-post'}
+      staticman1.previousEntry = {_id: staticman1.uid, _parent: '123456789'}
+
+      staticman2.options = {}
+      staticman2.previousEntry = {_id: staticman2.uid, _parent: '123456789'}
+
+      const data = mockHelpers.getFields()
+
+      expect(staticman1._applyInternalFields(data)._parent).toBe('123456789')
+      expect(staticman2._applyInternalFields(data)._parent).toBe('123456789')
+    })
   })
 
   describe('generated fields', () => {
@@ -267,6 +307,218 @@ describe('Staticman interface', () => {
     })
   })
 
+  describe('more generated field types', () => {
+    test('keeps the `date` fields of an edited entry', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('generatedFields', {
+        date: {type: 'date'}
+      })
+      staticman.siteConfig = mockConfig
+      staticman._createDate = jest.fn(() => 'generatedDate')
+      staticman.previousEntry = {date: 'previousDate'}
+
+      expect(staticman._applyGeneratedFields(mockHelpers.getFields())).toEqual(Object.assign(mockHelpers.getFields(), {
+        date: 'previousDate'
+      }))
+      expect(staticman._createDate).not.toHaveBeenCalled()
+    })
+
+    test('adds `uuid` and `ulid` fields, keeping the previous values of an edited entry', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('generatedFields', {
+        key: {type: 'uuid'},
+        sortKey: {type: 'ulid'}
+      })
+      staticman.siteConfig = mockConfig
+
+      const extendedData = staticman._applyGeneratedFields(mockHelpers.getFields())
+
+      expect(extendedData.key).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+      expect(extendedData.sortKey).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/)
+
+      staticman.previousEntry = {key: 'previous-key', sortKey: 'previous-sort-key'}
+
+      expect(staticman._applyGeneratedFields(mockHelpers.getFields())).toEqual(Object.assign(mockHelpers.getFields(), {
+        key: 'previous-key',
+        sortKey: 'previous-sort-key'
+      }))
+    })
+
+    test('adds `requestHeader` fields, except for headers that carry credentials', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('generatedFields', {
+        referrer: {type: 'requestHeader', options: {name: 'Referer'}},
+        language: {type: 'requestHeader', options: {name: 'Accept-Language'}},
+        cookie: {type: 'requestHeader', options: {name: 'Cookie'}},
+        missing: {type: 'requestHeader', options: {name: 'DNT'}}
+      })
+      staticman.siteConfig = mockConfig
+      staticman.setRequestHeaders({
+        referer: 'https://eduardoboucas.com/blog/my-post',
+        'accept-language': 'pt-PT',
+        cookie: 'session=secret'
+      })
+
+      expect(staticman._applyGeneratedFields(mockHelpers.getFields())).toEqual(Object.assign(mockHelpers.getFields(), {
+        referrer: 'https://eduardoboucas.com/blog/my-post',
+        language: 'pt-PT'
+      }))
+    })
+
+    test('adds `hashedIp` fields salted with the `ipHashSalt` config value', async () => {
+      const crypto = require('crypto')
+      const serverConfig = require('./../../../config')
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('generatedFields', {
+        ip: {type: 'hashedIp'}
+      })
+      staticman.siteConfig = mockConfig
+      staticman.setIp('123.123.123.123, 10.0.0.1')
+
+      serverConfig.set('ipHashSalt', 'some-salt')
+
+      try {
+        expect(staticman._applyGeneratedFields(mockHelpers.getFields()).ip).toBe(
+          crypto.createHash('sha256').update('some-salt123.123.123.123').digest('hex')
+        )
+      } finally {
+        serverConfig.set('ipHashSalt', null)
+      }
+
+      expect.assertions(2)
+
+      try {
+        staticman._applyGeneratedFields(mockHelpers.getFields())
+      } catch (err) {
+        expect(err._smErrorCode).toBe('MISSING_IP_HASH_SALT')
+      }
+    })
+
+    test('adds `gravatar` fields from an email field', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('generatedFields', {
+        avatar: {type: 'gravatar', options: {field: 'email'}},
+        smallAvatar: {type: 'gravatar', options: {field: 'email', size: 40, default: 'identicon'}}
+      })
+      staticman.siteConfig = mockConfig
+
+      const data = Object.assign(mockHelpers.getFields(), {email: ' Mail@EduardoBoucas.com '})
+      const extendedData = staticman._applyGeneratedFields(data)
+
+      expect(extendedData.avatar).toBe('https://www.gravatar.com/avatar/4f8072e22fae3cd98b876df304886bed')
+      expect(extendedData.smallAvatar).toBe(
+        'https://www.gravatar.com/avatar/4f8072e22fae3cd98b876df304886bed?s=40&d=identicon'
+      )
+    })
+
+    test('adds `wordCount` and `readingTime` fields from a content field', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('generatedFields', {
+        words: {type: 'wordCount', options: {field: 'message'}},
+        minutes: {type: 'readingTime', options: {field: 'message', wordsPerMinute: 2}},
+        defaultMinutes: {type: 'readingTime', options: {field: 'message'}}
+      })
+      staticman.siteConfig = mockConfig
+
+      const data = Object.assign(mockHelpers.getFields(), {message: '<p>This is a <em>sample</em>\ncomment</p>'})
+      const extendedData = staticman._applyGeneratedFields(data)
+
+      expect(extendedData.words).toBe(5)
+      expect(extendedData.minutes).toBe(3)
+      expect(extendedData.defaultMinutes).toBe(1)
+    })
+
+    test('adds `sequence` fields counted up in a file next to the entries', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('path', '_data/comments/{options.slug}/')
+      mockConfig.set('generatedFields', {
+        number: {type: 'sequence'},
+        ticket: {type: 'sequence', options: {file: 'tickets.txt', start: 1000}}
+      })
+      staticman.siteConfig = mockConfig
+      staticman.options = {slug: 'my-post'}
+      staticman.git = {
+        changeFile: jest.fn((filePath, change) => {
+          return Promise.resolve(change(filePath === 'tickets.txt' ? undefined : '41\n'))
+        })
+      }
+
+      const extendedData = await staticman._applySequenceFields(mockHelpers.getFields())
+
+      expect(extendedData.number).toBe(42)
+      expect(extendedData.ticket).toBe(1000)
+      expect(staticman.git.changeFile.mock.calls.map(call => call.slice(0, 1).concat(call.slice(2)))).toEqual([
+        ['_data/comments/my-post/.number.sequence', mockParameters.branch, 'Update number sequence'],
+        ['tickets.txt', mockParameters.branch, 'Update ticket sequence']
+      ])
+    })
+
+    test('only counts up `sequence` fields for entries that are not sent for review', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const getStaticman = async moderation => {
+        const staticman = await new Staticman(mockParameters)
+
+        mockConfig.set('allowedFields', Object.keys(mockHelpers.getFields()))
+        mockConfig.set('generatedFields', {number: {type: 'sequence'}})
+        mockConfig.set('moderation', moderation)
+        mockConfig.set('notifications.enabled', false)
+        staticman.siteConfig = mockConfig
+        staticman.git.changeFile = jest.fn((filePath, change) => Promise.resolve(change('41\n')))
+        staticman.git.writeFile = jest.fn(() => Promise.resolve())
+        staticman.git.writeFileAndSendReview = jest.fn(() => Promise.resolve())
+
+        return staticman
+      }
+
+      const reviewed = await getStaticman(true)
+
+      await reviewed.processEntry(mockHelpers.getFields(), {})
+
+      expect(reviewed.git.changeFile).not.toHaveBeenCalled()
+      expect(reviewed.git.writeFileAndSendReview.mock.calls[0][1]).not.toContain('number:')
+
+      const committed = await getStaticman(false)
+
+      await committed.processEntry(mockHelpers.getFields(), {})
+
+      expect(committed.git.changeFile).toHaveBeenCalledTimes(1)
+      expect(committed.git.writeFile.mock.calls[0][1]).toContain('number: 42')
+    })
+
+    test('keeps the `sequence` fields of an edited entry without counting up', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('generatedFields', {
+        number: {type: 'sequence'}
+      })
+      staticman.siteConfig = mockConfig
+      staticman.previousEntry = {number: 7}
+      staticman.git = {
+        changeFile: jest.fn()
+      }
+
+      const extendedData = await staticman._applySequenceFields(mockHelpers.getFields())
+
+      expect(extendedData.number).toBe(7)
+      expect(staticman.git.changeFile).not.toHaveBeenCalled()
+    })
+  })
+
   describe('field transforms', () => {
     test('returns the data object unchanged if the `transforms` property is not in the site config', async () => {
       const Staticman = require('./../../../lib/Staticman')
@@ -303,6 +555,27 @@ describe('Staticman interface', () => {
       })
     })
 
+    test('transforms nested and list fields addressed by their paths', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('transforms', {
+        'address.city': 'upcase',
+        'tags[]': 'downcase'
+      })
+      staticman.siteConfig = mockConfig
+
+      const data = Object.assign(mockHelpers.getFields(), {
+        address: {city: 'Lisbon', country: 'Portugal'},
+        tags: ['News', 'Tech']
+      })
+
+      const transformedData = await staticman._applyTransforms(data)
+
+      expect(transformedData.address).toEqual({city: 'LISBON', country: 'Portugal'})
+      expect(transformedData.tags).toEqual(['news', 'tech'])
+    })
+
     test('handles multiple transforms per field', async () => {
       const Staticman = require('./../../../lib/Staticman')
       const staticman = await new Staticman(mockParameters)
@@ -321,6 +594,247 @@ describe('Staticman interface', () => {
         expect(transformedData).toEqual(extendedData)
       })
     })
+
+    test('passes the options set in the site config to parameterised transforms', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('transforms', {
+        message: [{truncate: {length: 8, ellipsis: '...'}}, 'upcase'],
+        name: {replace: {pattern: 'o', with: '0'}}
+      })
+      staticman.siteConfig = mockConfig
+
+      const data = Object.assign(mockHelpers.getFields(), {
+        message: 'This is a long message',
+        name: 'John Doe'
+      })
+
+      const transformedData = await staticman._applyTransforms(data)
+
+      expect(transformedData.message).toBe('THIS ...')
+      expect(transformedData.name).toBe('J0hn D0e')
+    })
+
+    test('waits for asynchronous transforms and ignores unknown ones', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const TransformRegistry = require('./../../../lib/TransformRegistry')
+      const staticman = await new Staticman(mockParameters)
+
+      TransformRegistry.register('lookup', (value, {suffix}) => {
+        return new Promise(resolve => setTimeout(() => resolve(value + suffix), 10))
+      })
+
+      mockConfig.set('transforms', {
+        name: [{lookup: {suffix: ' (verified)'}}, 'unknownTransform', 'upcase']
+      })
+      staticman.siteConfig = mockConfig
+
+      const data = Object.assign(mockHelpers.getFields(), {name: 'John Doe'})
+      const transformedData = await staticman._applyTransforms(data)
+
+      expect(transformedData.name).toBe('JOHN DOE (VERIFIED)')
+    })
+
+    test('stores both the rendered and the raw Markdown in the entry file', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('format', 'json')
+      mockConfig.set('transforms', {
+        message: {markdown: {rawField: 'messageMarkdown'}}
+      })
+      staticman.siteConfig = mockConfig
+
+      const data = Object.assign(mockHelpers.getFields(), {
+        message: 'See [my site](https://example.com)'
+      })
+      const transformedData = await staticman._applyTransforms(data)
+      const file = JSON.parse(await staticman._createFile(transformedData))
+
+      expect(file.message).toBe(
+        '<p>See <a href="https://example.com" rel="nofollow ugc">my site</a></p>\n'
+      )
+      expect(file.messageMarkdown).toBe('See [my site](https://example.com)')
+    })
+  })
+
+  describe('uploads', () => {
+    const getUpload = (fieldname, originalname, data) => Object.assign({
+      buffer: Buffer.from('some image data'),
+      fieldname,
+      mimetype: 'image/png',
+      originalname,
+      size: 15
+    }, data)
+
+    test('returns an empty list if there are no uploads', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      staticman.siteConfig = mockConfig
+
+      expect(await staticman._applyUploads(mockHelpers.getFields())).toEqual([])
+    })
+
+    test('throws an error if entries are appended to a list', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('uploads.enabled', true)
+      mockConfig.set('storage', 'append')
+      staticman.siteConfig = mockConfig
+      staticman.setUploads([getUpload('fields[photo]', 'photo.png')])
+
+      expect.assertions(1)
+
+      try {
+        await staticman._applyUploads(mockHelpers.getFields())
+      } catch (err) {
+        expect(err._smErrorCode).toBe('UPLOADS_NOT_APPENDABLE')
+      }
+    })
+
+    test('throws an error if uploads are not enabled in the site config', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      staticman.siteConfig = mockConfig
+      staticman.setUploads([getUpload('fields[photo]', 'photo.png')])
+
+      expect.assertions(1)
+
+      try {
+        await staticman._applyUploads(mockHelpers.getFields())
+      } catch (err) {
+        expect(err._smErrorCode).toBe('UPLOADS_DISABLED')
+      }
+    })
+
+    test('throws an error if any upload breaks the limits set in the site config', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const cases = [
+        {
+          uploads: [getUpload('photo', 'photo.png')],
+          error: {_smErrorCode: 'INVALID_UPLOAD', data: ['photo']}
+        },
+        {
+          uploads: [getUpload('fields[photo]', 'photo.svg', {mimetype: 'image/svg+xml'})],
+          error: {_smErrorCode: 'INVALID_UPLOAD_TYPE', data: ['photo.svg']}
+        },
+        {
+          uploads: [getUpload('fields[photo]', 'photo.png', {size: 1025})],
+          error: {_smErrorCode: 'UPLOAD_TOO_LARGE', data: ['photo.png']}
+        },
+        {
+          uploads: [getUpload('fields[photos][]', 'a.png'), getUpload('fields[photos][]', 'b.png'), getUpload('fields[photos][]', 'c.png')],
+          error: {_smErrorCode: 'TOO_MANY_UPLOADS'}
+        }
+      ]
+
+      mockConfig.set('uploads.enabled', true)
+      mockConfig.set('uploads.maxFiles', 2)
+      mockConfig.set('uploads.maxSize', 1024)
+
+      staticman.siteConfig = mockConfig
+
+      expect.assertions(cases.length)
+
+      for (const {uploads, error} of cases) {
+        staticman.setUploads(uploads)
+
+        try {
+          await staticman._applyUploads(mockHelpers.getFields())
+        } catch (err) {
+          expect(err).toEqual(error)
+        }
+      }
+    })
+
+    test('places the uploads next to the entry and adds their paths to the fields', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const fields = mockHelpers.getFields()
+
+      mockConfig.set('uploads.enabled', true)
+
+      staticman.siteConfig = mockConfig
+      staticman.setUploads([
+        getUpload('fields[avatar]', 'My Photo.PNG'),
+        getUpload('fields[gallery][]', 'holiday.jpg', {mimetype: 'image/jpeg'}),
+        getUpload('fields[gallery][]', 'holiday.jpg', {mimetype: 'image/jpeg'})
+      ])
+
+      const files = await staticman._applyUploads(fields)
+      const directory = staticman._getNewFilePath(fields).split('/').slice(0, -1).join('/')
+
+      expect(files.map(file => file.path)).toEqual([
+        `${directory}/${staticman.uid}-my-photo.png`,
+        `${directory}/${staticman.uid}-holiday.jpg`,
+        `${directory}/${staticman.uid}-holiday-2.jpg`
+      ])
+      expect(files[0].content).toEqual(Buffer.from('some image data'))
+      expect(fields.avatar).toBe(files[0].path)
+      expect(fields.gallery).toEqual([files[1].path, files[2].path])
+    })
+
+    test('saves uploads with an extension for their type, whatever their original name', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const fields = mockHelpers.getFields()
+
+      mockConfig.set('uploads.enabled', true)
+
+      staticman.siteConfig = mockConfig
+      staticman.setUploads([
+        getUpload('fields[photos][]', 'evil.html', {buffer: Buffer.from('<script>alert(1)</script>')}),
+        getUpload('fields[photos][]', 'photo', {mimetype: 'image/jpeg'}),
+        getUpload('fields[photos][]', 'photo.JPEG', {mimetype: 'image/jpeg'})
+      ])
+
+      const files = await staticman._applyUploads(fields)
+      const directory = staticman._getNewFilePath(fields).split('/').slice(0, -1).join('/')
+
+      expect(files.map(file => file.path)).toEqual([
+        `${directory}/${staticman.uid}-evil.png`,
+        `${directory}/${staticman.uid}-photo.jpg`,
+        `${directory}/${staticman.uid}-photo.jpeg`
+      ])
+    })
+
+    test('throws an error for allowed types that have no known extension', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('uploads.enabled', true)
+      mockConfig.set('uploads.allowedTypes', ['text/html'])
+
+      staticman.siteConfig = mockConfig
+      staticman.setUploads([getUpload('fields[page]', 'evil.html', {mimetype: 'text/html'})])
+
+      await expect(staticman._applyUploads(mockHelpers.getFields())).rejects.toEqual({
+        _smErrorCode: 'INVALID_UPLOAD_TYPE',
+        data: ['evil.html']
+      })
+    })
+
+    test('uses the `uploads.path` config value, resolving placeholders, as the destination', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const fields = mockHelpers.getFields()
+
+      mockConfig.set('uploads.enabled', true)
+      mockConfig.set('uploads.path', 'images/{options.slug}/')
+
+      staticman.siteConfig = mockConfig
+      staticman.options = {slug: 'my-post'}
+      staticman.setUploads([getUpload('fields[photo]', 'photo.png')])
+
+      const files = await staticman._applyUploads(fields)
+
+      expect(files[0].path).toBe(`images/my-post/${staticman.uid}-photo.png`)
+    })
   })
 
   describe('spam detection', () => {
@@ -442,7 +956,323 @@ describe('Staticman interface', () => {
         })
       })
     })
-  })
+    describe('honeypot fields', () => {
+      test('rejects entries with a honeypot field filled in', async () => {
+        const fields = Object.assign(mockHelpers.getFields(), {website: 'http://spam.example.com'})
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        mockConfig.set('honeypot.fields', ['website', 'phone'])
+        staticman.siteConfig = mockConfig
+
+        expect.assertions(1)
+
+        try {
+          await staticman._checkForSpam(fields)
+        } catch (err) {
+          expect(err).toEqual({
+            _smErrorCode: 'HONEYPOT_FILLED'
+          })
+        }
+      })
+
+      test('removes empty honeypot fields from the entry', async () => {
+        const fields = Object.assign(mockHelpers.getFields(), {website: '  ', phone: ''})
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        mockConfig.set('honeypot.fields', ['website', 'phone'])
+        staticman.siteConfig = mockConfig
+
+        await expect(staticman._checkForSpam(fields)).resolves.toEqual(mockHelpers.getFields())
+      })
+
+      test('does not require honeypot fields to be in `allowedFields`', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        mockConfig.set('allowedFields', Object.keys(mockHelpers.getFields()))
+        mockConfig.set('honeypot.fields', ['website'])
+        mockConfig.set('moderation', false)
+        staticman.siteConfig = mockConfig
+        staticman.git.writeFile = jest.fn(() => Promise.resolve())
+
+        const response = await staticman.processEntry(
+          Object.assign(mockHelpers.getFields(), {website: ''}),
+          {}
+        )
+
+        expect(response.fields.website).toBeUndefined()
+        expect(staticman.git.writeFile.mock.calls[0][1]).not.toContain('website')
+      })
+    })
+
+    describe('submission timing', () => {
+      const getStaticman = async (formTimestamp, parameters = mockParameters) => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(parameters)
+
+        mockConfig.set('submissionTiming.enabled', true)
+        mockConfig.set('submissionTiming.minimumTime', 5)
+        mockConfig.set('submissionTiming.maximumAge', 3600)
+        staticman.siteConfig = mockConfig
+        staticman.options = {formTimestamp}
+
+        return staticman
+      }
+
+      afterEach(() => {
+        jest.restoreAllMocks()
+      })
+
+      test('accepts entries submitted within the allowed time of loading the form', async () => {
+        const FormTimestamp = require('./../../../lib/FormTimestamp')
+        const fields = mockHelpers.getFields()
+        const formTimestamp = FormTimestamp.create(mockParameters)
+        const now = Date.now()
+
+        jest.spyOn(Date, 'now').mockImplementation(() => now + 10000)
+
+        const staticman = await getStaticman(formTimestamp)
+
+        await expect(staticman._checkForSpam(fields)).resolves.toEqual(fields)
+      })
+
+      test('rejects entries submitted too quickly', async () => {
+        const FormTimestamp = require('./../../../lib/FormTimestamp')
+        const staticman = await getStaticman(FormTimestamp.create(mockParameters))
+
+        await expect(staticman._checkForSpam(mockHelpers.getFields())).rejects.toEqual({
+          _smErrorCode: 'SUBMITTED_TOO_QUICKLY'
+        })
+      })
+
+      test('rejects entries without a form timestamp', async () => {
+        const staticman = await getStaticman(undefined)
+
+        await expect(staticman._checkForSpam(mockHelpers.getFields())).rejects.toEqual({
+          _smErrorCode: 'FORM_TIMESTAMP_MISSING'
+        })
+      })
+
+      test('rejects form timestamps that are forged, expired or issued for another site', async () => {
+        const FormTimestamp = require('./../../../lib/FormTimestamp')
+        const formTimestamp = FormTimestamp.create(mockParameters)
+        const forgedPayload = Buffer.from(JSON.stringify({issuedAt: 0})).toString('base64')
+        const otherSiteTimestamp = FormTimestamp.create(Object.assign({}, mockParameters, {repository: 'another-repo'}))
+        const now = Date.now()
+
+        await expect((await getStaticman(`${forgedPayload}.${formTimestamp.split('.')[1]}`))._checkForSpam({}))
+          .rejects.toEqual({_smErrorCode: 'FORM_TIMESTAMP_INVALID'})
+        await expect((await getStaticman(otherSiteTimestamp))._checkForSpam({}))
+          .rejects.toEqual({_smErrorCode: 'FORM_TIMESTAMP_INVALID'})
+
+        jest.spyOn(Date, 'now').mockImplementation(() => now + 3601000)
+
+        await expect((await getStaticman(formTimestamp))._checkForSpam({}))
+          .rejects.toEqual({_smErrorCode: 'FORM_TIMESTAMP_INVALID'})
+      })
+    })
+    describe('spam checks', () => {
+      const spamFields = () => Object.assign(mockHelpers.getFields(), {
+        message: 'CHEAP PILLS AT http://one.example.com AND http://two.example.com AND http://three.example.com'
+      })
+
+      const getStaticman = async checks => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        mockConfig.set('spam.checks', checks)
+        staticman.siteConfig = mockConfig
+
+        return staticman
+      }
+
+      test('adds up the weighted scores of each check', async () => {
+        const staticman = await getStaticman({
+          blocklist: {words: ['pills'], weight: 2},
+          caps: {fields: ['message'], ratio: 0.2, weight: 0.5},
+          links: {max: 4}
+        })
+
+        mockConfig.set('spam.rejectionThreshold', 5)
+
+        const fields = spamFields()
+
+        await expect(staticman._checkForSpam(fields)).resolves.toBe(fields)
+        expect(staticman.spamReport).toEqual({
+          checks: [
+            {name: 'blocklist', score: 2, reason: 'Matches the blocklist: pills'},
+            {name: 'caps', score: 0.5, reason: '25% of the letters are capitals'},
+            {name: 'links', score: 0, reason: null}
+          ],
+          score: 2.5,
+          verdict: 'accept'
+        })
+      })
+
+      test('rejects entries that reach `rejectionThreshold`', async () => {
+        const staticman = await getStaticman({
+          blocklist: {words: ['pills'], weight: 2},
+          links: {max: 2, weight: 3}
+        })
+
+        mockConfig.set('spam.rejectionThreshold', 5)
+
+        await expect(staticman._checkForSpam(spamFields())).rejects.toEqual({
+          _smErrorCode: 'IS_SPAM'
+        })
+        expect(staticman.spamReport.verdict).toBe('reject')
+      })
+
+      test('flags entries that reach `moderationThreshold` for moderation', async () => {
+        const staticman = await getStaticman({
+          blocklist: {words: ['pills'], weight: 2}
+        })
+
+        mockConfig.set('spam.moderationThreshold', 1)
+        mockConfig.set('spam.rejectionThreshold', 5)
+
+        await staticman._checkForSpam(spamFields())
+
+        expect(staticman.spamReport.verdict).toBe('moderate')
+        expect(staticman._requiresModeration()).toBe(true)
+      })
+
+      test('scores filled in honeypot fields with a `honeypot` check, rather than rejecting the entry', async () => {
+        const staticman = await getStaticman({honeypot: {weight: 0.5}})
+        const fields = Object.assign(mockHelpers.getFields(), {website: 'http://spam.example.com'})
+
+        mockConfig.set('honeypot.fields', ['website'])
+
+        await expect(staticman._checkForSpam(fields)).resolves.toEqual(mockHelpers.getFields())
+        expect(staticman.spamReport.checks).toEqual([
+          {name: 'honeypot', score: 0.5, reason: 'Honeypot fields filled in: website'}
+        ])
+      })
+
+      test('runs checks from `SpamChecks` with their options and the context of the request', async () => {
+        const SpamChecks = require('./../../../lib/SpamChecks')
+        const mockCheck = jest.fn(() => Promise.resolve({score: 1, reason: 'Custom reason'}))
+
+        jest.spyOn(SpamChecks, 'get').mockImplementation(() => mockCheck)
+
+        const staticman = await getStaticman({custom: {weight: 3, some: 'option'}})
+        const fields = mockHelpers.getFields()
+
+        mockConfig.set('spam.rejectionThreshold', 0)
+        staticman.ip = '123.456.78.9'
+
+        await staticman._checkForSpam(fields)
+
+        expect(mockCheck.mock.calls[0][0]).toEqual(fields)
+        expect(mockCheck.mock.calls[0][1]).toEqual({weight: 3, some: 'option'})
+        expect(mockCheck.mock.calls[0][2]).toEqual(expect.objectContaining({
+          ip: '123.456.78.9',
+          siteConfig: mockConfig
+        }))
+        expect(staticman.spamReport.score).toBe(3)
+      })
+
+      test('runs checks loaded from a directory', async () => {
+        const SpamChecks = require('./../../../lib/SpamChecks')
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'staticman-spam-checks-'))
+
+        try {
+          fs.writeFileSync(
+            path.join(directory, 'shouting.js'),
+            'module.exports = fields => ({score: /!!!/.test(fields.message) ? 1 : 0, reason: "Shouting"})'
+          )
+          SpamChecks.loadDirectory(directory)
+        } finally {
+          execFileSync('rm', ['-rf', directory])
+        }
+
+        const staticman = await getStaticman({shouting: {weight: 2}})
+        const fields = Object.assign(mockHelpers.getFields(), {message: 'Buy now!!!'})
+
+        mockConfig.set('spam.rejectionThreshold', 5)
+
+        await staticman._checkForSpam(fields)
+
+        expect(staticman.spamReport.checks).toEqual([
+          {name: 'shouting', score: 2, reason: 'Shouting'}
+        ])
+      })
+
+      test('throws an error for unknown checks', async () => {
+        const staticman = await getStaticman({unknownCheck: {}})
+
+        await expect(staticman._checkForSpam(mockHelpers.getFields())).rejects.toEqual({
+          _smErrorCode: 'INVALID_SPAM_CHECK',
+          data: 'unknownCheck'
+        })
+      })
+
+      test('adds the score of each check to the pull request body', async () => {
+        const staticman = await getStaticman({
+          blocklist: {words: ['pills'], weight: 2},
+          links: {max: 4}
+        })
+        const fields = spamFields()
+
+        mockConfig.set('spam.moderationThreshold', 1)
+        mockConfig.set('spam.rejectionThreshold', 5)
+
+        await staticman._checkForSpam(fields)
+
+        const reviewBody = staticman._generateReviewBody(fields)
+
+        expect(reviewBody).toContain('**Spam score: 2** (flagged for moderation)')
+        expect(reviewBody).toContain('| blocklist  | 2     | Matches the blocklist: pills |')
+        expect(reviewBody).toContain('| links      | 0     |')
+      })
+
+      test('sends entries flagged for moderation as pull requests', async () => {
+        const staticman = await getStaticman({blocklist: {words: ['pills']}})
+
+        mockConfig.set('allowedFields', Object.keys(mockHelpers.getFields()))
+        mockConfig.set('moderation', false)
+        mockConfig.set('spam.moderationThreshold', 1)
+        mockConfig.set('spam.rejectionThreshold', 5)
+        staticman.git.writeFile = jest.fn(() => Promise.resolve())
+        staticman.git.writeFileAndSendReview = jest.fn(() => Promise.resolve())
+
+        await staticman.processEntry(spamFields(), {})
+
+        expect(staticman.git.writeFile).not.toHaveBeenCalled()
+        expect(staticman.git.writeFileAndSendReview).toHaveBeenCalledTimes(1)
+        expect(staticman.git.writeFileAndSendReview.mock.calls[0][4]).toContain('**Spam score: 1**')
+      })
+
+      test('adds the data sent to Akismet to the pull request body', async () => {
+        jest.mock('akismet', () => ({
+          client: () => ({checkSpam: (comment, callback) => callback(null, false)})
+        }))
+        jest.resetModules()
+
+        const staticman = await getStaticman({akismet: {}})
+        const fields = spamFields()
+
+        mockConfig.set('akismet.content', 'message')
+        staticman.setIp('123.456.78.9')
+        staticman.setUserAgent('Some browser')
+
+        await staticman._checkForSpam(fields)
+
+        // Transforms must not change the data reported back to Akismet.
+        const comment = JSON.stringify(Object.assign({}, staticman.akismetComment))
+        const reviewBody = staticman._generateReviewBody(Object.assign({}, fields, {message: 'Transformed'}))
+
+        expect(staticman.akismetComment).toEqual(expect.objectContaining({
+          comment_content: spamFields().message,
+          user_agent: 'Some browser',
+          user_ip: '123.456.78.9'
+        }))
+        expect(reviewBody).toContain(`<!--staticman_akismet:${comment}-->`)
+      })
+    })
+  })
 
   describe('authentication ', () => {
     beforeEach(() => {
@@ -854,6 +1684,200 @@ describe('Staticman interface', () => {
       })
     })
 
+    test('uses the field set in `frontmatter.contentField` as the body of frontmatter files', async () => {
+      const fields = mockHelpers.getFields()
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('format', 'frontmatter')
+      mockConfig.set('frontmatter.contentField', 'message')
+      mockConfig.set('transforms', {
+        message: ['trim']
+      })
+      staticman.siteConfig = mockConfig
+
+      let attributeFields = Object.assign({}, fields)
+      delete attributeFields.message
+
+      const parsedFile = frontMatter(await staticman._createFile(fields))
+
+      expect(parsedFile.attributes).toEqual(attributeFields)
+      expect(parsedFile.body.trim()).toBe(fields.message.trim())
+    })
+
+    test('renders the body of frontmatter files from Markdown if `frontmatter.markdown` is set', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('format', 'frontmatter')
+      mockConfig.set('frontmatter.contentField', 'message')
+      mockConfig.set('frontmatter.markdown', true)
+      staticman.siteConfig = mockConfig
+
+      const file = await staticman._createFile({name: 'John', message: 'Hello **world**<script></script>'})
+
+      expect(file).toBe('---\nname: John\n---\n<p>Hello <strong>world</strong></p>\n\n')
+    })
+
+    test('creates frontmatter files with TOML or JSON frontmatter', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const fields = {
+        name: 'John',
+        address: {city: 'Lisbon'},
+        message: 'Hello world'
+      }
+
+      mockConfig.set('format', 'frontmatter')
+      mockConfig.set('frontmatter.contentField', 'message')
+      mockConfig.set('frontmatter.language', 'toml')
+      staticman.siteConfig = mockConfig
+
+      expect(await staticman._createFile(fields)).toBe(
+        '+++\nname = "John"\n\n[address]\ncity = "Lisbon"\n+++\nHello world\n'
+      )
+
+      mockConfig.set('frontmatter.language', 'json')
+
+      expect(await staticman._createFile(fields)).toBe(
+        '{\n  "name": "John",\n  "address": {\n    "city": "Lisbon"\n  }\n}\n\nHello world\n'
+      )
+    })
+
+    test('creates a TOML file if `format` is set to `toml`', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const fields = {
+        name: 'John',
+        address: {city: 'Lisbon'}
+      }
+
+      mockConfig.set('format', 'toml')
+      staticman.siteConfig = mockConfig
+
+      const file = await staticman._createFile(fields)
+
+      expect(toml.parse(file)).toEqual(fields)
+    })
+
+    test('creates a JSON Lines file if `format` is set to `jsonl`', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('format', 'jsonl')
+      staticman.siteConfig = mockConfig
+
+      expect(await staticman._createFile({name: 'John'})).toBe('{"name":"John"}\n')
+      expect(await staticman._createFile([{name: 'John'}, {name: 'Jane'}])).toBe(
+        '{"name":"John"}\n{"name":"Jane"}\n'
+      )
+    })
+
+    test('creates a CSV file with columns for the id, allowed fields and generated fields if `format` is set to `csv`', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('format', 'csv')
+      mockConfig.set('allowedFields', ['name', 'address.city', 'tags[]', 'message'])
+      mockConfig.set('generatedFields', {date: {type: 'date'}})
+      staticman.siteConfig = mockConfig
+
+      const file = await staticman._createFile({
+        _id: '1',
+        _parent: 'post',
+        name: 'John',
+        address: {city: 'Lisbon'},
+        tags: ['news', 'tech'],
+        message: 'Hello, "world"',
+        date: '2019-01-31T12:00:00.000Z'
+      })
+
+      expect(file).toBe(
+        '_id,name,address.city,tags[],message,date,_parent\n' +
+        '1,John,Lisbon,"news, tech","Hello, ""world""",2019-01-31T12:00:00.000Z,post\n'
+      )
+    })
+
+    test('keeps the columns of existing rows when creating a CSV file', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('format', 'csv')
+      mockConfig.set('allowedFields', ['name'])
+      mockConfig.set('generatedFields', {})
+      staticman.siteConfig = mockConfig
+
+      const file = await staticman._createFile([
+        {_id: '1', name: 'John', company: 'ACME'},
+        {_id: '2', name: 'Jane'}
+      ])
+
+      expect(file).toBe('_id,name,company\n1,John,ACME\n2,Jane,\n')
+    })
+
+    test('creates a Markdown file with TOML frontmatter if `format` is set to `frontmatter-toml`', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('format', 'frontmatter-toml')
+      mockConfig.set('frontmatter.contentField', 'message')
+      staticman.siteConfig = mockConfig
+
+      expect(await staticman._createFile({name: 'John', message: 'Hello world'})).toBe(
+        '+++\nname = "John"\n+++\nHello world\n'
+      )
+    })
+
+    test('reads the attributes of entries back from their frontmatter, in any language', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const entry = {_id: staticman.uid, key: '3b241101-e2bb-4255-8caf-4136c566a962', name: 'John', message: 'Hello world'}
+
+      mockConfig.set('format', 'frontmatter')
+      mockConfig.set('frontmatter.contentField', 'message')
+      staticman.siteConfig = mockConfig
+
+      for (const language of ['yaml', 'toml', 'json']) {
+        mockConfig.set('frontmatter.language', language)
+
+        const file = await staticman._createFile(entry)
+
+        staticman.git.readFile = jest.fn(() => Promise.resolve(file))
+
+        expect(await staticman._readEntry('_data/comments/entry.md')).toEqual({
+          _id: entry._id,
+          key: entry.key,
+          name: entry.name
+        })
+      }
+    })
+
+    test('keeps content fields in object form in the frontmatter, where they are read back', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const entry = {
+        _id: staticman.uid,
+        key: '3b241101-e2bb-4255-8caf-4136c566a962',
+        name: 'John',
+        message: {text: 'Hello world', language: 'en'}
+      }
+
+      mockConfig.set('format', 'frontmatter')
+      mockConfig.set('transforms', {message: 'frontmatterContent'})
+      staticman.siteConfig = mockConfig
+
+      for (const language of ['yaml', 'toml', 'json']) {
+        mockConfig.set('frontmatter.language', language)
+
+        const file = await staticman._createFile(entry)
+
+        staticman.git.readFile = jest.fn(() => Promise.resolve(file))
+
+        expect(file).not.toMatch('[object Object]')
+        expect(await staticman._readEntry('_data/comments/entry.md')).toEqual(entry)
+      }
+    })
+
     test(
       'throws an error if `format` is set to `frontmatter` but there is no `frontmatterContent` transform defined',
       async () => {
@@ -904,6 +1928,23 @@ describe('Staticman interface', () => {
       expect(pullRequestBody).toBe(mockConfig.get('pullRequestBody') + fieldsTable)
     })
 
+    test('lists nested fields by their paths', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('notifications.enabled', false)
+      staticman.siteConfig = mockConfig
+
+      const pullRequestBody = staticman._generateReviewBody({
+        address: {city: 'Lisbon'},
+        tags: ['news', 'tech']
+      })
+
+      expect(pullRequestBody).toContain('| address.city | Lisbon  |')
+      expect(pullRequestBody).toContain('| tags[]       | news    |')
+      expect(pullRequestBody).toContain('| tags[]       | tech    |')
+    })
+
     test('adds an HTML comment containing notification settings if `notifications.enabled` is set to `true`', async () => {
       const req = mockHelpers.getMockRequest()
       const configObject = {
@@ -954,21 +1995,39 @@ describe('Staticman interface', () => {
       expect(filePath).toBe(`${directory}/${staticman.uid}.json`)
     })
 
-    test('uses the config value of `filename`, if defined, as the file name', async () => {
-      const fields = mockHelpers.getFields()
-      const directory = 'some/directory'
-      const name = 'my-file'
+    test('throws an error if `filename` is not set in the `append` storage mode', async () => {
       const Staticman = require('./../../../lib/Staticman')
       const staticman = await new Staticman(mockParameters)
 
-      mockConfig.set('filename', name)
+      mockConfig.set('filename', '')
       mockConfig.set('format', 'json')
-      mockConfig.set('path', directory)
+      mockConfig.set('storage', 'append')
       staticman.siteConfig = mockConfig
 
-      const filePath = staticman._getNewFilePath(fields)
+      expect.assertions(1)
 
-      expect(filePath).toBe(`${directory}/${name}.json`)
+      try {
+        staticman._getNewFilePath(mockHelpers.getFields())
+      } catch (err) {
+        expect(err._smErrorCode).toBe('MISSING_APPEND_FILENAME')
+      }
+    })
+
+    test('uses the config value of `filename`, if defined, as the file name', async () => {
+      const fields = mockHelpers.getFields()
+      const directory = 'some/directory'
+      const name = 'my-file'
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('filename', name)
+      mockConfig.set('format', 'json')
+      mockConfig.set('path', directory)
+      staticman.siteConfig = mockConfig
+
+      const filePath = staticman._getNewFilePath(fields)
+
+      expect(filePath).toBe(`${directory}/${name}.json`)
     })
 
     test('uses the config value of `extension`, if defined, as the file extension', async () => {
@@ -1040,6 +2099,91 @@ describe('Staticman interface', () => {
       expect(filePath).toBe(`${processedDirectory}/${processedName}.json`)
     })
 
+    describe('rejects paths that leave the configured directory', () => {
+      const getFilePath = async (options, {path = '_data/comments/{options.slug}', filename = '{@id}'} = {}) => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        mockConfig.set('filename', filename)
+        mockConfig.set('format', 'json')
+        mockConfig.set('path', path)
+
+        staticman.options = options
+        staticman.siteConfig = mockConfig
+
+        return staticman._getNewFilePath(mockHelpers.getFields())
+      }
+
+      test('with `..` segments', async () => {
+        expect.assertions(2)
+
+        try {
+          await getFilePath({slug: '../../_layouts'})
+        } catch (err) {
+          expect(err._smErrorCode).toBe('INVALID_PATH')
+          expect(err.data).toBe('_data/comments/../../_layouts')
+        }
+      })
+
+      test('with `..` segments in the filename', async () => {
+        expect.assertions(1)
+
+        try {
+          await getFilePath({slug: '../../_includes/head'}, {path: '_data/comments', filename: '{options.slug}'})
+        } catch (err) {
+          expect(err._smErrorCode).toBe('INVALID_PATH')
+        }
+      })
+
+      test('with absolute paths', async () => {
+        expect.assertions(1)
+
+        try {
+          await getFilePath({slug: '/etc/staticman'}, {path: '{options.slug}'})
+        } catch (err) {
+          expect(err._smErrorCode).toBe('INVALID_PATH')
+        }
+      })
+
+      test('with encoded separators', async () => {
+        const slugs = ['..%2F..%2F_layouts', '..%2f_layouts', '..%5C_layouts', '%2E%2E/_layouts', '..%252F_layouts', '..\\_layouts']
+
+        expect.assertions(slugs.length)
+
+        for (const slug of slugs) {
+          try {
+            await getFilePath({slug})
+          } catch (err) {
+            expect(err._smErrorCode).toBe('INVALID_PATH')
+          }
+        }
+      })
+
+      test('with control characters', async () => {
+        expect.assertions(1)
+
+        try {
+          await getFilePath({slug: 'post\u0000.html'})
+        } catch (err) {
+          expect(err._smErrorCode).toBe('INVALID_PATH')
+        }
+      })
+
+      test('but allows paths that stay within it, normalised', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        await expect(getFilePath({slug: 'posts/../my-post'}, {filename: 'entry'}))
+          .resolves.toBe('_data/comments/my-post/entry.json')
+        await expect(getFilePath({slug: './my-post//'}, {filename: 'entry'}))
+          .resolves.toBe('_data/comments/my-post/entry.json')
+        await expect(getFilePath({slug: 'my-post'}, {path: '{options.slug}/comments', filename: 'entry'}))
+          .resolves.toBe('my-post/comments/entry.json')
+
+        expect(staticman._checkPath('_data/comments', '_data/comments')).toBe('_data/comments')
+      })
+    })
+
     test('gets the correct extension for each supported format', async () => {
       const Staticman = require('./../../../lib/Staticman')
       const staticman = await new Staticman(mockParameters)
@@ -1048,11 +2192,19 @@ describe('Staticman interface', () => {
       const extension2 = staticman._getExtensionForFormat('yaml')
       const extension3 = staticman._getExtensionForFormat('yml')
       const extension4 = staticman._getExtensionForFormat('frontmatter')
+      const extension5 = staticman._getExtensionForFormat('toml')
+      const extension6 = staticman._getExtensionForFormat('frontmatter-toml')
+      const extension7 = staticman._getExtensionForFormat('csv')
+      const extension8 = staticman._getExtensionForFormat('jsonl')
 
       expect(extension1).toBe('json')
       expect(extension2).toBe('yml')
       expect(extension3).toBe('yml')
       expect(extension4).toBe('md')
+      expect(extension5).toBe('toml')
+      expect(extension6).toBe('md')
+      expect(extension7).toBe('csv')
+      expect(extension8).toBe('jsonl')
     })
   })
 
@@ -1135,6 +2287,87 @@ describe('Staticman interface', () => {
 
       expect(staticman._resolvePlaceholders(subject, data)).toBe(subjectReplaced)
     })
+
+    test('applies the filters that follow a placeholder, in order', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      const data = {
+        fields: {
+          name: '  Eduardo Bouças Is Here  '
+        }
+      }
+
+      expect(staticman._resolvePlaceholders('{fields.name | slugify | truncate:11}', data)).toBe('eduardo-bou')
+      expect(staticman._resolvePlaceholders('{fields.name|trim|upcase}', data)).toBe('EDUARDO BOUÇAS IS HERE')
+      expect(staticman._resolvePlaceholders('{fields.name | trim | downcase}', data)).toBe('eduardo bouças is here')
+    })
+
+    test('uses the argument of a `default` filter when the placeholder is empty', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      const data = {
+        options: {
+          slug: 'my-post'
+        }
+      }
+
+      expect(staticman._resolvePlaceholders("comments/{options.slug | default:'misc'}", data)).toBe('comments/my-post')
+      expect(staticman._resolvePlaceholders("comments/{options.category | default:'misc'}", data)).toBe('comments/misc')
+      expect(staticman._resolvePlaceholders('{options.category | default:"a|b"}', data)).toBe('a|b')
+      expect(staticman._resolvePlaceholders('{options.category | default:none}', data)).toBe('none')
+    })
+
+    test('keeps falsy values other than `null` and `undefined`', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      expect(staticman._resolvePlaceholders('page-{page}', {page: 0})).toBe('page-0')
+    })
+
+    test('throws an error if a placeholder uses an unknown filter', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      expect.assertions(2)
+
+      try {
+        staticman._resolvePlaceholders('{name | reverse}', {name: 'Eduardo'})
+      } catch (err) {
+        expect(err._smErrorCode).toBe('INVALID_PLACEHOLDER_FILTER')
+        expect(err.data).toBe('reverse')
+      }
+    })
+
+    test('throws an error if a placeholder is empty and `strictPlaceholders` is set', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('strictPlaceholders', true)
+      staticman.siteConfig = mockConfig
+
+      expect.assertions(3)
+
+      expect(staticman._resolvePlaceholders("{options.slug | default:'misc'}", {options: {}})).toBe('misc')
+
+      try {
+        staticman._resolvePlaceholders('comments/{options.slug}', {options: {}})
+      } catch (err) {
+        expect(err._smErrorCode).toBe('MISSING_PLACEHOLDER_VALUE')
+        expect(err.data).toBe('{options.slug}')
+      }
+    })
+
+    test('leaves empty placeholders empty if `strictPlaceholders` is not set', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('strictPlaceholders', false)
+      staticman.siteConfig = mockConfig
+
+      expect(staticman._resolvePlaceholders('comments/{options.slug}', {options: {}})).toBe('comments/')
+    })
   })
 
   describe('`_validateConfig`', () => {
@@ -1161,6 +2394,22 @@ describe('Staticman interface', () => {
       })
     })
 
+    test('throws an error if `fieldRules` contains an unknown rule', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const config = {
+        allowedFields: ['name', 'email'],
+        branch: 'master',
+        fieldRules: {
+          email: {format: 'email'}
+        },
+        format: 'json',
+        path: 'some/path'
+      }
+
+      expect(() => staticman._validateConfig(config)).toThrowError('Unknown rule `format` for field `email`')
+    })
+
     test('creates a SiteConfig object and assigns it to the Staticman instance', async () => {
       const Staticman = require('./../../../lib/Staticman')
       const staticman = await new Staticman(mockParameters)
@@ -1239,6 +2488,193 @@ describe('Staticman interface', () => {
         data: ['someField1', 'someField2']
       })
     })
+
+    test('accepts nested and list fields whose paths are allowed, trimming their values', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const payload = Object.assign(mockHelpers.getFields(), {
+        address: {city: ' Lisbon ', country: 'Portugal'},
+        tags: ['news ', 'tech']
+      })
+
+      mockConfig.set('allowedFields', Object.keys(mockHelpers.getFields()).concat('address', 'tags[]'))
+      mockConfig.set('requiredFields', ['name', 'address.city', 'tags[]'])
+
+      staticman.siteConfig = mockConfig
+
+      expect(staticman._validateFields(payload)).toBe(null)
+      expect(payload.address).toEqual({city: 'Lisbon', country: 'Portugal'})
+      expect(payload.tags).toEqual(['news', 'tech'])
+    })
+
+    test('reports the paths of nested fields that are not allowed or are missing', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const payload = Object.assign(mockHelpers.getFields(), {
+        address: {city: 'Lisbon', street: 'Rua Augusta'}
+      })
+
+      mockConfig.set('allowedFields', Object.keys(mockHelpers.getFields()).concat('address.city', 'address.country'))
+
+      staticman.siteConfig = mockConfig
+
+      expect(staticman._validateFields(payload)).toEqual({
+        _smErrorCode: 'INVALID_FIELDS',
+        data: ['address.street']
+      })
+
+      delete payload.address.street
+      mockConfig.set('requiredFields', ['address.country', 'tags[]'])
+
+      expect(staticman._validateFields(payload)).toEqual({
+        _smErrorCode: 'MISSING_REQUIRED_FIELDS',
+        data: ['address.country', 'tags[]']
+      })
+    })
+
+    test('throws an error listing each field whose value breaks a rule in `fieldRules`', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const payload = Object.assign(mockHelpers.getFields(), {
+        email: 'not-an-email',
+        rating: '7'
+      })
+
+      mockConfig.set('allowedFields', Object.keys(payload))
+      mockConfig.set('fieldRules', {
+        email: {type: 'email'},
+        message: {maxLength: 1000},
+        rating: {type: 'number', min: 1, max: 5},
+        url: {type: 'url'}
+      })
+
+      staticman.siteConfig = mockConfig
+
+      expect(staticman._validateFields(payload)).toEqual({
+        _smErrorCode: 'INVALID_FIELD_VALUES',
+        data: [
+          {field: 'email', rule: 'type', expected: 'email'},
+          {field: 'rating', rule: 'max', expected: 5}
+        ]
+      })
+    })
+
+    test('does not check rules for fields that are absent or empty', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const payload = Object.assign(mockHelpers.getFields(), {
+        website: ''
+      })
+
+      mockConfig.set('allowedFields', Object.keys(payload))
+      mockConfig.set('fieldRules', {
+        rating: {type: 'number'},
+        website: {type: 'url'}
+      })
+
+      staticman.siteConfig = mockConfig
+
+      expect(staticman._validateFields(payload)).toBe(null)
+    })
+  })
+
+  describe('appending entries (`_changeEntries`)', () => {
+    test('commits the changed list of entries in the site format', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('format', 'json')
+      mockConfig.set('storage', 'append')
+      staticman.siteConfig = mockConfig
+      staticman.git = {
+        changeFile: jest.fn((filePath, change) => change([{_id: '1'}]))
+      }
+
+      const data = await staticman._changeEntries(
+        'comments/my-post.json',
+        entries => entries.concat({_id: '2'}),
+        'New comment'
+      )
+
+      expect(JSON.parse(data)).toEqual([{_id: '1'}, {_id: '2'}])
+      expect(staticman.git.changeFile.mock.calls[0][0]).toBe('comments/my-post.json')
+      expect(staticman.git.changeFile.mock.calls[0][2]).toBe(mockParameters.branch)
+      expect(staticman.git.changeFile.mock.calls[0][3]).toBe('New comment')
+    })
+
+    test('starts a new list if the file does not exist or is empty', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('format', 'yml')
+      staticman.siteConfig = mockConfig
+      staticman.git = {
+        changeFile: jest.fn((filePath, change) => {
+          return Promise.all([change(undefined), change(null)])
+        })
+      }
+
+      const files = await staticman._changeEntries('comments/my-post.yml', entries => entries.concat({_id: '1'}))
+
+      expect(files.map(file => yaml.safeLoad(file))).toEqual([[{_id: '1'}], [{_id: '1'}]])
+    })
+
+    test('sends the change for review when moderation is enabled', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('format', 'json')
+      mockConfig.set('moderation', true)
+      staticman.siteConfig = mockConfig
+      staticman.git = {
+        changeFileAndSendReview: jest.fn(() => Promise.resolve())
+      }
+
+      await staticman._changeEntries('comments/my-post.json', entries => entries, 'New comment', 'staticman_1', 'Body')
+
+      expect(staticman.git.changeFileAndSendReview.mock.calls[0]).toEqual([
+        'comments/my-post.json',
+        expect.any(Function),
+        'staticman_1',
+        'New comment',
+        'Body'
+      ])
+    })
+
+    test('throws an error if the format cannot hold a list of entries', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('format', 'frontmatter')
+      staticman.siteConfig = mockConfig
+
+      expect.assertions(1)
+
+      try {
+        await staticman._changeEntries('comments/my-post.md', entries => entries)
+      } catch (err) {
+        expect(err._smErrorCode).toBe('INVALID_APPEND_FORMAT')
+      }
+    })
+
+    test('throws an error if the existing file does not contain a list', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('format', 'json')
+      staticman.siteConfig = mockConfig
+      staticman.git = {
+        changeFile: jest.fn((filePath, change) => change({comments: []}))
+      }
+
+      expect.assertions(1)
+
+      try {
+        await staticman._changeEntries('comments/my-post.json', entries => entries)
+      } catch (err) {
+        expect(err._smErrorCode).toBe('INVALID_APPEND_FILE')
+      }
+    })
   })
 
   describe('`getSiteConfig()`', () => {
@@ -1360,44 +2796,328 @@ describe('Staticman interface', () => {
         expect(config.getProperties()).toEqual(mockConfig.getProperties())
       })
     })
-  })
 
-  describe('`processEntry()`', () => {
-    test('gets site config and checks for spam, throwing an error if found', async () => {
+    test('falls back to `staticman.toml` if the default config file cannot be read', async () => {
       const Staticman = require('./../../../lib/Staticman')
       const staticman = await new Staticman(mockParameters)
+      const tomlConfig = toml.stringify(mockHelpers.getParsedConfig())
 
-      staticman.getSiteConfig = jest.fn(() => {
-        staticman.siteConfig = mockConfig
+      staticman.setConfigPath()
+      staticman.git = {
+        readFile: jest.fn(file => {
+          if (file === 'staticman.toml') {
+            return Promise.resolve(toml.parse(tomlConfig))
+          }
 
-        return Promise.resolve(mockConfig)
-      })
+          return Promise.reject(errorHandler('GITHUB_READING_FILE'))
+        })
+      }
 
-      staticman._checkForSpam = jest.fn(fields => {
-        return Promise.reject(errorHandler('IS_SPAM'))
-      })
+      const config = await staticman.getSiteConfig()
 
-      return staticman.processEntry(
-        mockHelpers.getFields(),
-        {}
-      ).catch(err => {
-        expect(err).toEqual({
-          _smErrorCode: 'IS_SPAM'
-        })
-      })
+      expect(staticman.git.readFile.mock.calls.map(call => call[0])).toEqual(['staticman.yml', 'staticman.toml'])
+      expect(config.get('branch')).toBe(mockConfig.get('branch'))
+      expect(config.get('allowedFields')).toEqual(mockConfig.get('allowedFields'))
     })
 
-    test('validates fields, throwing an error if validation fails', async () => {
+    test('does not fall back to `staticman.toml` if the default config file is malformed', async () => {
       const Staticman = require('./../../../lib/Staticman')
       const staticman = await new Staticman(mockParameters)
-      const fields = mockHelpers.getFields()
 
-      mockConfig.set('allowedFields', Object.keys(fields))
+      staticman.setConfigPath()
+      staticman.git = {
+        readFile: jest.fn(() => Promise.reject(errorHandler('PARSING_ERROR')))
+      }
 
-      fields.someField1 = 'Some value'
+      expect.assertions(2)
 
-      staticman._checkForSpam = () => Promise.resolve(fields)
-      staticman.siteConfig = mockConfig
+      try {
+        await staticman.getSiteConfig()
+      } catch (err) {
+        expect(err._smErrorCode).toBe('PARSING_ERROR')
+        expect(staticman.git.readFile).toHaveBeenCalledTimes(1)
+      }
+    })
+  })
+
+  describe('trusted authors (`moderation: "trusted"`)', () => {
+    const md5 = require('md5')
+    const emailHash = md5(mockHelpers.getFields().email)
+
+    const getStaticman = async (files = {}) => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('allowedFields', Object.keys(mockHelpers.getFields()))
+      mockConfig.set('moderation', 'trusted')
+      mockConfig.set('notifications.enabled', false)
+      mockConfig.set('trustedAuthors.allowlist', '_data/trusted.yml')
+      staticman.siteConfig = mockConfig
+      staticman.git.readFile = jest.fn(filePath => {
+        return files[filePath] === undefined
+          ? Promise.reject(new Error('Not found'))
+          : Promise.resolve(files[filePath])
+      })
+      staticman.git.writeFile = jest.fn(() => Promise.resolve())
+      staticman.git.writeFileAndSendReview = jest.fn(() => Promise.resolve())
+
+      return staticman
+    }
+
+    test('accepts the `"trusted"` moderation mode in the site config', () => {
+      const siteConfig = mockHelpers.getConfig()
+
+      siteConfig.set('moderation', 'trusted')
+      expect(siteConfig.get('moderation')).toBe('trusted')
+
+      siteConfig.set('moderation', 'maybe')
+      expect(() => siteConfig.validate()).toThrow('must be `true`, `false` or "trusted"')
+    })
+
+    test('commits entries by authors whose hashed email is in the allowlist straight to the branch', async () => {
+      const staticman = await getStaticman({
+        '_data/trusted.yml': {emails: [emailHash.toUpperCase()]}
+      })
+
+      await staticman.processEntry(mockHelpers.getFields(), {})
+
+      expect(staticman.git.readFile.mock.calls[0][0]).toBe('_data/trusted.yml')
+      expect(staticman.git.writeFile).toHaveBeenCalledTimes(1)
+      expect(staticman.git.writeFileAndSendReview).not.toHaveBeenCalled()
+    })
+
+    test('sends entries by other authors for review', async () => {
+      const staticman = await getStaticman({
+        '_data/trusted.yml': {emails: [md5('someone@example.com')], usernames: ['johndoe']}
+      })
+
+      await staticman.processEntry(mockHelpers.getFields(), {})
+
+      expect(staticman.git.writeFile).not.toHaveBeenCalled()
+      expect(staticman.git.writeFileAndSendReview).toHaveBeenCalledTimes(1)
+    })
+
+    test('sends entries for review if the allowlist can\'t be read', async () => {
+      const staticman = await getStaticman()
+
+      await staticman.processEntry(mockHelpers.getFields(), {})
+
+      expect(staticman.git.writeFileAndSendReview).toHaveBeenCalledTimes(1)
+    })
+
+    test('still sends entries flagged by the spam checks for review', async () => {
+      const staticman = await getStaticman({
+        '_data/trusted.yml': {emails: [emailHash]}
+      })
+
+      mockConfig.set('spam.checks', {blocklist: {words: ['pills']}})
+      mockConfig.set('spam.moderationThreshold', 1)
+      mockConfig.set('spam.rejectionThreshold', 5)
+
+      await staticman.processEntry(Object.assign(mockHelpers.getFields(), {message: 'Cheap pills'}), {})
+
+      expect(staticman.isTrustedAuthor).toBe(true)
+      expect(staticman.git.writeFileAndSendReview).toHaveBeenCalledTimes(1)
+    })
+
+    test('adds the author to the pull request body if merged entries are counted', async () => {
+      const staticman = await getStaticman()
+
+      mockConfig.set('trustedAuthors.minimumEntries', 3)
+      staticman.setConfigPath(mockHelpers.getConfigObject())
+
+      await staticman.processEntry(mockHelpers.getFields(), {})
+
+      const authorPayload = {
+        author: {email: emailHash, username: null},
+        configPath: staticman.configPath,
+        parameters: mockParameters
+      }
+
+      expect(staticman.git.writeFileAndSendReview.mock.calls[0][4])
+        .toContain(`<!--staticman_author:${JSON.stringify(authorPayload)}-->`)
+    })
+
+    test('counts merged entries towards trusting their author', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      staticman.siteConfig = mockConfig
+      staticman.git.readFile = jest.fn(() => Promise.reject(new Error('Not found')))
+      staticman.git.changeFile = jest.fn(() => Promise.resolve())
+
+      await staticman.recordMergedEntry({email: emailHash, username: null}, 12)
+
+      expect(staticman.git.changeFile).toHaveBeenCalledTimes(1)
+      expect(staticman.git.changeFile.mock.calls[0][0]).toBe(`_staticman/authors/emails/${emailHash}.json`)
+      expect(staticman.git.changeFile.mock.calls[0][1]()).toBe('{"reviews":[12]}\n')
+      expect(staticman.git.changeFile.mock.calls[0][2]).toBe(mockParameters.branch)
+    })
+  })
+
+  describe('moderation rules (`moderationRules`)', () => {
+    const md5 = require('md5')
+
+    const getStaticman = async (moderationRules, moderation = true) => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      mockConfig.set('allowedFields', Object.keys(mockHelpers.getFields()))
+      mockConfig.set('moderation', moderation)
+      mockConfig.set('moderationRules', moderationRules)
+      mockConfig.set('notifications.enabled', false)
+      staticman.siteConfig = mockConfig
+      staticman.git.writeFile = jest.fn(() => Promise.resolve())
+      staticman.git.writeFileAndSendReview = jest.fn(() => Promise.resolve())
+
+      return staticman
+    }
+
+    test('commits entries straight to the branch with the `commit` action', async () => {
+      const staticman = await getStaticman([
+        {when: {authenticated: true}, action: 'review'},
+        {action: 'commit'}
+      ])
+
+      await staticman.processEntry(mockHelpers.getFields(), {})
+
+      expect(staticman.git.writeFile).toHaveBeenCalledTimes(1)
+      expect(staticman.git.writeFileAndSendReview).not.toHaveBeenCalled()
+    })
+
+    test('sends entries for review with the `review` action', async () => {
+      const staticman = await getStaticman([
+        {when: {fields: {message: 'https?://'}}, action: 'review'}
+      ], false)
+      const fields = Object.assign(mockHelpers.getFields(), {message: 'See https://example.com'})
+
+      await staticman.processEntry(fields, {})
+
+      expect(staticman.git.writeFile).not.toHaveBeenCalled()
+      expect(staticman.git.writeFileAndSendReview).toHaveBeenCalledTimes(1)
+    })
+
+    test('rejects entries with the `reject` action', async () => {
+      const staticman = await getStaticman([
+        {when: {fields: {name: '^eduardo'}}, action: 'reject'}
+      ])
+
+      await expect(staticman.processEntry(mockHelpers.getFields(), {}))
+        .rejects.toEqual(expect.objectContaining({_smErrorCode: 'REJECTED_BY_MODERATION_RULE'}))
+      expect(staticman.git.writeFile).not.toHaveBeenCalled()
+      expect(staticman.git.writeFileAndSendReview).not.toHaveBeenCalled()
+    })
+
+    test('matches the processed fields and the path of the entry file', async () => {
+      const fields = mockHelpers.getFields()
+      const staticman = await getStaticman([
+        {when: {fields: {email: `^${md5(fields.email)}$`}, path: '_data/comments/**/entry*.yml'}, action: 'commit'}
+      ])
+
+      mockConfig.set('transforms', {email: 'md5'})
+
+      await staticman.processEntry(fields, {})
+
+      expect(staticman.git.writeFile).toHaveBeenCalledTimes(1)
+      expect(staticman.git.writeFile.mock.calls[0][0]).toBe(staticman._getNewFilePath(fields))
+    })
+
+    test('sends entries flagged by the spam checks for review, even if a `commit` rule applies', async () => {
+      const staticman = await getStaticman([
+        {action: 'commit'}
+      ], false)
+
+      mockConfig.set('spam.checks', {blocklist: {words: ['pills'], weight: 2}})
+      mockConfig.set('spam.moderationThreshold', 1)
+      mockConfig.set('spam.rejectionThreshold', 5)
+
+      await staticman.processEntry(Object.assign(mockHelpers.getFields(), {message: 'Cheap pills'}), {})
+
+      expect(staticman.moderationAction).toBe('commit')
+      expect(staticman.git.writeFile).not.toHaveBeenCalled()
+      expect(staticman.git.writeFileAndSendReview).toHaveBeenCalledTimes(1)
+    })
+
+    test('follows `moderation` if no rule applies', async () => {
+      const staticman = await getStaticman([
+        {when: {minSpamScore: 1}, action: 'reject'}
+      ])
+
+      await staticman.processEntry(mockHelpers.getFields(), {})
+
+      expect(staticman.moderationAction).toBe(null)
+      expect(staticman.git.writeFileAndSendReview).toHaveBeenCalledTimes(1)
+    })
+
+    test('applies to edited entries', async () => {
+      const staticman = await getStaticman([
+        {when: {fields: {message: 'https?://'}}, action: 'reject'}
+      ], false)
+      const filePath = '_data/comments/1234.yml'
+
+      mockConfig.set('editing.enabled', true)
+      staticman._getEditTokenData = () => Promise.resolve({id: '1234', issuedAt: Date.now(), path: filePath})
+      staticman._readEntry = () => Promise.resolve({_id: '1234'})
+      staticman.git.updateFile = jest.fn(() => Promise.resolve())
+
+      await expect(staticman.processEdit('some-token', Object.assign(mockHelpers.getFields(), {
+        message: 'See https://example.com'
+      }), {})).rejects.toEqual(expect.objectContaining({_smErrorCode: 'REJECTED_BY_MODERATION_RULE'}))
+      expect(staticman.git.updateFile).not.toHaveBeenCalled()
+    })
+
+    test('throws an error if the site config has an invalid rule', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const config = {
+        allowedFields: ['name', 'email'],
+        branch: 'master',
+        format: 'json',
+        moderationRules: [{action: 'publish'}],
+        path: 'some/path'
+      }
+
+      expect(() => staticman._validateConfig(config))
+        .toThrowError('Invalid `action` in moderation rule 1, which must be one of commit, review, reject')
+    })
+  })
+
+  describe('`processEntry()`', () => {
+    test('gets site config and checks for spam, throwing an error if found', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+
+      staticman.getSiteConfig = jest.fn(() => {
+        staticman.siteConfig = mockConfig
+
+        return Promise.resolve(mockConfig)
+      })
+
+      staticman._checkForSpam = jest.fn(fields => {
+        return Promise.reject(errorHandler('IS_SPAM'))
+      })
+
+      return staticman.processEntry(
+        mockHelpers.getFields(),
+        {}
+      ).catch(err => {
+        expect(err).toEqual({
+          _smErrorCode: 'IS_SPAM'
+        })
+      })
+    })
+
+    test('validates fields, throwing an error if validation fails', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const fields = mockHelpers.getFields()
+
+      mockConfig.set('allowedFields', Object.keys(fields))
+
+      fields.someField1 = 'Some value'
+
+      staticman._checkForSpam = () => Promise.resolve(fields)
+      staticman.siteConfig = mockConfig
 
       return staticman.processEntry(
         mockHelpers.getFields(),
@@ -1629,6 +3349,648 @@ describe('Staticman interface', () => {
       })
     })
 
+    test('keeps the structure of nested and list fields in the generated file', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const fields = Object.assign(mockHelpers.getFields(), {
+        address: {city: 'Lisbon', country: 'Portugal'},
+        tags: ['news', 'tech']
+      })
+
+      mockConfig.set('allowedFields', Object.keys(mockHelpers.getFields()).concat('address.city', 'address.country', 'tags[]'))
+      mockConfig.set('format', 'yaml')
+      mockConfig.set('moderation', false)
+
+      staticman.siteConfig = mockConfig
+      staticman._checkForSpam = () => Promise.resolve(fields)
+      staticman.git.writeFile = jest.fn(() => Promise.resolve())
+
+      await staticman.processEntry(fields, {})
+
+      const entry = yaml.safeLoad(staticman.git.writeFile.mock.calls[0][1])
+
+      expect(entry.address).toEqual({city: 'Lisbon', country: 'Portugal'})
+      expect(entry.tags).toEqual(['news', 'tech'])
+    })
+
+    test('commits uploaded files together with the entry', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const fields = mockHelpers.getFields()
+
+      mockConfig.set('allowedFields', Object.keys(fields).concat('photo'))
+      mockConfig.set('moderation', false)
+      mockConfig.set('uploads.enabled', true)
+
+      staticman.siteConfig = mockConfig
+      staticman._checkForSpam = () => Promise.resolve(fields)
+      staticman.git.writeFiles = jest.fn(() => Promise.resolve())
+      staticman.setUploads([{
+        buffer: Buffer.from('some image data'),
+        fieldname: 'fields[photo]',
+        mimetype: 'image/png',
+        originalname: 'photo.png',
+        size: 15
+      }])
+
+      const response = await staticman.processEntry(fields, {})
+      const [files, branch] = staticman.git.writeFiles.mock.calls[0]
+
+      expect(response.fields.photo).toBe(files[1].path)
+      expect(files[0].path).toBe(staticman._getNewFilePath(fields))
+      expect(files[0].content).toBe(await staticman._createFile(staticman._applyInternalFields(fields)))
+      expect(files[1].content).toEqual(Buffer.from('some image data'))
+      expect(branch).toBe(mockParameters.branch)
+    })
+
+    test('sends uploaded files for review together with the entry if moderation is enabled', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const fields = mockHelpers.getFields()
+
+      mockConfig.set('allowedFields', Object.keys(fields).concat('photo'))
+      mockConfig.set('moderation', true)
+      mockConfig.set('notifications.enabled', false)
+      mockConfig.set('uploads.enabled', true)
+
+      staticman.siteConfig = mockConfig
+      staticman._checkForSpam = () => Promise.resolve(fields)
+      staticman.git.writeFilesAndSendReview = jest.fn(() => Promise.resolve())
+      staticman.setUploads([{
+        buffer: Buffer.from('some image data'),
+        fieldname: 'fields[photo]',
+        mimetype: 'image/png',
+        originalname: 'photo.png',
+        size: 15
+      }])
+
+      await staticman.processEntry(fields, {})
+
+      const [files, branch] = staticman.git.writeFilesAndSendReview.mock.calls[0]
+
+      expect(files.map(file => file.path)).toEqual([
+        staticman._getNewFilePath(fields),
+        fields.photo
+      ])
+      expect(branch).toBe(`staticman_${staticman.uid}`)
+    })
+
+    test('returns an edit token bound to the entry if editing is enabled', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const fields = mockHelpers.getFields()
+
+      mockConfig.set('allowedFields', Object.keys(fields))
+      mockConfig.set('editing.enabled', true)
+      mockConfig.set('moderation', false)
+
+      staticman.siteConfig = mockConfig
+      staticman._checkForSpam = () => Promise.resolve(fields)
+      staticman.git.writeFile = jest.fn(() => Promise.resolve())
+
+      const response = await staticman.processEntry(fields, {})
+      const token = JSON.parse(mockHelpers.decrypt(response.editToken.split('.')[0]))
+
+      expect(token.id).toBe(staticman.uid)
+      expect(token.path).toBe(staticman._getNewFilePath(fields))
+      expect(token.username).toBe(mockParameters.username)
+      expect(token.repository).toBe(mockParameters.repository)
+    })
+
+    test('does not return an edit token if editing is disabled', async () => {
+      const Staticman = require('./../../../lib/Staticman')
+      const staticman = await new Staticman(mockParameters)
+      const fields = mockHelpers.getFields()
+
+      mockConfig.set('allowedFields', Object.keys(fields))
+      mockConfig.set('moderation', false)
+
+      staticman.siteConfig = mockConfig
+      staticman._checkForSpam = () => Promise.resolve(fields)
+      staticman.git.writeFile = jest.fn(() => Promise.resolve())
+
+      const response = await staticman.processEntry(fields, {})
+
+      expect(response.editToken).toBeUndefined()
+    })
+
+    describe('with `idempotency` enabled', () => {
+      const createStaticman = async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        staticman.siteConfig = mockConfig
+        staticman._checkForSpam = fields => Promise.resolve(fields)
+
+        return staticman
+      }
+
+      beforeEach(() => {
+        mockConfig.set('allowedFields', Object.keys(mockHelpers.getFields()))
+        mockConfig.set('idempotency.enabled', true)
+        mockConfig.set('moderation', false)
+        mockConfig.set('notifications.enabled', false)
+      })
+
+      test('returns the original response for a repeat with the same content', async () => {
+        const mockWriteFile = jest.fn(() => Promise.resolve())
+        const staticman1 = await createStaticman()
+        const staticman2 = await createStaticman()
+
+        staticman1.git.writeFile = mockWriteFile
+        staticman2.git.writeFile = mockWriteFile
+
+        const response1 = await staticman1.processEntry(mockHelpers.getFields(), {slug: 'my-post'})
+        const response2 = await staticman2.processEntry(
+          Object.assign(mockHelpers.getFields(), {message: `  ${mockHelpers.getFields().message}\n`}),
+          {slug: 'my-post', reCaptcha: {siteKey: 'another-key'}}
+        )
+
+        expect(response2).toEqual(response1)
+        expect(mockWriteFile).toHaveBeenCalledTimes(1)
+      })
+
+      test('returns the original response for a repeat with the same `idempotencyKey`', async () => {
+        const mockWriteFileAndSendReview = jest.fn(() => Promise.resolve())
+        const staticman1 = await createStaticman()
+        const staticman2 = await createStaticman()
+
+        mockConfig.set('moderation', true)
+
+        staticman1.git.writeFileAndSendReview = mockWriteFileAndSendReview
+        staticman2.git.writeFileAndSendReview = mockWriteFileAndSendReview
+
+        const response1 = await staticman1.processEntry(mockHelpers.getFields(), {idempotencyKey: 'abc123'})
+        const response2 = await staticman2.processEntry(
+          Object.assign(mockHelpers.getFields(), {message: 'Edited before retrying'}),
+          {idempotencyKey: 'abc123'}
+        )
+
+        expect(response2).toEqual(response1)
+        expect(response2.fields.message).toBe(mockHelpers.getFields().message)
+        expect(mockWriteFileAndSendReview).toHaveBeenCalledTimes(1)
+      })
+
+      test('only returns the edit token to repeats with the same `idempotencyKey`', async () => {
+        const mockWriteFile = jest.fn(() => Promise.resolve())
+        const staticmen = [await createStaticman(), await createStaticman(), await createStaticman(), await createStaticman()]
+
+        mockConfig.set('editing.enabled', true)
+        staticmen.forEach(staticman => {
+          staticman.git.writeFile = mockWriteFile
+        })
+
+        const response1 = await staticmen[0].processEntry(mockHelpers.getFields(), {idempotencyKey: 'abc123'})
+        const response2 = await staticmen[1].processEntry(mockHelpers.getFields(), {})
+        const response3 = await staticmen[2].processEntry(mockHelpers.getFields(), {idempotencyKey: 'def456'})
+        const response4 = await staticmen[3].processEntry(mockHelpers.getFields(), {idempotencyKey: 'abc123'})
+
+        expect(response1.editToken).toEqual(expect.any(String))
+        expect(response2).toEqual({fields: response1.fields, redirect: false})
+        expect(response3).toEqual(response2)
+        expect(response4).toEqual(response1)
+        expect(mockWriteFile).toHaveBeenCalledTimes(1)
+      })
+
+      test('creates entries with different content', async () => {
+        const mockWriteFile = jest.fn(() => Promise.resolve())
+        const staticman1 = await createStaticman()
+        const staticman2 = await createStaticman()
+        const staticman3 = await createStaticman()
+
+        staticman1.git.writeFile = mockWriteFile
+        staticman2.git.writeFile = mockWriteFile
+        staticman3.git.writeFile = mockWriteFile
+
+        await staticman1.processEntry(mockHelpers.getFields(), {idempotencyKey: 'abc123'})
+        await staticman2.processEntry(Object.assign(mockHelpers.getFields(), {message: 'Another message'}), {idempotencyKey: 'def456'})
+        await staticman3.processEntry(Object.assign(mockHelpers.getFields(), {message: 'A third message'}), {})
+
+        expect(mockWriteFile).toHaveBeenCalledTimes(3)
+      })
+
+      test('rejects a repeat that arrives while the original is being written', async () => {
+        let resolveWrite
+
+        const staticman1 = await createStaticman()
+        const staticman2 = await createStaticman()
+
+        staticman1.git.writeFile = jest.fn(() => new Promise(resolve => {
+          resolveWrite = resolve
+        }))
+        staticman2.git.writeFile = jest.fn(() => Promise.resolve())
+
+        const request1 = staticman1.processEntry(mockHelpers.getFields(), {})
+
+        expect.assertions(3)
+
+        await new Promise(resolve => setTimeout(resolve, 50))
+
+        try {
+          await staticman2.processEntry(mockHelpers.getFields(), {})
+        } catch (err) {
+          expect(err._smErrorCode).toBe('ENTRY_IN_PROGRESS')
+        }
+
+        resolveWrite()
+
+        await expect(request1).resolves.toHaveProperty('fields')
+        expect(staticman2.git.writeFile).not.toHaveBeenCalled()
+      })
+
+      test('creates only one of the copies of an entry sent at the same time', async () => {
+        const IdempotencyStore = require('./../../../lib/IdempotencyStore')
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'staticman-idempotency-'))
+        const mockWriteFile = jest.fn(() => new Promise(resolve => setTimeout(resolve, 100)))
+
+        IdempotencyStore.setStore(new IdempotencyStore.FileStore(directory))
+
+        try {
+          const staticmen = [await createStaticman(), await createStaticman(), await createStaticman()]
+
+          staticmen.forEach(staticman => {
+            staticman.git.writeFile = mockWriteFile
+          })
+
+          const results = await Promise.all(staticmen.map(staticman => {
+            return staticman.processEntry(mockHelpers.getFields(), {}).catch(err => err)
+          }))
+
+          expect(mockWriteFile).toHaveBeenCalledTimes(1)
+          expect(results.filter(result => result._smErrorCode === 'ENTRY_IN_PROGRESS').length).toBe(2)
+        } finally {
+          execFileSync('rm', ['-rf', directory])
+        }
+      })
+
+      test('allows a failed entry to be submitted again', async () => {
+        const staticman1 = await createStaticman()
+        const staticman2 = await createStaticman()
+
+        staticman1.git.writeFile = jest.fn(() => Promise.reject(new Error('Network error')))
+        staticman2.git.writeFile = jest.fn(() => Promise.resolve())
+
+        await expect(staticman1.processEntry(mockHelpers.getFields(), {})).rejects.toBeDefined()
+        await staticman2.processEntry(mockHelpers.getFields(), {})
+
+        expect(staticman2.git.writeFile).toHaveBeenCalledTimes(1)
+      })
+
+      test('uses the store set in `IdempotencyStore`', async () => {
+        const IdempotencyStore = require('./../../../lib/IdempotencyStore')
+        const mockStore = {
+          delete: jest.fn(() => Promise.resolve()),
+          get: jest.fn(() => Promise.resolve(null)),
+          reserve: jest.fn(() => Promise.resolve(true)),
+          set: jest.fn(() => Promise.resolve())
+        }
+
+        IdempotencyStore.setStore(mockStore)
+        mockConfig.set('idempotency.window', 30)
+
+        const staticman = await createStaticman()
+
+        staticman.git.writeFile = jest.fn(() => Promise.resolve())
+
+        const response = await staticman.processEntry(mockHelpers.getFields(), {idempotencyKey: 'abc123'})
+        const keys = mockStore.reserve.mock.calls.map(call => call[0])
+
+        expect(keys.length).toBe(2)
+        expect(mockStore.reserve).toHaveBeenCalledWith(keys[0], {status: 'pending'}, 30)
+        expect(keys[0]).toMatch(/:key:abc123$/)
+        expect(keys[1]).toMatch(/:hash:[0-9a-f]{64}$/)
+        expect(mockStore.set).toHaveBeenCalledWith(keys[0], {status: 'created', response}, 30)
+        expect(mockStore.set).toHaveBeenCalledWith(keys[1], {status: 'created', response}, 30)
+      })
+    })
+
+    describe('`processEdit()`', () => {
+      test('throws an error if editing is disabled', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        staticman.siteConfig = mockConfig
+
+        expect.assertions(1)
+
+        try {
+          await staticman.processEdit('1a2b3c4d5e6f', mockHelpers.getFields(), {
+            'edit-token': getEditToken()
+          })
+        } catch (err) {
+          expect(err._smErrorCode).toBe('EDITING_DISABLED')
+        }
+      })
+
+      test('throws an error if the `edit-token` option is missing', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        mockConfig.set('editing.enabled', true)
+
+        staticman.siteConfig = mockConfig
+
+        expect.assertions(1)
+
+        try {
+          await staticman.processEdit('1a2b3c4d5e6f', mockHelpers.getFields(), {})
+        } catch (err) {
+          expect(err._smErrorCode).toBe('EDIT_TOKEN_MISSING')
+        }
+      })
+
+      test('throws an error if the edit token cannot be decrypted or was issued for another entry', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+        const invalidTokens = [
+          'not-a-token',
+          getEditToken({id: 'another-entry'}),
+          getEditToken({}, Object.assign({}, mockParameters, {repository: 'another-repository'}))
+        ]
+
+        mockConfig.set('editing.enabled', true)
+
+        staticman.siteConfig = mockConfig
+
+        expect.assertions(invalidTokens.length)
+
+        for (const token of invalidTokens) {
+          try {
+            await staticman.processEdit('1a2b3c4d5e6f', mockHelpers.getFields(), {
+              'edit-token': token
+            })
+          } catch (err) {
+            expect(err._smErrorCode).toBe('EDIT_TOKEN_INVALID')
+          }
+        }
+      })
+
+      test('throws an error if the edit token is not signed, as with text from the `encrypt` endpoint', async () => {
+        const RSA = require('./../../../lib/RSA')
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+        const {branch, property, repository, service, username} = mockParameters
+        const forgedToken = RSA.encrypt(JSON.stringify({
+          id: '1a2b3c4d5e6f',
+          path: 'staticman.yml',
+          issuedAt: new Date().getTime(),
+          branch,
+          property,
+          repository,
+          service,
+          username
+        }))
+
+        mockConfig.set('editing.enabled', true)
+
+        staticman.siteConfig = mockConfig
+        staticman.git.updateFile = jest.fn()
+
+        await expect(staticman.processEdit('1a2b3c4d5e6f', mockHelpers.getFields(), {
+          'edit-token': forgedToken
+        })).rejects.toEqual(expect.objectContaining({_smErrorCode: 'EDIT_TOKEN_INVALID'}))
+        expect(staticman.git.updateFile).not.toHaveBeenCalled()
+      })
+
+      test('throws an error if the edit token points outside of the configured path', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        mockConfig.set('editing.enabled', true)
+
+        staticman.siteConfig = mockConfig
+        staticman.git.updateFile = jest.fn()
+
+        await expect(staticman.processEdit('1a2b3c4d5e6f', mockHelpers.getFields(), {
+          'edit-token': getEditToken({path: 'staticman.yml'})
+        })).rejects.toEqual(expect.objectContaining({_smErrorCode: 'INVALID_PATH'}))
+        expect(staticman.git.updateFile).not.toHaveBeenCalled()
+      })
+
+      test('throws an error if the edit window has expired', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        mockConfig.set('editing.enabled', true)
+        mockConfig.set('editing.window', 60)
+
+        staticman.siteConfig = mockConfig
+
+        expect.assertions(1)
+
+        try {
+          await staticman.processEdit('1a2b3c4d5e6f', mockHelpers.getFields(), {
+            'edit-token': getEditToken({issuedAt: new Date().getTime() - 61000})
+          })
+        } catch (err) {
+          expect(err._smErrorCode).toBe('EDIT_WINDOW_EXPIRED')
+        }
+      })
+
+      test('validates the fields, throwing an error if validation fails', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+        const fields = Object.assign(mockHelpers.getFields(), {someField1: 'Some value'})
+
+        mockConfig.set('allowedFields', Object.keys(mockHelpers.getFields()))
+        mockConfig.set('editing.enabled', true)
+
+        staticman.siteConfig = mockConfig
+        staticman._checkForSpam = () => Promise.resolve(fields)
+        staticman.git.updateFile = jest.fn()
+
+        expect.assertions(2)
+
+        try {
+          await staticman.processEdit('1a2b3c4d5e6f', fields, {
+            'edit-token': getEditToken()
+          })
+        } catch (err) {
+          expect(err._smErrorCode).toBe('INVALID_FIELDS')
+        }
+
+        expect(staticman.git.updateFile).not.toHaveBeenCalled()
+      })
+
+      test('rewrites the entry file directly, keeping its id, if moderation is disabled', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+        const fields = mockHelpers.getFields()
+
+        mockConfig.set('allowedFields', Object.keys(fields))
+        mockConfig.set('editing.enabled', true)
+        mockConfig.set('moderation', false)
+
+        staticman.siteConfig = mockConfig
+        staticman._checkForSpam = () => Promise.resolve(fields)
+        staticman.git.updateFile = jest.fn(() => Promise.resolve())
+
+        const response = await staticman.processEdit('1a2b3c4d5e6f', fields, {
+          'edit-token': getEditToken()
+        })
+        const expectedFile = await staticman._createFile(Object.assign({_id: '1a2b3c4d5e6f'}, fields))
+
+        expect(response.fields).toEqual(fields)
+        expect(staticman.git.updateFile.mock.calls[0][0]).toBe('_data/comments/1a2b3c4d5e6f.yml')
+        expect(staticman.git.updateFile.mock.calls[0][1]).toBe(expectedFile)
+        expect(staticman.git.updateFile.mock.calls[0][2]).toBe(mockParameters.branch)
+        expect(staticman.git.updateFile.mock.calls[0][3]).toBe(mockConfig.get('editing.commitMessage'))
+      })
+
+      test('sends the edit for review if moderation is enabled', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+        const fields = mockHelpers.getFields()
+        const reviewBranch = `staticman_${staticman.uid}`
+
+        mockConfig.set('allowedFields', Object.keys(fields))
+        mockConfig.set('editing.enabled', true)
+        mockConfig.set('moderation', true)
+        mockConfig.set('notifications.enabled', false)
+
+        staticman.siteConfig = mockConfig
+        staticman._checkForSpam = () => Promise.resolve(fields)
+        staticman.git.updateFileAndSendReview = jest.fn(() => Promise.resolve())
+
+        await staticman.processEdit('1a2b3c4d5e6f', fields, {
+          'edit-token': getEditToken()
+        })
+
+        expect(staticman.git.updateFileAndSendReview.mock.calls[0][0]).toBe('_data/comments/1a2b3c4d5e6f.yml')
+        expect(staticman.git.updateFileAndSendReview.mock.calls[0][2]).toBe(reviewBranch)
+        expect(staticman.git.updateFileAndSendReview.mock.calls[0][4]).toBe(staticman._generateReviewBody(fields))
+      })
+    })
+
+    describe('`processDelete()`', () => {
+      test('throws an error if deletion is disabled', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        staticman.siteConfig = mockConfig
+
+        expect.assertions(1)
+
+        try {
+          await staticman.processDelete('1a2b3c4d5e6f', {'edit-token': getEditToken()})
+        } catch (err) {
+          expect(err._smErrorCode).toBe('DELETION_DISABLED')
+        }
+      })
+
+      test('throws an error if the edit token is missing or was issued for another entry', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        mockConfig.set('deletion.enabled', true)
+
+        staticman.siteConfig = mockConfig
+        staticman.git.deleteFile = jest.fn()
+
+        expect.assertions(3)
+
+        try {
+          await staticman.processDelete('1a2b3c4d5e6f', {})
+        } catch (err) {
+          expect(err._smErrorCode).toBe('EDIT_TOKEN_MISSING')
+        }
+
+        try {
+          await staticman.processDelete('1a2b3c4d5e6f', {'edit-token': getEditToken({id: 'another-entry'})})
+        } catch (err) {
+          expect(err._smErrorCode).toBe('EDIT_TOKEN_INVALID')
+        }
+
+        expect(staticman.git.deleteFile).not.toHaveBeenCalled()
+      })
+
+      test('throws an error for tokens from the `encrypt` endpoint, which are not signed', async () => {
+        const encrypt = require('./../../../controllers/encrypt')
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+        const {branch, property, repository, service, username} = mockParameters
+        const res = mockHelpers.getMockResponse()
+
+        encrypt({
+          params: {
+            text: JSON.stringify({
+              id: '1a2b3c4d5e6f',
+              path: 'staticman.yml',
+              issuedAt: new Date().getTime(),
+              branch,
+              property,
+              repository,
+              service,
+              username
+            })
+          }
+        }, res)
+
+        mockConfig.set('deletion.enabled', true)
+        mockConfig.set('moderation', false)
+
+        staticman.siteConfig = mockConfig
+        staticman.git.deleteFile = jest.fn(() => Promise.resolve())
+
+        await expect(staticman.processDelete('1a2b3c4d5e6f', {'edit-token': res.send.mock.calls[0][0]}))
+          .rejects.toEqual(expect.objectContaining({_smErrorCode: 'EDIT_TOKEN_INVALID'}))
+        expect(staticman.git.deleteFile).not.toHaveBeenCalled()
+      })
+
+      test('throws an error if the edit token points outside of the configured path', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        mockConfig.set('deletion.enabled', true)
+        mockConfig.set('moderation', false)
+
+        staticman.siteConfig = mockConfig
+        staticman.git.deleteFile = jest.fn(() => Promise.resolve())
+
+        await expect(staticman.processDelete('1a2b3c4d5e6f', {'edit-token': getEditToken({path: '../staticman.yml'})}))
+          .rejects.toEqual(expect.objectContaining({_smErrorCode: 'INVALID_PATH'}))
+        expect(staticman.git.deleteFile).not.toHaveBeenCalled()
+      })
+
+      test('deletes the entry file directly if moderation is disabled, regardless of the edit window', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        mockConfig.set('deletion.enabled', true)
+        mockConfig.set('editing.window', 60)
+        mockConfig.set('moderation', false)
+
+        staticman.siteConfig = mockConfig
+        staticman.git.deleteFile = jest.fn(() => Promise.resolve())
+
+        await staticman.processDelete('1a2b3c4d5e6f', {
+          'edit-token': getEditToken({issuedAt: new Date().getTime() - 61000})
+        })
+
+        expect(staticman.git.deleteFile.mock.calls[0][0]).toBe('_data/comments/1a2b3c4d5e6f.yml')
+        expect(staticman.git.deleteFile.mock.calls[0][1]).toBe(mockParameters.branch)
+        expect(staticman.git.deleteFile.mock.calls[0][2]).toBe(mockConfig.get('deletion.commitMessage'))
+      })
+
+      test('sends the deletion for review if moderation is enabled', async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+        const reviewBranch = `staticman_${staticman.uid}`
+
+        mockConfig.set('deletion.enabled', true)
+        mockConfig.set('moderation', true)
+
+        staticman.siteConfig = mockConfig
+        staticman.git.deleteFileAndSendReview = jest.fn(() => Promise.resolve())
+
+        await staticman.processDelete('1a2b3c4d5e6f', {'edit-token': getEditToken()})
+
+        expect(staticman.git.deleteFileAndSendReview.mock.calls[0][0]).toBe('_data/comments/1a2b3c4d5e6f.yml')
+        expect(staticman.git.deleteFileAndSendReview.mock.calls[0][1]).toBe(reviewBranch)
+        expect(staticman.git.deleteFileAndSendReview.mock.calls[0][2]).toBe(mockConfig.get('deletion.commitMessage'))
+      })
+    })
+
     describe('`processMerge()`', () => {
       test('subscribes the user to notifications', async () => {
         const mockSubscriptionSend = jest.fn()
@@ -1662,5 +4024,184 @@ describe('Staticman interface', () => {
         })
       })
     })
+
+    describe('spam quarantine', () => {
+      const spamFields = () => Object.assign(mockHelpers.getFields(), {
+        message: 'Buy cheap pills'
+      })
+
+      const getStaticman = async () => {
+        const Staticman = require('./../../../lib/Staticman')
+        const staticman = await new Staticman(mockParameters)
+
+        mockConfig.set('allowedFields', Object.keys(mockHelpers.getFields()))
+        mockConfig.set('moderation', false)
+        mockConfig.set('spam.checks', {blocklist: {words: ['pills']}})
+        mockConfig.set('spam.quarantine.enabled', true)
+        mockConfig.set('spam.quarantine.releaseKey', mockHelpers.encrypt('some-release-key'))
+
+        staticman.siteConfig = mockConfig
+        staticman.git.deleteFile = jest.fn(() => Promise.resolve())
+        staticman.git.writeFile = jest.fn(() => Promise.resolve())
+
+        return staticman
+      }
+
+      test('commits entries rejected as spam to the quarantine path', async () => {
+        const staticman = await getStaticman()
+
+        staticman.setIp('123.456.78.9')
+        staticman.setUserAgent('Some browser')
+
+        expect.assertions(10)
+
+        try {
+          await staticman.processEntry(spamFields(), {
+            'auth-token': 'some-encrypted-token',
+            formTimestamp: 'some-timestamp',
+            'github-token': 'another-encrypted-token',
+            slug: 'my-post'
+          })
+        } catch (err) {
+          expect(err._smErrorCode).toBe('ENTRY_QUARANTINED')
+        }
+
+        const [filePath, content, branch, commitMessage] = staticman.git.writeFile.mock.calls[0]
+        const record = JSON.parse(content)
+
+        expect(staticman.git.writeFile).toHaveBeenCalledTimes(1)
+        expect(filePath).toBe(`_spam/${staticman.uid}.json`)
+        expect(branch).toBe(mockParameters.branch)
+        expect(commitMessage).toBe(`Quarantine Staticman entry ${staticman.uid}`)
+        expect(record.reason).toBe('blocklist: Matches the blocklist: pills')
+        expect(record.fields).toEqual(spamFields())
+        expect(record).toEqual(expect.objectContaining({
+          _id: staticman.uid,
+          options: {slug: 'my-post'}
+        }))
+        expect(record.ip).toBeUndefined()
+        expect(record.userAgent).toBeUndefined()
+      })
+
+      test('leaves uploads, and the fields that point to them, out of quarantined entries', async () => {
+        const staticman = await getStaticman()
+
+        mockConfig.set('allowedFields', Object.keys(mockHelpers.getFields()).concat('photo', 'photos'))
+        mockConfig.set('uploads.enabled', true)
+        staticman.git.writeFiles = jest.fn(() => Promise.resolve())
+        staticman.setUploads([
+          {
+            buffer: Buffer.from('some image data'),
+            fieldname: 'fields[photo]',
+            mimetype: 'image/png',
+            originalname: 'photo.png',
+            size: 15
+          },
+          {
+            buffer: Buffer.from('more image data'),
+            fieldname: 'fields[photos][]',
+            mimetype: 'image/png',
+            originalname: 'another-photo.png',
+            size: 15
+          }
+        ])
+
+        await expect(staticman.processEntry(spamFields(), {})).rejects.toHaveProperty('_smErrorCode', 'ENTRY_QUARANTINED')
+
+        const record = JSON.parse(staticman.git.writeFile.mock.calls[0][1])
+
+        expect(staticman.git.writeFile).toHaveBeenCalledTimes(1)
+        expect(staticman.git.writeFiles).not.toHaveBeenCalled()
+        expect(record.fields).toEqual(spamFields())
+      })
+
+      test('commits quarantined entries to `spam.quarantine.branch`, if set', async () => {
+        const staticman = await getStaticman()
+
+        mockConfig.set('spam.quarantine.branch', 'spam')
+        mockConfig.set('spam.quarantine.path', 'quarantine/')
+
+        await expect(staticman.processEntry(spamFields(), {})).rejects.toBeDefined()
+
+        expect(staticman.git.writeFile.mock.calls[0][0]).toBe(`quarantine/${staticman.uid}.json`)
+        expect(staticman.git.writeFile.mock.calls[0][2]).toBe('spam')
+      })
+
+      test('rejects spam with `IS_SPAM` if quarantine is disabled', async () => {
+        const staticman = await getStaticman()
+
+        mockConfig.set('spam.quarantine.enabled', false)
+
+        expect.assertions(2)
+
+        try {
+          await staticman.processEntry(spamFields(), {})
+        } catch (err) {
+          expect(err._smErrorCode).toBe('IS_SPAM')
+        }
+
+        expect(staticman.git.writeFile).not.toHaveBeenCalled()
+      })
+
+      test('releases a quarantined entry into the normal flow, without spam checks', async () => {
+        const staticman = await getStaticman()
+        const record = {
+          _id: 'quarantined-id',
+          fields: spamFields(),
+          options: {slug: 'my-post'}
+        }
+
+        mockConfig.set('auth.required', true)
+
+        staticman.git.readFile = jest.fn(() => Promise.resolve(record))
+
+        const response = await staticman.processRelease('quarantined-id', {releaseKey: 'some-release-key'})
+
+        expect(staticman.git.readFile).toHaveBeenCalledWith('_spam/quarantined-id.json', false, mockParameters.branch)
+        expect(staticman.git.writeFile).toHaveBeenCalledTimes(1)
+        expect(staticman.git.writeFile.mock.calls[0][0]).toMatch(/^_data\/comments\/my-post\//)
+        expect(staticman.git.deleteFile).toHaveBeenCalledWith(
+          '_spam/quarantined-id.json',
+          mockParameters.branch,
+          'Release Staticman entry quarantined-id from quarantine'
+        )
+        expect(yaml.safeLoad(staticman.git.writeFile.mock.calls[0][1])._id).toBe('quarantined-id')
+        expect(response.fields.message).toBe('Buy cheap pills')
+      })
+
+      test('refuses to release entries without the release key', async () => {
+        const staticman = await getStaticman()
+
+        staticman.git.readFile = jest.fn()
+
+        await expect(staticman.processRelease('quarantined-id', {})).rejects.toHaveProperty('_smErrorCode', 'RELEASE_KEY_INVALID')
+        await expect(staticman.processRelease('quarantined-id', {releaseKey: 'wrong-key'})).rejects.toHaveProperty('_smErrorCode', 'RELEASE_KEY_INVALID')
+
+        staticman.siteConfig = mockHelpers.getConfig()
+        staticman.siteConfig.set('spam.quarantine.enabled', true)
+
+        await expect(staticman.processRelease('quarantined-id', {releaseKey: null})).rejects.toHaveProperty('_smErrorCode', 'RELEASE_KEY_INVALID')
+        expect(staticman.git.readFile).not.toHaveBeenCalled()
+      })
+
+      test('refuses to release entries if quarantine is disabled', async () => {
+        const staticman = await getStaticman()
+
+        mockConfig.set('spam.quarantine.enabled', false)
+
+        await expect(staticman.processRelease('quarantined-id', {releaseKey: 'some-release-key'}))
+          .rejects.toHaveProperty('_smErrorCode', 'QUARANTINE_DISABLED')
+      })
+
+      test('refuses ids that point outside the quarantine path', async () => {
+        const staticman = await getStaticman()
+
+        staticman.git.readFile = jest.fn()
+
+        await expect(staticman.processRelease('../_data/comments/entry', {releaseKey: 'some-release-key'}))
+          .rejects.toHaveProperty('_smErrorCode', 'INVALID_PATH')
+        expect(staticman.git.readFile).not.toHaveBeenCalled()
+      })
+    })
   })
 })
@@ -0,0 +1,51 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const TransformRegistry = require('./../../../lib/TransformRegistry')
+const Transforms = require('./../../../lib/Transforms')
+
+describe('TransformRegistry', () => {
+  describe('get', () => {
+    test('returns the built-in transforms', () => {
+      expect(TransformRegistry.get('md5')).toBe(Transforms.md5)
+      expect(TransformRegistry.get('truncate')).toBe(Transforms.truncate)
+    })
+
+    test('returns undefined for unknown transforms', () => {
+      expect(TransformRegistry.get('unknownTransform')).toBeUndefined()
+      expect(TransformRegistry.get('toString')).toBeUndefined()
+    })
+  })
+
+  describe('register', () => {
+    test('makes a transform available under the given name', () => {
+      const reverse = value => String(value).split('').reverse().join('')
+
+      TransformRegistry.register('reverse', reverse)
+
+      expect(TransformRegistry.get('reverse')).toBe(reverse)
+    })
+
+    test('throws if the transform is not a function', () => {
+      expect(() => TransformRegistry.register('broken', 'upcase'))
+        .toThrow('Transform `broken` must be a function')
+    })
+  })
+
+  describe('loadDirectory', () => {
+    test('registers each JavaScript module in the directory under its file name', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'staticman-transforms-'))
+
+      fs.writeFileSync(
+        path.join(directory, 'exclaim.js'),
+        'module.exports = value => value + "!"'
+      )
+      fs.writeFileSync(path.join(directory, 'README.md'), 'Not a transform')
+
+      TransformRegistry.loadDirectory(directory)
+
+      expect(TransformRegistry.get('exclaim')('Hello')).toBe('Hello!')
+      expect(TransformRegistry.get('README')).toBeUndefined()
+    })
+  })
+})
@@ -18,4 +18,109 @@ describe('Transforms', () => {
       expect(Transforms.downcase('FOOBAR')).toEqual('foobar')
     })
   })
+
+  describe('trim', () => {
+    test('removes whitespace from both ends of the value', () => {
+      expect(Transforms.trim('  foobar \n')).toEqual('foobar')
+    })
+  })
+
+  describe('truncate', () => {
+    test('shortens the value to the given length', () => {
+      expect(Transforms.truncate('Hello world', {length: 5})).toEqual('Hello')
+      expect(Transforms.truncate('Hello', {length: 10})).toEqual('Hello')
+    })
+
+    test('ends a shortened value with the given ellipsis, within the length', () => {
+      expect(Transforms.truncate('Hello world', {length: 8, ellipsis: '...'})).toEqual('Hello...')
+    })
+
+    test('returns the value unchanged if no length is given', () => {
+      expect(Transforms.truncate('Hello world')).toEqual('Hello world')
+    })
+  })
+
+  describe('replace', () => {
+    test('replaces every match of the pattern', () => {
+      expect(Transforms.replace('a-b-c', {pattern: '-', with: '+'})).toEqual('a+b+c')
+      expect(Transforms.replace('Foo foo', {pattern: 'foo', flags: 'i', with: 'bar'})).toEqual('bar foo')
+      expect(Transforms.replace('a1b2', {pattern: '[0-9]'})).toEqual('ab')
+    })
+  })
+
+  describe('slugify', () => {
+    test('returns a lowercase slug of the value', () => {
+      expect(Transforms.slugify('Hello World!')).toEqual('hello-world')
+    })
+  })
+
+  describe('sha256', () => {
+    test('returns a SHA-256 of the value, prefixed with the salt', () => {
+      expect(Transforms.sha256('test-value'))
+        .toEqual('5b1406fffc9de5537eb35a845c99521f26fba0e772d58b42e09f4221b9e043ae')
+      expect(Transforms.sha256('test-value', {salt: 'pepper'}))
+        .toEqual(require('crypto').createHash('sha256').update('peppertest-value').digest('hex'))
+    })
+  })
+
+  describe('stripTags', () => {
+    test('removes HTML tags and comments from the value', () => {
+      expect(Transforms.stripTags('<p>Hello <b>world</b><!-- hi --></p> 1 < 2'))
+        .toEqual('Hello world 1 < 2')
+    })
+  })
+
+  describe('markdown', () => {
+    test('renders Markdown to HTML', () => {
+      expect(Transforms.markdown('Hello **world**\n\n- one\n- two')).toEqual(
+        '<p>Hello <strong>world</strong></p>\n<ul>\n<li>one</li>\n<li>two</li>\n</ul>\n'
+      )
+    })
+
+    test('removes tags, attributes and URL schemes that are not allowed', () => {
+      const html = Transforms.markdown(
+        '<script>alert(1)</script><img src="x.png"> <b onclick="alert(1)">Hi</b> <a href="javascript:alert(1)">link</a>'
+      )
+
+      expect(html).not.toContain('<script')
+      expect(html).not.toContain('<img')
+      expect(html).not.toContain('onclick')
+      expect(html).not.toContain('javascript:')
+      expect(html).toContain('<b>Hi</b>')
+    })
+
+    test('adds `rel="nofollow ugc"` to every link', () => {
+      expect(Transforms.markdown('[Staticman](https://staticman.net)')).toEqual(
+        '<p><a href="https://staticman.net" rel="nofollow ugc">Staticman</a></p>\n'
+      )
+      expect(Transforms.markdown('<a href="https://staticman.net" rel="me">Staticman</a>')).toContain(
+        'rel="nofollow ugc"'
+      )
+    })
+
+    test('uses the allowed tags and attributes given in the options', () => {
+      const options = {
+        allowedTags: ['p', 'img'],
+        allowedAttributes: {img: ['src', 'alt']}
+      }
+
+      expect(Transforms.markdown('![Logo](https://staticman.net/logo.png) **bold**', options)).toEqual(
+        '<p><img src="https://staticman.net/logo.png" alt="Logo" /> bold</p>\n'
+      )
+    })
+
+    test('keeps the Markdown source in the field named by the `rawField` option', () => {
+      const fields = {message: '*Hi*'}
+      const html = Transforms.markdown(fields.message, {rawField: 'messageRaw'}, {field: 'message', fields})
+
+      expect(html).toEqual('<p><em>Hi</em></p>\n')
+      expect(fields.messageRaw).toEqual('*Hi*')
+    })
+  })
+
+  describe('frontmatterContent', () => {
+    test('returns the value unchanged', () => {
+      expect(Transforms.frontmatterContent('Hello world')).toEqual('Hello world')
+    })
+  })
 })
@@ -0,0 +1,125 @@
+const md5 = require('md5')
+const mockHelpers = require('./../../helpers')
+const TrustedAuthors = require('./../../../lib/TrustedAuthors')
+const User = require('./../../../lib/models/User')
+
+const getGit = (files = {}) => ({
+  changeFile: jest.fn(() => Promise.resolve()),
+  readFile: jest.fn(filePath => {
+    return files[filePath] === undefined
+      ? Promise.reject(new Error('Not found'))
+      : Promise.resolve(files[filePath])
+  })
+})
+
+let siteConfig
+
+beforeEach(() => {
+  siteConfig = mockHelpers.getConfig()
+  siteConfig.set('trustedAuthors.allowlist', '_data/trusted.yml')
+})
+
+describe('TrustedAuthors', () => {
+  describe('getAuthor', () => {
+    test('returns the hash of the email address and the username of the author', () => {
+      const fields = Object.assign(mockHelpers.getFields(), {email: ' John@Example.com '})
+
+      expect(TrustedAuthors.getAuthor(fields, siteConfig, new User('github', 'johndoe', '', 'John Doe'))).toEqual({
+        email: md5('john@example.com'),
+        username: 'johndoe'
+      })
+      expect(TrustedAuthors.getAuthor({}, siteConfig)).toEqual({email: null, username: null})
+    })
+
+    test('reads the email address from `trustedAuthors.emailField`', () => {
+      siteConfig.set('trustedAuthors.emailField', 'contact.email')
+
+      expect(TrustedAuthors.getAuthor({contact: {email: 'john@example.com'}}, siteConfig).email)
+        .toBe(md5('john@example.com'))
+    })
+  })
+
+  describe('isTrusted', () => {
+    test('trusts authors whose hashed email or username is in the allowlist', async () => {
+      const git = getGit({
+        '_data/trusted.yml': {emails: [md5('john@example.com').toUpperCase()], usernames: ['janedoe']}
+      })
+
+      await expect(TrustedAuthors.isTrusted({email: md5('john@example.com'), username: null}, siteConfig, git))
+        .resolves.toBe(true)
+      await expect(TrustedAuthors.isTrusted({email: null, username: 'janedoe'}, siteConfig, git))
+        .resolves.toBe(true)
+      await expect(TrustedAuthors.isTrusted({email: md5('jane@example.com'), username: 'johndoe'}, siteConfig, git))
+        .resolves.toBe(false)
+    })
+
+    test('trusts no one if the allowlist can\'t be read', async () => {
+      const git = getGit()
+
+      await expect(TrustedAuthors.isTrusted({email: md5('john@example.com'), username: null}, siteConfig, git))
+        .resolves.toBe(false)
+    })
+
+    test('trusts authors with at least `minimumEntries` merged entries', async () => {
+      const author = {email: md5('john@example.com'), username: 'johndoe'}
+      const counterFile = `_staticman/authors/usernames/johndoe.json`
+
+      siteConfig.set('trustedAuthors.minimumEntries', 3)
+
+      await expect(TrustedAuthors.isTrusted(author, siteConfig, getGit({[counterFile]: {reviews: [1, 2]}})))
+        .resolves.toBe(false)
+
+      const git = getGit({[counterFile]: {reviews: [1, 2, 3]}})
+
+      await expect(TrustedAuthors.isTrusted(author, siteConfig, git)).resolves.toBe(true)
+      expect(git.readFile.mock.calls.map(call => call[0])).toEqual([
+        '_data/trusted.yml',
+        `_staticman/authors/emails/${author.email}.json`,
+        counterFile
+      ])
+    })
+  })
+
+  describe('recordMerge', () => {
+    test('adds the pull request to the counter files of the author', async () => {
+      const git = getGit({
+        [`_staticman/authors/emails/${md5('john@example.com')}.json`]: {reviews: [3, 7]}
+      })
+      const changes = []
+
+      git.changeFile = jest.fn((filePath, change) => {
+        changes.push(change(filePath.indexOf('emails') === -1 ? undefined : {reviews: [3, 7]}))
+
+        return Promise.resolve()
+      })
+
+      await TrustedAuthors.recordMerge({email: md5('john@example.com'), username: 'johndoe'}, 12, siteConfig, git, 'master')
+
+      expect(git.changeFile.mock.calls.map(call => call[0])).toEqual([
+        `_staticman/authors/emails/${md5('john@example.com')}.json`,
+        '_staticman/authors/usernames/johndoe.json'
+      ])
+      expect(git.changeFile.mock.calls[0][2]).toBe('master')
+      expect(changes).toEqual(['{"reviews":[3,7,12]}\n', '{"reviews":[12]}\n'])
+    })
+
+    test('counts each pull request once', async () => {
+      const git = getGit({
+        '_staticman/authors/usernames/johndoe.json': {reviews: [3, 12]}
+      })
+
+      await TrustedAuthors.recordMerge({email: null, username: 'johndoe'}, 12, siteConfig, git, 'master')
+
+      expect(git.readFile).toHaveBeenCalledWith('_staticman/authors/usernames/johndoe.json', false, 'master')
+      expect(git.changeFile).not.toHaveBeenCalled()
+    })
+
+    test('refuses usernames that would leave the counters directory', async () => {
+      const git = getGit()
+
+      await expect(TrustedAuthors.recordMerge({email: null, username: '../../../_config'}, 12, siteConfig, git, 'master'))
+        .rejects.toEqual({_smErrorCode: 'INVALID_PATH', data: '../../../_config'})
+      expect(git.changeFile).not.toHaveBeenCalled()
+    })
+  })
+})